@@ -0,0 +1,18 @@
+/**
+ * scripts/checkPlacementVectors.js - Placement Golden-Vector Check
+ * Fails (exit code 1) when any placement version's output drifts from the
+ * vectors pinned in src/utils/placementVectors.js
+ *
+ * Usage: npm run test:placement
+ */
+
+import { PLACEMENT_VECTORS, checkPlacementVectors } from '../src/utils/placementVectors.js';
+
+const failures = checkPlacementVectors();
+
+if (failures.length > 0) {
+  failures.forEach(failure => console.error('Placement vector mismatch:', failure));
+  process.exit(1);
+}
+
+console.log(`All ${PLACEMENT_VECTORS.length} placement vectors match`);
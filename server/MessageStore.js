@@ -0,0 +1,115 @@
+/**
+ * MessageStore.js - Server-side message persistence
+ * Keeps messages in memory and appends every change to an NDJSON file;
+ * edits append a newer copy, deletions append a tombstone (last line wins)
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+export class MessageStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.messages = new Map(); // messageId -> message
+    this.tombstones = new Map(); // messageId -> tombstone
+
+    this.load();
+  }
+
+  /**
+   * Load messages from the NDJSON file (one JSON object per line)
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      return;
+    }
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        this.apply(JSON.parse(line));
+      } catch (error) {
+        console.warn(`Skipping unreadable line ${index + 1} in ${this.filePath}`);
+      }
+    });
+  }
+
+  /**
+   * Apply a record (message or tombstone) to the in-memory state
+   */
+  apply(record) {
+    if (record.deleted) {
+      this.messages.delete(record.message_id);
+      this.tombstones.set(record.message_id, record);
+    } else if (!this.tombstones.has(record.message_id)) {
+      this.messages.set(record.message_id, record);
+    }
+  }
+
+  /**
+   * Apply a record and append it to disk
+   */
+  append(record) {
+    this.apply(record);
+    fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+  }
+
+  /**
+   * Get all messages, optionally only those newer than an ISO timestamp
+   */
+  getAll(since = null) {
+    const all = Array.from(this.messages.values());
+    return since ? all.filter(m => m.timestamp > since) : all;
+  }
+
+  /**
+   * Get all deletion tombstones
+   */
+  getTombstones() {
+    return Array.from(this.tombstones.values());
+  }
+
+  /**
+   * Get a stored message
+   */
+  get(messageId) {
+    return this.messages.get(messageId) || null;
+  }
+
+  /**
+   * Check whether a message is already stored
+   */
+  has(messageId) {
+    return this.messages.has(messageId);
+  }
+
+  /**
+   * Check whether a message has been deleted
+   */
+  isDeleted(messageId) {
+    return this.tombstones.has(messageId);
+  }
+
+  /**
+   * Store a new message
+   */
+  add(message) {
+    this.append(message);
+  }
+
+  /**
+   * Replace a message with an edited copy
+   */
+  update(message) {
+    this.append(message);
+  }
+
+  /**
+   * Delete a message, keeping its tombstone
+   */
+  remove(tombstone) {
+    this.append(tombstone);
+  }
+}
@@ -0,0 +1,256 @@
+/**
+ * server/index.js - Local Sync Server
+ * Shares one tree between visitors: HTTP for message history,
+ * WebSocket for pushing new, edited and deleted messages to every open tree
+ *
+ * Usage: npm run server  (PORT and DATA_FILE env vars are optional)
+ */
+
+import crypto from 'node:crypto';
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { WebSocketServer } from 'ws';
+
+import { MessageStore } from './MessageStore.js';
+import { validateMessage } from '../src/utils/validation.js';
+import { upgradeMessage } from '../src/utils/schema.js';
+
+const PORT = Number(process.env.PORT) || 3001;
+const DATA_FILE = process.env.DATA_FILE ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), 'data', 'messages.ndjson');
+const MAX_BODY_BYTES = 64 * 1024;
+
+// CORS is open so the Vite dev server (a different port) can call us
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+const store = new MessageStore(DATA_FILE);
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(new Error('Invalid JSON'));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Push an event to every connected client
+ */
+function broadcast(event) {
+  const data = JSON.stringify(event);
+  wss.clients.forEach((client) => {
+    if (client.readyState === client.OPEN) {
+      client.send(data);
+    }
+  });
+}
+
+/**
+ * Handle POST /api/messages
+ */
+async function handlePostMessage(req, res) {
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (error) {
+    sendJson(res, 400, { error: error.message });
+    return;
+  }
+
+  // Accept older clients' records by upgrading them to the current schema
+  const { message, reason } = upgradeMessage(body);
+  const errors = message ? validateMessage(message) : [reason];
+  if (errors.length > 0) {
+    sendJson(res, 422, { error: 'Invalid message', details: errors });
+    return;
+  }
+
+  if (store.isDeleted(message.message_id)) {
+    sendJson(res, 410, { error: 'Message was deleted' });
+    return;
+  }
+
+  // Re-posting the same message is a no-op so clients can retry safely
+  if (store.has(message.message_id)) {
+    sendJson(res, 200, { message });
+    return;
+  }
+
+  store.add(message);
+  broadcast({ type: 'message', message });
+  sendJson(res, 201, { message });
+}
+
+/**
+ * Check that the request carries the secret key behind a message's authorId
+ */
+function isAuthor(message, authorKey) {
+  if (!message.authorId || typeof authorKey !== 'string') return false;
+  const authorId = crypto.createHash('sha256').update(authorKey).digest('hex');
+  return authorId === message.authorId;
+}
+
+/**
+ * Read a body and the stored message it targets, checking authorship
+ * @returns {Promise<{body: Object, existing: Object}|null>} - null once an error was sent
+ */
+async function readAuthorizedRequest(req, res, messageId) {
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (error) {
+    sendJson(res, 400, { error: error.message });
+    return null;
+  }
+
+  if (!body || typeof body !== 'object') {
+    sendJson(res, 400, { error: 'Expected a JSON object' });
+    return null;
+  }
+
+  const existing = store.get(messageId);
+  if (!existing) {
+    sendJson(res, store.isDeleted(messageId) ? 410 : 404, { error: 'Message not found' });
+    return null;
+  }
+
+  if (!isAuthor(existing, body.authorKey)) {
+    sendJson(res, 403, { error: 'Only the author can change this message' });
+    return null;
+  }
+
+  return { body, existing };
+}
+
+/**
+ * Handle PUT /api/messages/:id (edit text; ID and placement never change)
+ */
+async function handlePutMessage(req, res, messageId) {
+  const request = await readAuthorizedRequest(req, res, messageId);
+  if (!request) return;
+
+  const { body, existing } = request;
+  const incoming = body.message || {};
+  const message = {
+    ...existing,
+    message: incoming.message,
+    editedAt: new Date().toISOString()
+  };
+
+  const errors = validateMessage(message);
+  if (errors.length > 0) {
+    sendJson(res, 422, { error: 'Invalid message', details: errors });
+    return;
+  }
+
+  store.update(message);
+  broadcast({ type: 'message', message });
+  sendJson(res, 200, { message });
+}
+
+/**
+ * Handle DELETE /api/messages/:id
+ */
+async function handleDeleteMessage(req, res, messageId) {
+  const request = await readAuthorizedRequest(req, res, messageId);
+  if (!request) return;
+
+  const tombstone = {
+    schemaVersion: request.existing.schemaVersion,
+    message_id: messageId,
+    deleted: true,
+    deletedAt: new Date().toISOString()
+  };
+
+  store.remove(tombstone);
+  broadcast({ type: 'delete', tombstone });
+  sendJson(res, 200, { tombstone });
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  if (url.pathname === '/api/messages' && req.method === 'GET') {
+    sendJson(res, 200, {
+      messages: store.getAll(url.searchParams.get('since')),
+      tombstones: store.getTombstones()
+    });
+    return;
+  }
+
+  if (url.pathname === '/api/messages' && req.method === 'POST') {
+    handlePostMessage(req, res);
+    return;
+  }
+
+  const messageRoute = url.pathname.match(/^\/api\/messages\/([^/]+)$/);
+  if (messageRoute && (req.method === 'PUT' || req.method === 'DELETE')) {
+    let messageId;
+    try {
+      messageId = decodeURIComponent(messageRoute[1]);
+    } catch (error) {
+      sendJson(res, 400, { error: 'Malformed message id' });
+      return;
+    }
+
+    if (req.method === 'PUT') {
+      handlePutMessage(req, res, messageId);
+    } else {
+      handleDeleteMessage(req, res, messageId);
+    }
+    return;
+  }
+
+  sendJson(res, 404, { error: 'Not found' });
+});
+
+const wss = new WebSocketServer({ server, path: '/ws' });
+
+wss.on('connection', (socket) => {
+  socket.send(JSON.stringify({ type: 'hello', count: store.getAll().length }));
+});
+
+server.listen(PORT, () => {
+  console.log(`Sync server listening on http://localhost:${PORT} (data: ${DATA_FILE})`);
+});
@@ -10,18 +10,35 @@ import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 // Scene components
 import { MagicalTree } from './scene/Tree.js';
 import { Environment } from './scene/Environment.js';
-import { NodeSystem } from './scene/Nodes.js';
+import { NodeSystem, CLUSTER_SPLIT_DISTANCE } from './scene/Nodes.js';
 import { WeatherSystem } from './scene/Weather.js';
 import { PostProcessing } from './scene/PostProcessing.js';
+import { YearfruitOrchard } from './scene/Fruits.js';
+import { QualityManager } from './scene/Quality.js';
+import { DayCycle } from './scene/DayCycle.js';
+import { SeasonSystem } from './scene/Seasons.js';
+import { WeatherScheduler } from './scene/WeatherScheduler.js';
 
 // UI components
 import { Composer } from './ui/Composer.js';
 import { Modal } from './ui/Modal.js';
 import { Search } from './ui/Search.js';
 import { WeatherUI } from './ui/WeatherUI.js';
+import { ArchiveUI } from './ui/ArchiveUI.js';
+import { FilterUI } from './ui/FilterUI.js';
+import { Timeline } from './ui/Timeline.js';
+import { Yearfruit } from './ui/Yearfruit.js';
+import { Dashboard } from './ui/Dashboard.js';
+import { QualityUI } from './ui/QualityUI.js';
+import { DayCycleUI } from './ui/DayCycleUI.js';
+import { SeasonUI } from './ui/SeasonUI.js';
 
 // Utilities
-import { getAllMessages } from './utils/storage.js';
+import { getAllMessages, saveMessage, deleteMessage, applyTombstones } from './utils/storage.js';
+import { SyncClient, getSyncUrl } from './utils/sync.js';
+import { TabChannel } from './utils/tabSync.js';
+import { parseRoute, formatMessageRoute } from './utils/router.js';
+import { getTreeModel, getGrowthStage, getCurrentGrowthStage, setGrowthStage } from './utils/treeModel.js';
 
 class InfiniteMessagingTree {
   constructor() {
@@ -31,10 +48,19 @@ class InfiniteMessagingTree {
     this.init();
     this.createScene();
     this.createUI();
-    this.loadExistingMessages();
+    this.loadExistingMessages().then(() => {
+      this.handleRoute();
+      this.connectSync();
+    });
     this.animate();
     
     window.addEventListener('resize', () => this.onResize());
+    
+    // Deep links; back/forward moves between visited messages
+    this.currentRoute = null;
+    this.pendingMessageId = null; // Linked message not on the tree (yet)
+    window.addEventListener('popstate', () => this.handleRoute());
+    window.addEventListener('hashchange', () => this.handleRoute());
   }
   
   /**
@@ -98,9 +124,27 @@ class InfiniteMessagingTree {
     // Post-processing
     this.postProcessing = new PostProcessing(this.renderer, this.scene, this.camera);
     
+    // Adaptive quality (steps down on slow frames)
+    this.quality = new QualityManager(this.renderer, this.postProcessing, this.environment, this.weather);
+    
+    // Time of day (sky, sun, fireflies, night glow)
+    this.dayCycle = new DayCycle(this.environment, this.nodeSystem);
+    
+    // Seasons (canopy, meadow and weather odds)
+    this.seasons = new SeasonSystem(this.tree, this.environment);
+    
+    // Auto-weather (season-weighted, or from a timeline file)
+    this.weatherScheduler = new WeatherScheduler(this.seasons);
+    
+    // Yearfruit orchard hanging in the canopy
+    this.orchard = new YearfruitOrchard(this.scene, this.camera, this.renderer);
+    this.orchard.onFruitClick = (year) => this.onFruitClick(year);
+    this.orchard.onFruitHover = (info, x, y) => this.onFruitHover(info, x, y);
+    
     // Setup node interaction callbacks
     this.nodeSystem.onNodeClick = (message) => this.onNodeClick(message);
     this.nodeSystem.onNodeHover = (message, x, y) => this.onNodeHover(message, x, y);
+    this.nodeSystem.onClusterClick = (cluster) => this.flyToCluster(cluster);
   }
   
   /**
@@ -109,15 +153,71 @@ class InfiniteMessagingTree {
   createUI() {
     // Modal for message details
     this.modal = new Modal();
+    this.modal.onEdit = (message, newText) => this.onEditMessage(message, newText);
+    this.modal.onDelete = (message) => this.onDeleteMessage(message);
+    this.modal.onReply = (parent, userName, text) => this.onReplyMessage(parent, userName, text);
+    this.modal.onNavigate = (message) => this.visitMessage(message);
+    this.modal.getDefaultName = () => this.composer.getCurrentName();
+    
+    // Shared-tree sync (only when a server is configured)
+    const syncUrl = getSyncUrl();
+    this.syncClient = syncUrl ? new SyncClient(syncUrl) : null;
+    
+    // Live updates between tabs of this origin
+    this.tabChannel = new TabChannel();
+    this.tabChannel.onMessage = (message) => this.onTabMessage(message);
+    this.tabChannel.onDelete = (tombstone) => this.removeMessageFromScene(tombstone.message_id);
+    this.tabChannel.onSettings = (settings) => {
+      this.weatherUI.applySettings(settings);
+      this.qualityUI.applySettings(settings);
+      this.dayCycleUI.applySettings(settings);
+      this.seasonUI.applySettings(settings);
+    };
     
     // Composer for creating messages
-    this.composer = new Composer((message) => this.onNewMessage(message));
+    this.composer = new Composer((message) => this.onNewMessage(message), this.syncClient);
+    this.composer.getOccupiedPositions = () => this.nodeSystem.getOccupiedPositions();
     
     // Search functionality
     this.search = new Search(this.camera, this.controls, this.nodeSystem);
+    this.search.onResultSelect = (message) => {
+      this.showMessage(message);
+      this.pushRoute(formatMessageRoute(message.message_id));
+    };
+    this.nodeSystem.onNodeAdded = (message) => this.onNodeAdded(message);
+    this.nodeSystem.onNodeUpdated = (message) => this.onNodeUpdated(message);
+    this.nodeSystem.onNodeRemoved = (messageId) => this.onNodeRemoved(messageId);
+    
+    // Season (from the date or fixed; weather defaults are weighted by it)
+    this.seasonUI = new SeasonUI(this.seasons);
+    this.seasonUI.onSettingsSaved = (settings) => this.tabChannel.postSettings(settings);
     
     // Weather controls
-    this.weatherUI = new WeatherUI(this.weather, this.environment, this.postProcessing);
+    this.weatherUI = new WeatherUI(this.weather, this.environment, this.postProcessing, this.seasons, this.weatherScheduler);
+    this.weatherUI.onSettingsSaved = (settings) => this.tabChannel.postSettings(settings);
+    
+    // Graphics quality (auto or a fixed tier)
+    this.qualityUI = new QualityUI(this.quality);
+    this.qualityUI.onSettingsSaved = (settings) => this.tabChannel.postSettings(settings);
+    
+    // Time of day (local clock or accelerated)
+    this.dayCycleUI = new DayCycleUI(this.dayCycle);
+    this.dayCycleUI.onSettingsSaved = (settings) => this.tabChannel.postSettings(settings);
+    
+    // Archive export/import
+    this.archiveUI = new ArchiveUI((result) => this.onArchiveImported(result));
+    
+    // Tree filter (dims non-matching inscriptions)
+    this.filterUI = new FilterUI(this.nodeSystem);
+    
+    // Growth replay
+    this.timeline = new Timeline(this.nodeSystem);
+    
+    // Yearly tier display (drives the orchard)
+    this.yearfruit = new Yearfruit(this.orchard);
+    
+    // Activity statistics
+    this.dashboard = new Dashboard(this.filterUI, this.yearfruit);
     
     // Hover label element
     this.hoverLabel = document.getElementById('hover-label');
@@ -126,28 +226,324 @@ class InfiniteMessagingTree {
   /**
    * Load existing messages from storage
    */
-  loadExistingMessages() {
-    const messages = getAllMessages();
+  async loadExistingMessages() {
+    const messages = await getAllMessages();
+    
+    // Start at the size the tree has already grown to
+    this.growTree(messages.length, false);
     this.nodeSystem.loadNodes(messages);
     
     console.log(`Loaded ${messages.length} existing messages`);
   }
   
+  /**
+   * Start receiving messages from other visitors
+   */
+  connectSync() {
+    if (!this.syncClient) return;
+    
+    this.syncClient.onMessage = (message) => this.onRemoteMessage(message);
+    this.syncClient.onDelete = (tombstone) => this.onRemoteDelete(tombstone);
+    this.syncClient.connect();
+  }
+  
+  /**
+   * Handle a message that arrived from the sync server (new or edited)
+   */
+  async onRemoteMessage(message) {
+    if (!this.isNewerThanShown(message)) return;
+    
+    // Keep a local copy so the tree still shows it offline
+    if (!(await saveMessage(message))) return;
+    
+    // A newer copy may have been shown while this one was saving
+    if (!this.isNewerThanShown(message)) return;
+    
+    this.showIncomingMessage(message);
+  }
+  
+  /**
+   * Handle a message grown or edited in another tab (already in shared storage)
+   */
+  onTabMessage(message) {
+    if (!this.isNewerThanShown(message)) return;
+    
+    this.showIncomingMessage(message);
+  }
+  
+  /**
+   * Check whether a message is new to this tab, or a newer edit of one it shows
+   * Our own posts are echoed back and history repeats on reconnect, so the
+   * same message must never be added twice
+   */
+  isNewerThanShown(message) {
+    const existing = this.nodeSystem.nodes.get(message.message_id);
+    return !existing || (message.editedAt || '') > (existing.editedAt || '');
+  }
+  
+  /**
+   * Add or update a message that came from outside this tab
+   */
+  showIncomingMessage(message) {
+    if (this.nodeSystem.nodes.has(message.message_id)) {
+      this.nodeSystem.updateNode(message);
+    } else {
+      this.nodeSystem.addNode(message);
+    }
+  }
+  
+  /**
+   * Handle a deletion that arrived from the sync server
+   */
+  async onRemoteDelete(tombstone) {
+    // Record it even if it isn't shown yet, so a later load can't bring it back
+    await applyTombstones([tombstone]);
+    
+    if (this.nodeSystem.getNodeByMessageId(tombstone.message_id)) {
+      this.removeMessageFromScene(tombstone.message_id);
+    }
+  }
+  
+  /**
+   * Save an edit of one of our own messages
+   */
+  async onEditMessage(message, newText) {
+    const edited = {
+      ...message,
+      message: newText,
+      editedAt: new Date().toISOString()
+    };
+    
+    if (!(await saveMessage(edited))) {
+      console.error('Failed to save edit for', message.message_id);
+      return;
+    }
+    
+    this.nodeSystem.updateNode(edited);
+    this.showMessage(this.nodeSystem.nodes.get(edited.message_id));
+    this.tabChannel.postMessage(edited);
+    
+    if (this.syncClient) {
+      this.syncClient.updateMessage(edited);
+    }
+  }
+  
+  /**
+   * Delete one of our own messages
+   */
+  async onDeleteMessage(message) {
+    const tombstone = await deleteMessage(message.message_id);
+    if (!tombstone) {
+      console.error('Failed to delete', message.message_id);
+      return;
+    }
+    
+    this.removeMessageFromScene(message.message_id);
+    this.tabChannel.postDelete(tombstone);
+    
+    if (this.syncClient) {
+      this.syncClient.deleteMessage(message.message_id);
+    }
+  }
+  
+  /**
+   * Grow a reply next to its parent, then show the parent's updated thread
+   */
+  async onReplyMessage(parent, userName, text) {
+    const reply = await this.composer.submitReply(parent, userName, text);
+    
+    if (reply) {
+      this.showMessage(parent);
+    }
+    return reply;
+  }
+  
+  /**
+   * Show a message in the modal along with its thread
+   */
+  showMessage(message) {
+    this.modal.show(message, {
+      parent: this.nodeSystem.getParent(message.message_id),
+      replies: this.nodeSystem.getReplies(message.message_id)
+    });
+  }
+  
+  /**
+   * Fly to a message and record the visit in browser history
+   */
+  visitMessage(message) {
+    this.navigateToMessage(message);
+    this.pushRoute(formatMessageRoute(message.message_id));
+  }
+  
+  /**
+   * Add a history entry for a route (no-op if it's already current)
+   */
+  pushRoute(hash) {
+    if (window.location.hash === hash) return;
+    
+    history.pushState(null, '', hash);
+    this.currentRoute = hash;
+  }
+  
+  /**
+   * Open whatever the URL hash points at
+   */
+  handleRoute() {
+    const hash = window.location.hash;
+    
+    // popstate and hashchange can both fire for one navigation
+    if (hash === this.currentRoute) return;
+    this.currentRoute = hash;
+    this.pendingMessageId = null;
+    
+    const route = parseRoute(hash);
+    if (!route) return;
+    
+    if (route.type === 'message') {
+      const message = this.nodeSystem.nodes.get(route.messageId);
+      if (message) {
+        this.navigateToMessage(message);
+      } else {
+        // It may still arrive from the sync server
+        this.pendingMessageId = route.messageId;
+      }
+    } else if (route.type === 'user') {
+      this.modal.hide();
+      const [latest] = this.search.showUser(route.userName);
+      if (latest) {
+        this.search.goToMessage(latest.message_id);
+      }
+    }
+  }
+  
+  /**
+   * Fly the camera to a message and open it
+   */
+  navigateToMessage(message) {
+    const position = this.nodeSystem.highlightNode(message.message_id);
+    if (position) {
+      this.search.flyToPosition(position);
+    }
+    this.showMessage(message);
+  }
+  
+  /**
+   * Fly in toward a far-away cluster until it splits into inscriptions
+   */
+  flyToCluster(cluster) {
+    this.search.flyToPosition(cluster.center, { distance: CLUSTER_SPLIT_DISTANCE });
+  }
+  
+  /**
+   * Wither a deleted message's inscription and close it if it's open
+   */
+  removeMessageFromScene(messageId) {
+    this.nodeSystem.removeNode(messageId);
+    
+    if (this.modal.currentMessage && this.modal.currentMessage.message_id === messageId) {
+      this.modal.hide();
+    }
+  }
+  
   /**
    * Handle new message creation
    */
   onNewMessage(message) {
     // Add node to scene
     this.nodeSystem.addNode(message);
+    this.tabChannel.postMessage(message);
     
     console.log('New message created:', message.message_id);
   }
   
+  /**
+   * Handle a merged archive import
+   */
+  onArchiveImported(result) {
+    // Only the new messages need to grow; existing nodes stay as they are
+    this.nodeSystem.loadNodes(result.added);
+    result.updated.forEach(message => this.nodeSystem.updateNode(message));
+    result.removed.forEach(messageId => this.removeMessageFromScene(messageId));
+    
+    // Other tabs share storage; they only need to hear what changed
+    [...result.added, ...result.updated].forEach(message => this.tabChannel.postMessage(message));
+    result.removed.forEach(messageId => this.tabChannel.postDelete({
+      message_id: messageId,
+      deleted: true,
+      deletedAt: new Date().toISOString()
+    }));
+    
+    if (result.settings) {
+      this.weatherUI.loadSettings();
+      this.qualityUI.loadSettings();
+      this.dayCycleUI.loadSettings();
+      this.seasonUI.loadSettings();
+      this.tabChannel.postSettings(result.settings);
+    }
+    
+    console.log(`Imported ${result.added.length} messages`);
+  }
+  
   /**
    * Handle node click
    */
   onNodeClick(message) {
-    this.modal.show(message);
+    this.showMessage(message);
+    this.pushRoute(formatMessageRoute(message.message_id));
+  }
+  
+  /**
+   * Track a message joining the scene
+   */
+  onNodeAdded(message) {
+    this.growTree(this.nodeSystem.nodes.size, true);
+    this.search.addToIndex(message);
+    this.filterUI.updateStatus();
+    this.timeline.onNodesChanged();
+    this.yearfruit.scheduleUpdate();
+    this.dashboard.scheduleRefresh();
+    
+    if (message.message_id === this.pendingMessageId) {
+      this.pendingMessageId = null;
+      this.navigateToMessage(message);
+    }
+  }
+  
+  /**
+   * Track an edit to a shown message
+   */
+  onNodeUpdated(message) {
+    this.search.updateInIndex(message);
+    this.filterUI.updateStatus();
+  }
+  
+  /**
+   * Track a message leaving the scene
+   */
+  onNodeRemoved(messageId) {
+    this.search.removeFromIndex(messageId);
+    this.filterUI.updateStatus();
+    this.timeline.onNodesChanged();
+    this.yearfruit.scheduleUpdate();
+    this.dashboard.scheduleRefresh();
+  }
+  
+  /**
+   * Grow the tree to the stage a message count has reached
+   * Never shrinks within a session, so inscriptions on new limbs stay supported
+   * @param {number} messageCount
+   * @param {boolean} animate
+   */
+  growTree(messageCount, animate) {
+    const stage = getGrowthStage(messageCount);
+    if (stage <= getCurrentGrowthStage()) return;
+    
+    // New placements land on the grown tree too
+    setGrowthStage(stage);
+    const model = getTreeModel();
+    this.tree.setModel(model, animate);
+    this.nodeSystem.setTreeModel(model);
   }
   
   /**
@@ -164,6 +560,35 @@ class InfiniteMessagingTree {
     }
   }
   
+  /**
+   * Filter the tree to a fruit's year (click again to show everything)
+   */
+  onFruitClick(year) {
+    const criteria = { from: `${year}-01-01`, to: `${year}-12-31` };
+    const active = this.filterUI.criteria;
+    
+    if (active.from === criteria.from && active.to === criteria.to && Object.keys(active).length === 2) {
+      this.filterUI.clear();
+    } else {
+      this.filterUI.setCriteria(criteria);
+    }
+  }
+  
+  /**
+   * Handle fruit hover
+   */
+  onFruitHover(info, x, y) {
+    if (info) {
+      const count = `${info.count} message${info.count === 1 ? '' : 's'}`;
+      this.hoverLabel.textContent = `${info.year} · ${info.tier} · ${count}`;
+      this.hoverLabel.style.left = `${x}px`;
+      this.hoverLabel.style.top = `${y - 20}px`;
+      this.hoverLabel.classList.remove('hidden');
+    } else {
+      this.hoverLabel.classList.add('hidden');
+    }
+  }
+  
   /**
    * Handle window resize
    */
@@ -191,9 +616,26 @@ class InfiniteMessagingTree {
     // Update scene components
     this.tree.update(deltaTime);
     this.environment.update(deltaTime);
+    this.timeline.update(deltaTime);
     this.nodeSystem.update(deltaTime);
+    this.orchard.update(deltaTime);
     this.weather.update(deltaTime);
     
+    // Everything reads the same weather state (wind, rain, wetness, snow cover)
+    this.tree.applyWeather(this.weather.state);
+    this.environment.applyWeather(this.weather.state);
+    this.nodeSystem.applyWeather(this.weather.state);
+    
+    this.dayCycle.update(deltaTime);
+    this.seasons.update(deltaTime);
+    this.weatherScheduler.update(deltaTime);
+    this.quality.update(deltaTime);
+    
+    // Aim god rays at the sun; fade them below the horizon or behind the tree
+    const sun = this.environment.getSunPosition();
+    const sunVisibility = this.environment.getSunVisibility() * (1 - this.tree.getOcclusion(this.camera.position, sun));
+    this.postProcessing.trackSun(sun, sunVisibility, deltaTime);
+    
     // Render with post-processing
     this.postProcessing.render();
   }
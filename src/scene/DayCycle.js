@@ -0,0 +1,74 @@
+/**
+ * DayCycle.js - Time of Day
+ * Follows the local clock, or runs an accelerated day, and passes the time
+ * to the environment (sky, sun, fireflies) and the inscriptions (night glow)
+ */
+
+// 'clock' follows the local time; 'fast' runs a whole day in FAST_DAY_SECONDS
+export const DAY_CYCLE_MODES = ['clock', 'fast'];
+
+const FAST_DAY_SECONDS = 240;
+
+// How often the clock mode rereads the time (seconds)
+const CLOCK_INTERVAL = 1;
+
+/**
+ * Hours since local midnight, with fractions
+ */
+function getClockHours(date = new Date()) {
+  return date.getHours() + date.getMinutes() / 60 + date.getSeconds() / 3600;
+}
+
+export class DayCycle {
+  constructor(environment, nodeSystem) {
+    this.environment = environment;
+    this.nodeSystem = nodeSystem;
+
+    this.mode = 'clock';
+    this.hours = getClockHours();
+    this.clockTimer = 0;
+
+    this.apply();
+  }
+
+  /**
+   * Follow the local clock or run an accelerated day
+   * @returns {boolean} - False for an unknown mode
+   */
+  setMode(mode) {
+    if (!DAY_CYCLE_MODES.includes(mode)) {
+      console.error('Unknown day cycle mode:', mode);
+      return false;
+    }
+
+    this.mode = mode;
+    if (mode === 'clock') {
+      this.hours = getClockHours();
+      this.apply();
+    }
+    return true;
+  }
+
+  /**
+   * Advance the time of day
+   */
+  update(deltaTime) {
+    if (this.mode === 'fast') {
+      this.hours = (this.hours + deltaTime * 24 / FAST_DAY_SECONDS) % 24;
+    } else {
+      this.clockTimer += deltaTime;
+      if (this.clockTimer < CLOCK_INTERVAL) return;
+      this.clockTimer = 0;
+      this.hours = getClockHours();
+    }
+    this.apply();
+  }
+
+  /**
+   * Light the scene for the current time
+   */
+  apply() {
+    this.environment.setTimeOfDay(this.hours);
+    this.nodeSystem.setNightGlow(this.environment.night);
+  }
+}
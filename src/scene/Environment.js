@@ -4,19 +4,64 @@
  */
 
 import * as THREE from 'three';
+import { SEASONS, writeSeasonColor } from './Seasons.js';
+
+// Sun and sky dome distance (the dome has radius 100)
+const SUN_DISTANCE = 90;
+
+// Sky palettes blended by time of day
+const SKY_PALETTES = {
+  night: { top: 0x02030a, bottom: 0x0a0a1f, horizon: 0x161634 },
+  golden: { top: 0x0a0a20, bottom: 0x2d1b4e, horizon: 0xff6b35 },
+  day: { top: 0x1d3f78, bottom: 0x4f79b0, horizon: 0xe8b48a }
+};
+
+const paletteColor = new THREE.Color();
+
+// Sun color near the horizon and high in the sky
+const SUN_LOW_COLOR = new THREE.Color(0xffb060);
+const SUN_HIGH_COLOR = new THREE.Color(0xfff2d6);
+
+// Puddle size when the ground is dry, relative to fully soaked
+const PUDDLE_DRY_SCALE = 0.5;
+
+// Light that remains at night, as a fraction of the weather's ambient level
+const NIGHT_AMBIENT = 0.45;
+
+/**
+ * Direction of the sun at a time of day
+ * Rises in the east (+x) at 6:00, peaks at noon, sets in the west at 18:00
+ * and stays below the horizon through the night
+ * @param {number} hours - 0-24
+ * @returns {THREE.Vector3} - Unit vector
+ */
+export function getSunDirection(hours) {
+  const angle = ((hours - 6) / 12) * Math.PI;
+  return new THREE.Vector3(Math.cos(angle) * 0.8, Math.sin(angle) * 0.55, -0.6).normalize();
+}
 
 export class Environment {
   constructor(scene) {
     this.scene = scene;
     this.time = 0;
     
+    // Time of day (see setTimeOfDay) and the weather's light levels it scales
+    this.hours = 17.5;
+    this.daylight = 1; // 0 at night, 1 in daytime
+    this.night = 0;
+    this.sunPosition = new THREE.Vector3();
+    this.weatherLight = { sun: 1.2, ambient: 0.3, whiteSun: false };
+    
     this.createGround();
     this.createHills();
     this.createSky();
     this.createLighting();
     this.createPuddles();
+    this.createSnowCover();
     this.createFireflies();
     this.createFlowers();
+    
+    this.setTimeOfDay(this.hours);
   }
   
   /**
@@ -36,6 +81,7 @@ export class Environment {
     ground.position.y = 0;
     ground.receiveShadow = true;
     this.scene.add(ground);
+    this.groundMaterial = groundMaterial;
     
     // Grass particles
     this.createGrassParticles();
@@ -49,8 +95,11 @@ export class Environment {
     const positions = new Float32Array(grassCount * 3);
     const colors = new Float32Array(grassCount * 3);
     
+    // Per-blade randoms within the season's grass color range
+    this.grassRolls = new Float32Array(grassCount * 3);
+    
     for (let i = 0; i < grassCount; i++) {
-      // Random position on ground
+      // Random position on ground (random order, so any prefix is an even thinning)
       const angle = Math.random() * Math.PI * 2;
       const radius = 3 + Math.random() * 40;
       
@@ -59,9 +108,10 @@ export class Environment {
       positions[i * 3 + 2] = Math.sin(angle) * radius;
       
       // Grass color variation
-      colors[i * 3] = 0.2 + Math.random() * 0.15;
-      colors[i * 3 + 1] = 0.4 + Math.random() * 0.3;
-      colors[i * 3 + 2] = 0.1 + Math.random() * 0.1;
+      for (let j = 0; j < 3; j++) {
+        this.grassRolls[i * 3 + j] = Math.random();
+      }
+      writeSeasonColor(SEASONS.summer.grass, this.grassRolls, i * 3, colors, i);
     }
     
     const geometry = new THREE.BufferGeometry();
@@ -75,8 +125,8 @@ export class Environment {
       opacity: 0.8
     });
     
-    const grass = new THREE.Points(geometry, material);
-    this.scene.add(grass);
+    this.grass = new THREE.Points(geometry, material);
+    this.scene.add(this.grass);
   }
   
   /**
@@ -117,7 +167,10 @@ export class Environment {
         topColor: { value: new THREE.Color(0x0a0a20) },
         bottomColor: { value: new THREE.Color(0x2d1b4e) },
         horizonColor: { value: new THREE.Color(0xff6b35) },
-        sunPosition: { value: new THREE.Vector3(30, 15, -50) }
+        sunPosition: { value: new THREE.Vector3(30, 15, -50) },
+        sunColor: { value: new THREE.Color(0xffd27f) },
+        sunVisibility: { value: 1 },
+        starVisibility: { value: 0 }
       },
       vertexShader: `
         varying vec3 vWorldPosition;
@@ -132,6 +185,9 @@ export class Environment {
         uniform vec3 bottomColor;
         uniform vec3 horizonColor;
         uniform vec3 sunPosition;
+        uniform vec3 sunColor;
+        uniform float sunVisibility;
+        uniform float starVisibility;
         varying vec3 vWorldPosition;
         
         void main() {
@@ -151,7 +207,11 @@ export class Environment {
           
           // Add subtle stars
           float stars = step(0.998, fract(sin(dot(vWorldPosition.xz, vec2(12.9898, 78.233))) * 43758.5453));
-          color += vec3(stars) * step(0.5, h) * 0.5;
+          color += vec3(stars) * step(0.5, h) * 0.5 * starVisibility;
+          
+          // Sun disc and halo (bright enough for the bloom and god-ray passes)
+          float sunAmount = max(dot(normalize(vWorldPosition), normalize(sunPosition)), 0.0);
+          color += sunColor * (pow(sunAmount, 800.0) * 4.0 + pow(sunAmount, 12.0) * 0.25) * sunVisibility;
           
           gl_FragColor = vec4(color, 1.0);
         }
@@ -216,21 +276,133 @@ export class Environment {
       { x: -7, z: 9, size: 2.2 },
     ];
     
-    const puddleMaterial = new THREE.MeshStandardMaterial({
-      color: 0x1a2a3a,
-      roughness: 0.1,
-      metalness: 0.9,
+    // Dark water reflecting the sky, with raindrop rings while it rains
+    const { topColor, horizonColor } = this.skyMaterial.uniforms;
+    const puddleMaterial = new THREE.ShaderMaterial({
+      uniforms: {
+        time: { value: 0 },
+        rain: { value: 0 },
+        opacity: { value: 0.7 },
+        waterColor: { value: new THREE.Color(0x1a2a3a) },
+        topColor,
+        horizonColor
+      },
+      vertexShader: `
+        varying vec2 vUv;
+        varying vec2 vLocal;
+        
+        void main() {
+          vUv = uv;
+          vLocal = position.xy;
+          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+      `,
+      fragmentShader: `
+        uniform float time;
+        uniform float rain;
+        uniform float opacity;
+        uniform vec3 waterColor;
+        uniform vec3 topColor;
+        uniform vec3 horizonColor;
+        varying vec2 vUv;
+        varying vec2 vLocal;
+        
+        float hash(vec2 p) {
+          return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+        }
+        
+        void main() {
+          // One drop per cell, each ring expanding on its own cycle
+          vec2 p = vLocal * 1.6;
+          float ripples = 0.0;
+          for (int x = -1; x <= 1; x++) {
+            for (int y = -1; y <= 1; y++) {
+              vec2 cell = floor(p) + vec2(float(x), float(y));
+              vec2 center = cell + vec2(hash(cell), hash(cell + 3.7));
+              float cycle = fract(time * 0.9 + hash(cell + 7.1));
+              float ring = 1.0 - smoothstep(0.0, 0.06, abs(length(p - center) - cycle));
+              ripples += ring * (1.0 - cycle);
+            }
+          }
+          
+          vec3 sky = mix(horizonColor, topColor, 0.5);
+          vec3 color = mix(waterColor, sky, 0.35) + sky * ripples * rain * 0.6;
+          
+          // Soft edge
+          float edge = 1.0 - smoothstep(0.42, 0.5, length(vUv - 0.5));
+          gl_FragColor = vec4(color, opacity * edge);
+        }
+      `,
       transparent: true,
-      opacity: 0.7
+      depthWrite: false
     });
+    this.puddleMaterial = puddleMaterial;
     
-    puddleConfigs.forEach(config => {
+    this.puddles = puddleConfigs.map(config => {
       const puddleGeom = new THREE.CircleGeometry(config.size, 32);
       const puddle = new THREE.Mesh(puddleGeom, puddleMaterial);
       puddle.rotation.x = -Math.PI / 2;
       puddle.position.set(config.x, 0.01, config.z);
       this.scene.add(puddle);
+      return puddle;
+    });
+  }
+  
+  /**
+   * Create the snow layer that settles on the meadow in patches
+   */
+  createSnowCover() {
+    this.snowMaterial = new THREE.ShaderMaterial({
+      uniforms: {
+        snowCover: { value: 0 },
+        light: { value: 1 } // Dimmed at night
+      },
+      vertexShader: `
+        varying vec2 vPosition;
+        
+        void main() {
+          vPosition = position.xy;
+          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+      `,
+      fragmentShader: `
+        uniform float snowCover;
+        uniform float light;
+        varying vec2 vPosition;
+        
+        float hash(vec2 p) {
+          return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+        }
+        
+        float valueNoise(vec2 p) {
+          vec2 i = floor(p);
+          vec2 f = fract(p);
+          f = f * f * (3.0 - 2.0 * f);
+          return mix(
+            mix(hash(i), hash(i + vec2(1.0, 0.0)), f.x),
+            mix(hash(i + vec2(0.0, 1.0)), hash(i + vec2(1.0, 1.0)), f.x),
+            f.y
+          );
+        }
+        
+        void main() {
+          // Patches appear where the noise is highest and join up as cover grows
+          float n = valueNoise(vPosition * 0.25) * 0.6 + valueNoise(vPosition * 1.1) * 0.4;
+          float threshold = 1.0 - snowCover * 1.15;
+          float coverage = smoothstep(threshold, threshold + 0.12, n);
+          
+          gl_FragColor = vec4(vec3(0.91, 0.94, 0.98) * light, coverage * 0.95);
+        }
+      `,
+      transparent: true,
+      depthWrite: false
     });
+    
+    this.snowLayer = new THREE.Mesh(new THREE.CircleGeometry(45, 64), this.snowMaterial);
+    this.snowLayer.rotation.x = -Math.PI / 2;
+    this.snowLayer.position.y = 0.02;
+    this.snowLayer.visible = false;
+    this.scene.add(this.snowLayer);
   }
   
   /**
@@ -260,7 +432,8 @@ export class Environment {
     const material = new THREE.ShaderMaterial({
       uniforms: {
         time: { value: 0 },
-        pixelRatio: { value: window.devicePixelRatio }
+        pixelRatio: { value: window.devicePixelRatio },
+        intensity: { value: 1 } // 0 by day, 1 at night
       },
       vertexShader: `
         uniform float time;
@@ -279,12 +452,13 @@ export class Environment {
         }
       `,
       fragmentShader: `
+        uniform float intensity;
         varying float vAlpha;
         
         void main() {
           vec2 center = gl_PointCoord - 0.5;
           float dist = length(center);
-          float alpha = (1.0 - smoothstep(0.0, 0.5, dist)) * vAlpha;
+          float alpha = (1.0 - smoothstep(0.0, 0.5, dist)) * vAlpha * intensity;
           
           vec3 color = vec3(1.0, 0.95, 0.5);
           gl_FragColor = vec4(color, alpha);
@@ -343,8 +517,8 @@ export class Environment {
       opacity: 0.9
     });
     
-    const flowers = new THREE.Points(geometry, material);
-    this.scene.add(flowers);
+    this.flowers = new THREE.Points(geometry, material);
+    this.scene.add(this.flowers);
   }
   
   /**
@@ -362,7 +536,8 @@ export class Environment {
     if (this.fireflies && this.fireflyVelocities) {
       const positions = this.fireflies.geometry.attributes.position.array;
       
-      for (let i = 0; i < this.fireflyVelocities.length; i++) {
+      const count = Math.min(this.fireflyVelocities.length, this.fireflies.geometry.drawRange.count);
+      for (let i = 0; i < count; i++) {
         const vel = this.fireflyVelocities[i];
         
         // Sinusoidal movement
@@ -382,31 +557,151 @@ export class Environment {
   }
   
   /**
-   * Set weather lighting
+   * Thin out grass and fireflies for cheaper frames
+   * Only a prefix of each particle set is drawn (and moved)
+   * @param {Object} density - { grass, fireflies } fractions (0-1)
+   */
+  setDensity({ grass = 1, fireflies = 1 }) {
+    const thin = (points, fraction) => {
+      const total = points.geometry.getAttribute('position').count;
+      points.geometry.setDrawRange(0, Math.round(total * Math.min(1, Math.max(0, fraction))));
+    };
+    thin(this.grass, grass);
+    thin(this.fireflies, fireflies);
+  }
+  
+  /**
+   * Pixel ratio the scene is rendered at (keeps firefly sizes steady)
+   */
+  setPixelRatio(pixelRatio) {
+    this.fireflyMaterial.uniforms.pixelRatio.value = pixelRatio;
+  }
+  
+  /**
+   * Apply a season: grass and ground color, how many flowers bloom
+   * @param {Object} season - Season state (see Seasons.js)
+   */
+  setSeason(season) {
+    const colorAttribute = this.grass.geometry.getAttribute('color');
+    for (let i = 0; i < colorAttribute.count; i++) {
+      writeSeasonColor(season.grass, this.grassRolls, i * 3, colorAttribute.array, i);
+    }
+    colorAttribute.needsUpdate = true;
+    
+    this.groundMaterial.color.setHex(season.ground);
+    
+    // Flowers are in random order, so a prefix is an even thinning
+    const flowerCount = this.flowers.geometry.getAttribute('position').count;
+    this.flowers.geometry.setDrawRange(0, Math.round(flowerCount * season.flowerDensity));
+    this.flowers.visible = season.flowerDensity > 0;
+  }
+  
+  /**
+   * Follow the shared weather state (call every frame): puddles spread as
+   * the ground gets wet and ripple in rain, snow settles and melts
+   * @param {WeatherState} state
+   */
+  applyWeather(state) {
+    const { uniforms } = this.puddleMaterial;
+    uniforms.time.value = this.time;
+    uniforms.rain.value = state.rain;
+    uniforms.opacity.value = 0.5 + 0.3 * state.wetness;
+    const spread = PUDDLE_DRY_SCALE + (1 - PUDDLE_DRY_SCALE) * state.wetness;
+    this.puddles.forEach(puddle => puddle.scale.setScalar(spread));
+    
+    this.snowMaterial.uniforms.snowCover.value = state.snowCover;
+    this.snowMaterial.uniforms.light.value = 0.35 + 0.65 * this.daylight;
+    this.snowLayer.visible = state.snowCover > 0.001;
+  }
+  
+  /**
+   * Move the sun and relight the scene for a time of day
+   * @param {number} hours - 0-24 (fractions allowed)
+   */
+  setTimeOfDay(hours) {
+    this.hours = hours;
+    
+    const direction = getSunDirection(hours);
+    const elevation = direction.y;
+    this.sunPosition.copy(direction).multiplyScalar(SUN_DISTANCE);
+    this.daylight = THREE.MathUtils.smoothstep(elevation, -0.08, 0.3);
+    this.night = 1 - this.daylight;
+    
+    // Sky: night to day, warmed toward the golden palette near the horizon
+    const golden = (1 - THREE.MathUtils.smoothstep(Math.abs(elevation), 0, 0.35))
+      * THREE.MathUtils.smoothstep(elevation, -0.15, 0);
+    const { uniforms } = this.skyMaterial;
+    ['top', 'bottom', 'horizon'].forEach(key => {
+      uniforms[`${key}Color`].value
+        .setHex(SKY_PALETTES.night[key])
+        .lerp(paletteColor.setHex(SKY_PALETTES.day[key]), this.daylight)
+        .lerp(paletteColor.setHex(SKY_PALETTES.golden[key]), golden);
+    });
+    uniforms.sunPosition.value.copy(this.sunPosition);
+    uniforms.sunVisibility.value = this.getSunVisibility();
+    uniforms.starVisibility.value = this.night;
+    
+    this.sunLight.position.copy(direction).multiplyScalar(40);
+    uniforms.sunColor.value.copy(SUN_LOW_COLOR).lerp(SUN_HIGH_COLOR, THREE.MathUtils.smoothstep(elevation, 0.1, 0.6));
+    
+    // Fireflies come out as it gets dark
+    this.fireflyMaterial.uniforms.intensity.value = this.night;
+    this.fireflies.visible = this.night > 0.01;
+    
+    this.applyLighting();
+  }
+  
+  /**
+   * Sun position in world space (on the inside of the sky dome)
+   * @returns {THREE.Vector3}
+   */
+  getSunPosition() {
+    return this.sunPosition;
+  }
+  
+  /**
+   * How much of the sun is above the horizon (0-1)
+   */
+  getSunVisibility() {
+    return THREE.MathUtils.smoothstep(this.sunPosition.y / SUN_DISTANCE, -0.05, 0.05);
+  }
+  
+  /**
+   * Combine the weather's light levels with the time of day
+   */
+  applyLighting() {
+    const { sun, ambient, whiteSun } = this.weatherLight;
+    
+    this.sunLight.intensity = sun * this.daylight;
+    this.sunLight.color.copy(this.skyMaterial.uniforms.sunColor.value);
+    if (whiteSun) {
+      this.sunLight.color.lerp(SUN_HIGH_COLOR, 0.7);
+    }
+    this.ambientLight.intensity = ambient * (NIGHT_AMBIENT + (1 - NIGHT_AMBIENT) * this.daylight);
+    this.bounceLight.intensity = 0.3 * (0.4 + 0.6 * this.daylight);
+  }
+  
+  /**
+   * Set weather lighting (scaled by the time of day)
    */
   setWeather(weather) {
     switch (weather) {
       case 'clear':
-        this.sunLight.intensity = 1.2;
-        this.ambientLight.intensity = 0.3;
+        this.weatherLight = { sun: 1.2, ambient: 0.3, whiteSun: false };
         break;
       case 'rain':
-        this.sunLight.intensity = 0.4;
-        this.ambientLight.intensity = 0.5;
+        this.weatherLight = { sun: 0.4, ambient: 0.5, whiteSun: false };
         break;
       case 'fog':
-        this.sunLight.intensity = 0.3;
-        this.ambientLight.intensity = 0.6;
+        this.weatherLight = { sun: 0.3, ambient: 0.6, whiteSun: false };
         break;
       case 'snow':
-        this.sunLight.intensity = 0.8;
-        this.sunLight.color.setHex(0xffffff);
-        this.ambientLight.intensity = 0.5;
+        this.weatherLight = { sun: 0.8, ambient: 0.5, whiteSun: true };
         break;
       case 'wind':
-        this.sunLight.intensity = 1.0;
-        this.ambientLight.intensity = 0.35;
+        this.weatherLight = { sun: 1.0, ambient: 0.35, whiteSun: false };
         break;
     }
+    this.applyLighting();
   }
 }
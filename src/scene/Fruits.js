@@ -0,0 +1,322 @@
+/**
+ * Fruits.js - Yearfruit Orchard
+ * One glowing fruit per year hangs in the canopy, colored by that year's tier;
+ * the current year's fruit is the largest and wears a ring showing progress
+ * to its next tier
+ */
+
+import * as THREE from 'three';
+import { hashCode, seededRandom } from '../utils/hash.js';
+
+const FRUIT_CONFIG = {
+  radius: 0.32,
+  pastScale: 0.65,      // Past years hang smaller
+  ringRadius: 0.55,
+  ringWidth: 0.05,
+  stemLength: 0.35
+};
+
+// Current year hangs on the side facing the default camera
+const CURRENT_ANGLE = Math.atan2(20, 15);
+
+export class YearfruitOrchard {
+  constructor(scene, camera, renderer) {
+    this.scene = scene;
+    this.camera = camera;
+    this.renderer = renderer;
+    this.group = new THREE.Group();
+    this.fruits = new Map(); // year -> { group, fruit, ring }
+    this.time = 0;
+
+    this.raycaster = new THREE.Raycaster();
+    this.mouse = new THREE.Vector2();
+    this.hoveredYear = null;
+
+    this.stemMaterial = new THREE.MeshBasicMaterial({ color: 0x3d2817 });
+
+    this.onFruitClick = null; // Callback (year)
+    this.onFruitHover = null; // Callback (info|null, x, y)
+
+    this.scene.add(this.group);
+    this.setupEventListeners();
+  }
+
+  /**
+   * Glowing fruit material tinted by tier color
+   */
+  createFruitMaterial(color) {
+    return new THREE.ShaderMaterial({
+      uniforms: {
+        time: { value: 0 },
+        tierColor: { value: new THREE.Color(color) },
+        pulsePhase: { value: Math.random() * Math.PI * 2 }
+      },
+      vertexShader: `
+        varying vec3 vNormal;
+        varying vec3 vViewDir;
+
+        void main() {
+          vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+          vNormal = normalize(mat3(modelMatrix) * normal);
+          vViewDir = normalize(cameraPosition - worldPosition.xyz);
+          gl_Position = projectionMatrix * viewMatrix * worldPosition;
+        }
+      `,
+      fragmentShader: `
+        uniform vec3 tierColor;
+        uniform float time;
+        uniform float pulsePhase;
+
+        varying vec3 vNormal;
+        varying vec3 vViewDir;
+
+        void main() {
+          float fresnel = pow(1.0 - max(dot(vNormal, vViewDir), 0.0), 2.0);
+          float pulse = sin(time * 1.5 + pulsePhase) * 0.15 + 0.85;
+
+          // Lit from above so it reads as a round fruit, rim glows
+          float light = 0.55 + 0.45 * max(dot(vNormal, normalize(vec3(0.3, 1.0, 0.4))), 0.0);
+          vec3 color = tierColor * light * pulse + tierColor * fresnel * 1.2;
+
+          gl_FragColor = vec4(color, 1.0);
+        }
+      `
+    });
+  }
+
+  /**
+   * Progress ring material; draws the arc up to `progress` (0-1)
+   */
+  createRingMaterial(color) {
+    return new THREE.ShaderMaterial({
+      uniforms: {
+        progress: { value: 0 },
+        tierColor: { value: new THREE.Color(color) }
+      },
+      vertexShader: `
+        varying vec2 vLocal;
+
+        void main() {
+          vLocal = position.xy;
+          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+      `,
+      fragmentShader: `
+        uniform float progress;
+        uniform vec3 tierColor;
+
+        varying vec2 vLocal;
+
+        void main() {
+          // Clockwise from 12 o'clock
+          float angle = atan(vLocal.x, vLocal.y);
+          float t = angle < 0.0 ? angle / 6.2831853 + 1.0 : angle / 6.2831853;
+
+          bool filled = t <= progress;
+          vec3 color = filled ? tierColor * 1.4 : vec3(1.0);
+          float alpha = filled ? 0.9 : 0.15;
+
+          gl_FragColor = vec4(color, alpha);
+        }
+      `,
+      transparent: true,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    });
+  }
+
+  /**
+   * Where a year's fruit hangs (deterministic per year)
+   */
+  getFruitPosition(year, isCurrent) {
+    if (isCurrent) {
+      const radius = 3.6;
+      return new THREE.Vector3(
+        radius * Math.cos(CURRENT_ANGLE),
+        5.8,
+        radius * Math.sin(CURRENT_ANGLE)
+      );
+    }
+
+    const rand = seededRandom(hashCode(`yearfruit-${year}`));
+    // Keep clear of the current fruit's side of the canopy
+    const angle = CURRENT_ANGLE + 0.6 + rand() * (Math.PI * 2 - 1.2);
+    const radius = 3 + rand() * 1.5;
+    return new THREE.Vector3(
+      radius * Math.cos(angle),
+      5.4 + rand() * 1.2,
+      radius * Math.sin(angle)
+    );
+  }
+
+  /**
+   * Create or update a year's fruit
+   * @param {number} year
+   * @param {Object} info - { tier, color, count, progress (current year only) }
+   * @param {boolean} isCurrent - The current year gets the big fruit and ring
+   */
+  setFruit(year, info, isCurrent) {
+    let entry = this.fruits.get(year);
+    if (entry && entry.isCurrent !== isCurrent) {
+      this.removeFruit(year);
+      entry = null;
+    }
+
+    if (!entry) {
+      entry = this.createFruit(year, info.color, isCurrent);
+      this.fruits.set(year, entry);
+    }
+
+    entry.info = { year, ...info };
+    entry.fruit.material.uniforms.tierColor.value.set(info.color);
+    if (entry.light) {
+      entry.light.color.set(info.color);
+    }
+    if (entry.ring) {
+      entry.ring.material.uniforms.tierColor.value.set(info.color);
+      entry.ring.material.uniforms.progress.value = info.progress ?? 0;
+    }
+  }
+
+  /**
+   * Build a fruit hanging from a short stem
+   */
+  createFruit(year, color, isCurrent) {
+    const scale = isCurrent ? 1 : FRUIT_CONFIG.pastScale;
+    const group = new THREE.Group();
+    group.position.copy(this.getFruitPosition(year, isCurrent));
+
+    const fruitGeometry = new THREE.SphereGeometry(FRUIT_CONFIG.radius * scale, 24, 18);
+    fruitGeometry.scale(1, 0.9, 1);
+    const fruit = new THREE.Mesh(fruitGeometry, this.createFruitMaterial(color));
+    fruit.userData = { year };
+    group.add(fruit);
+
+    const stemGeometry = new THREE.CylinderGeometry(0.015, 0.025, FRUIT_CONFIG.stemLength * scale, 6);
+    const stem = new THREE.Mesh(stemGeometry, this.stemMaterial);
+    stem.position.y = FRUIT_CONFIG.radius * scale * 0.9 + FRUIT_CONFIG.stemLength * scale * 0.5;
+    group.add(stem);
+
+    const entry = { group, fruit, stem, ring: null, light: null, isCurrent, swayPhase: year % 7 };
+
+    if (isCurrent) {
+      const ringGeometry = new THREE.RingGeometry(
+        FRUIT_CONFIG.ringRadius - FRUIT_CONFIG.ringWidth,
+        FRUIT_CONFIG.ringRadius,
+        64
+      );
+      entry.ring = new THREE.Mesh(ringGeometry, this.createRingMaterial(color));
+      group.add(entry.ring);
+
+      entry.light = new THREE.PointLight(color, 0.8, 4);
+      group.add(entry.light);
+    }
+
+    this.group.add(group);
+    return entry;
+  }
+
+  /**
+   * Remove a year's fruit
+   */
+  removeFruit(year) {
+    const entry = this.fruits.get(year);
+    if (!entry) return;
+
+    this.group.remove(entry.group);
+    entry.fruit.geometry.dispose();
+    entry.fruit.material.dispose();
+    entry.stem.geometry.dispose();
+    if (entry.ring) {
+      entry.ring.geometry.dispose();
+      entry.ring.material.dispose();
+    }
+    if (entry.light) {
+      entry.light.dispose();
+    }
+    this.fruits.delete(year);
+  }
+
+  /**
+   * Keep only the given years' fruits
+   */
+  retainYears(years) {
+    Array.from(this.fruits.keys()).forEach(year => {
+      if (!years.has(year)) {
+        this.removeFruit(year);
+      }
+    });
+  }
+
+  /**
+   * Setup mouse event listeners
+   */
+  setupEventListeners() {
+    const canvas = this.renderer.domElement;
+
+    canvas.addEventListener('mousemove', (event) => this.onMouseMove(event));
+    canvas.addEventListener('click', (event) => this.onMouseClick(event));
+  }
+
+  /**
+   * Find the fruit under the pointer
+   * @returns {Object|null} - The fruit's entry
+   */
+  pick(event) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+
+    this.raycaster.setFromCamera(this.mouse, this.camera);
+    const fruitMeshes = Array.from(this.fruits.values(), entry => entry.fruit);
+    const intersects = this.raycaster.intersectObjects(fruitMeshes);
+
+    return intersects.length > 0 ? this.fruits.get(intersects[0].object.userData.year) : null;
+  }
+
+  /**
+   * Handle mouse movement for hover labels
+   */
+  onMouseMove(event) {
+    const entry = this.pick(event);
+    const year = entry ? entry.info.year : null;
+
+    if (year !== this.hoveredYear) {
+      this.hoveredYear = year;
+      this.renderer.domElement.style.cursor = entry ? 'pointer' : '';
+      if (this.onFruitHover) {
+        this.onFruitHover(entry ? entry.info : null, event.clientX, event.clientY);
+      }
+    }
+  }
+
+  /**
+   * Handle mouse click on a fruit
+   */
+  onMouseClick(event) {
+    const entry = this.pick(event);
+    if (entry && this.onFruitClick) {
+      this.onFruitClick(entry.info.year);
+    }
+  }
+
+  /**
+   * Update animations
+   */
+  update(deltaTime) {
+    this.time += deltaTime;
+
+    this.fruits.forEach((entry) => {
+      entry.fruit.material.uniforms.time.value = this.time;
+
+      // Gentle dangle on the stem
+      entry.group.rotation.z = Math.sin(this.time * 0.8 + entry.swayPhase) * 0.06;
+      entry.group.rotation.x = Math.cos(this.time * 0.6 + entry.swayPhase) * 0.04;
+
+      // Progress ring always faces the viewer
+      if (entry.ring) {
+        entry.ring.lookAt(this.camera.position);
+      }
+    });
+  }
+}
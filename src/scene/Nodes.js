@@ -2,27 +2,331 @@
  * Nodes.js - Message Inscription System
  * Handles creation and management of message inscriptions on tree parts
  * Messages appear as glowing inscriptions ON tree (not separate objects)
+ * Expects messages at the current schema version (placement always present)
  */
 
 import * as THREE from 'three';
-import { getMessagePlacement } from '../utils/hash.js';
+import { INSCRIPTION_OFFSET } from '../utils/treeModel.js';
+import { SpatialGrid } from '../utils/spatialGrid.js';
+import { WIND_BEND_GLSL, createWindUniforms, applyWindUniforms } from './WeatherState.js';
 
 // Unified golden glow config for all messages
 const MESSAGE_CONFIG = {
   color: 0xffd700,      // Golden
   emissive: 0xffa500,   // Orange-gold emissive
-  scale: 0.25
+  scale: 0.25,
+  emissiveStrength: 0.35 // Core glow picked up by bloom (replaces per-node lights)
 };
 
+// Extra glow at night, as a multiple of emissiveStrength
+const NIGHT_GLOW = 1.5;
+
+// Opacity of inscriptions hidden by a visibility layer (faded, not removed)
+const HIDDEN_VISIBILITY = 0.08;
+
+// Local axis that faces away from the bark when a placement carries a normal
+const SURFACE_FACING = new THREE.Vector3(0, 0, 1);
+
+// Birth and wither animation lengths (seconds), mirrored in the shader
+const BIRTH_DURATION = 1.2;
+const WITHER_DURATION = 1.2;
+
+// Instances allocated per tree part up front; batches double when full
+const INITIAL_CAPACITY = 256;
+
+// Per-instance attributes: name -> item size
+const INSTANCE_ATTRIBUTES = {
+  instanceGlow: 1,       // Glow intensity (0.5 - 1)
+  instancePulsePhase: 1, // Offset of the pulse and breathing cycles
+  instanceBirthTime: 1,  // NodeSystem time the inscription appeared
+  instanceDeathTime: 1,  // Time it started withering (-1 while alive)
+  instanceVisibility: 1, // Visibility layer fade (0 - 1)
+  instanceSway: 2,       // Sway phase and amplitude
+  instanceOriented: 1    // 1 when lying on a surface normal (spins around it)
+};
+
+// Level-of-detail distances from the camera: full geometry inside `near`,
+// billboards up to `far`, clusters beyond; a level is only left once the
+// camera is `margin` past its edge, so nodes don't flicker on the boundary
+const LOD = { near: 12, far: 32, margin: 1 };
+
+// Far inscriptions are counted together per grid cell this size
+const CLUSTER_CELL = 3;
+
+// World size of a one-inscription cluster sprite (grows with the count)
+const CLUSTER_SIZE = 0.9;
+
+// Distance a clicked cluster is approached to; every inscription in it is
+// then inside billboard range
+export const CLUSTER_SPLIT_DISTANCE = LOD.far - CLUSTER_CELL * 2;
+
+// Billboard size in world units
+const BILLBOARD_SIZE = 0.4;
+
+// Seconds between level reassignments while the camera moves
+const LOD_INTERVAL = 0.1;
+
+// Picking: grid cell size and the radius an inscription answers the mouse in
+const PICK_CELL = 1;
+const PICK_RADIUS = 0.3;
+
+// Furthest the shaders move an inscription from its place: the strongest
+// wind bend plus the widest sway
+const PICK_MARGIN = 0.8;
+
+// Frustum test radius; generous so inscriptions are in place before they
+// turn into view
+const CULL_RADIUS = 1.5;
+
+// Shared by the geometry and billboard vertex shaders
+const INSTANCE_VERTEX_COMMON = `
+  attribute float instanceGlow;
+  attribute float instancePulsePhase;
+  attribute float instanceBirthTime;
+  attribute float instanceDeathTime;
+  attribute float instanceVisibility;
+  attribute vec2 instanceSway;
+  attribute float instanceOriented;
+  
+  uniform float time;
+  uniform float windSway;
+  ${WIND_BEND_GLSL}
+  
+  // Subtle breathing animation
+  float breathScale() {
+    return sin(time * 0.5 + instancePulsePhase) * 0.05 + 1.0;
+  }
+  
+  // Birth: grow with a slight overshoot
+  float birthScale() {
+    float birth = clamp((time - instanceBirthTime) / ${BIRTH_DURATION.toFixed(1)}, 0.0, 1.0);
+    return birth < 0.7
+      ? mix(0.1, 1.1, birth / 0.7)
+      : mix(1.1, 1.0, (birth - 0.7) / 0.3);
+  }
+  
+  // Wither: 0 while alive, then 0 -> 1 (ease-in)
+  float witherAmount() {
+    float wither = instanceDeathTime >= 0.0
+      ? clamp((time - instanceDeathTime) / ${WITHER_DURATION.toFixed(1)}, 0.0, 1.0)
+      : 0.0;
+    return wither * wither;
+  }
+  
+  // Dreamy sway (wider in wind), sinking while withering
+  vec3 swayOffset(float wither) {
+    float phase = instanceSway.x;
+    float amplitude = instanceSway.y + windSway;
+    return vec3(
+      sin(time * 0.3 + phase) * amplitude,
+      sin(time * 0.4 + phase + 1.0) * amplitude * 0.5 - wither * 0.3,
+      cos(time * 0.35 + phase) * amplitude
+    );
+  }
+  
+  // Fade in during the first 1.4 seconds
+  float fadeAmount(float wither) {
+    return clamp((time - instanceBirthTime) / 1.4, 0.0, 1.0) * (1.0 - wither);
+  }
+`;
+
+/**
+ * All inscriptions on one tree part, drawn as a single InstancedMesh
+ * Instances are packed: removing one moves the last instance into its slot
+ */
+class InscriptionBatch {
+  constructor(group, geometry, material) {
+    this.group = group;
+    this.baseGeometry = geometry;
+    this.material = material;
+    this.records = []; // instance index -> node record
+    this.mesh = null;
+    this.allocate(INITIAL_CAPACITY);
+  }
+  
+  get count() {
+    return this.records.length;
+  }
+  
+  /**
+   * (Re)build the instanced mesh with room for `capacity` instances,
+   * keeping the data of the current ones
+   */
+  allocate(capacity) {
+    const previous = this.mesh;
+    const geometry = this.baseGeometry.clone();
+    
+    Object.entries(INSTANCE_ATTRIBUTES).forEach(([name, itemSize]) => {
+      const array = new Float32Array(capacity * itemSize);
+      if (previous) {
+        array.set(previous.geometry.getAttribute(name).array);
+      }
+      geometry.setAttribute(name, new THREE.InstancedBufferAttribute(array, itemSize));
+    });
+    
+    const mesh = new THREE.InstancedMesh(geometry, this.material, capacity);
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    mesh.count = this.records.length;
+    mesh.userData.batch = this;
+    // Instances move in the vertex shader, so bounds are never tight anyway
+    mesh.frustumCulled = false;
+    
+    if (previous) {
+      mesh.instanceMatrix.array.set(previous.instanceMatrix.array);
+      this.group.remove(previous);
+      previous.geometry.dispose();
+      previous.dispose();
+    }
+    
+    this.mesh = mesh;
+    this.capacity = capacity;
+    this.group.add(mesh);
+  }
+  
+  /**
+   * Add a record's instance (with its stored attributes) and return its index
+   */
+  add(record) {
+    if (this.records.length === this.capacity) {
+      this.allocate(this.capacity * 2);
+    }
+    
+    record.batch = this;
+    record.index = this.records.length;
+    this.records.push(record);
+    this.mesh.count = this.records.length;
+    
+    Object.keys(INSTANCE_ATTRIBUTES).forEach(name => {
+      this.setAttribute(name, record.index, record.attributes[name]);
+    });
+    return record.index;
+  }
+  
+  /**
+   * Drop a record's instance, moving the last instance into its slot
+   */
+  remove(record) {
+    const index = record.index;
+    const last = this.records.length - 1;
+    
+    if (index !== last) {
+      const moved = this.records[last];
+      const matrix = this.mesh.instanceMatrix;
+      matrix.array.copyWithin(index * 16, last * 16, last * 16 + 16);
+      matrix.needsUpdate = true;
+      
+      Object.entries(INSTANCE_ATTRIBUTES).forEach(([name, itemSize]) => {
+        const attribute = this.mesh.geometry.getAttribute(name);
+        attribute.array.copyWithin(index * itemSize, last * itemSize, last * itemSize + itemSize);
+        attribute.needsUpdate = true;
+      });
+      
+      this.records[index] = moved;
+      moved.index = index;
+    }
+    
+    this.records.pop();
+    this.mesh.count = this.records.length;
+    this.mesh.boundingSphere = null;
+    record.batch = null;
+  }
+  
+  /**
+   * Set a per-instance attribute value (number or array for vector attributes)
+   */
+  setAttribute(name, index, value) {
+    const attribute = this.mesh.geometry.getAttribute(name);
+    if (Array.isArray(value)) {
+      attribute.array.set(value, index * attribute.itemSize);
+    } else {
+      attribute.array[index] = value;
+    }
+    attribute.needsUpdate = true;
+  }
+  
+  /**
+   * Set an instance's transform
+   */
+  setMatrix(index, matrix) {
+    this.mesh.setMatrixAt(index, matrix);
+    this.mesh.instanceMatrix.needsUpdate = true;
+    this.mesh.boundingSphere = null;
+  }
+}
+
 export class NodeSystem {
   constructor(scene, camera, renderer) {
     this.scene = scene;
     this.camera = camera;
     this.renderer = renderer;
     this.nodes = new Map(); // messageId -> node data
-    this.meshes = new Map(); // messageId -> THREE.Mesh
+    this.instances = new Map(); // messageId -> node record (batch, index, placement state)
+    this.replies = new Map(); // parentId -> Set of reply messageIds
+    this.twigs = new Map(); // replyId -> THREE.Mesh twig connecting it to its parent
+    this.visibilityLayers = new Map(); // name -> predicate(message); a node shows only if all pass
+    this.treeModel = null; // Grown tree model inscriptions sit on (see setTreeModel)
     this.time = 0;
     
+    // One instanced batch per tree part, all sharing one material
+    this.group = new THREE.Group();
+    this.scene.add(this.group);
+    this.material = this.createMaterial();
+    this.batches = new Map(); // treePart -> InscriptionBatch
+    
+    // Mid-range inscriptions as camera-facing billboards (one batch for all
+    // parts); far ones are counted into cluster sprites instead of drawn
+    this.billboardMaterial = this.createBillboardMaterial();
+    this.billboards = new InscriptionBatch(this.group, new THREE.PlaneGeometry(1, 1), this.billboardMaterial);
+    this.clusterGroup = new THREE.Group();
+    this.scene.add(this.clusterGroup);
+    this.clusters = new Map(); // cell key -> { sprite, center, count }
+    this.clusterTextures = new Map(); // count label -> CanvasTexture
+    this.clustersDirty = false;
+    
+    // Level assignment and frustum culling (see updateLevels)
+    this.frustum = new THREE.Frustum();
+    this.projectionView = new THREE.Matrix4();
+    this.cullSphere = new THREE.Sphere(new THREE.Vector3(), CULL_RADIUS);
+    this.lastCameraMatrix = new THREE.Matrix4();
+    this.lodTimer = 0;
+    this.lodDirty = true;
+    this.updateFrustum();
+    
+    // Records with work left in update(): visibility fades, gliding, withering
+    this.fading = new Set();
+    this.gliding = new Set();
+    this.withering = new Set();
+    
+    this.matrix = new THREE.Matrix4();
+    this.quaternion = new THREE.Quaternion();
+    this.scaleVector = new THREE.Vector3(1, 1, 1);
+    
+    // Shared material for reply twigs
+    this.twigMaterial = new THREE.MeshBasicMaterial({
+      color: MESSAGE_CONFIG.emissive,
+      transparent: true,
+      opacity: 0.55,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    });
+    
+    // Bend with the inscriptions they connect (twigs sit in world space)
+    this.twigMaterial.onBeforeCompile = (shader) => {
+      const { windTime, windVector } = this.material.uniforms;
+      Object.assign(shader.uniforms, { windTime, windVector });
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', `#include <common>
+          ${WIND_BEND_GLSL}`)
+        .replace('#include <begin_vertex>', `#include <begin_vertex>
+          transformed += windBend(transformed);`);
+    };
+    
+    // Drawn inscriptions (near and mid levels) for picking; clusters are
+    // few enough to raycast directly
+    this.pickGrid = new SpatialGrid(PICK_CELL, PICK_RADIUS, PICK_MARGIN);
+    this.weatherState = null; // Shared WeatherState (see applyWeather)
+    this.pickCenter = { x: 0, y: 0, z: 0 };
+    this.windOffset = { x: 0, y: 0, z: 0 };
     this.raycaster = new THREE.Raycaster();
     this.mouse = new THREE.Vector2();
     
@@ -31,6 +335,10 @@ export class NodeSystem {
     
     this.onNodeClick = null; // Callback for node clicks
     this.onNodeHover = null; // Callback for node hovers
+    this.onNodeAdded = null; // Callback when a message joins the scene
+    this.onNodeUpdated = null; // Callback when a shown message is edited
+    this.onNodeRemoved = null; // Callback when a message leaves the scene
+    this.onClusterClick = null; // Callback ({ center, count }) when a far cluster is clicked
     
     this.setupEventListeners();
   }
@@ -61,67 +369,90 @@ export class NodeSystem {
   
   /**
    * Create unified golden glow material for inscriptions
+   * Everything that used to be a per-mesh uniform is a per-instance attribute;
+   * birth, breathing, spin, sway and wither all run in the vertex shader
    */
-  createMaterial(glowIntensity = 1.0) {
+  createMaterial() {
     return new THREE.ShaderMaterial({
       uniforms: {
         time: { value: 0 },
         baseColor: { value: new THREE.Color(MESSAGE_CONFIG.color) },
         emissiveColor: { value: new THREE.Color(MESSAGE_CONFIG.emissive) },
-        pulsePhase: { value: Math.random() * Math.PI * 2 },
-        glowIntensity: { value: glowIntensity },
-        birthTime: { value: 0 },
-        currentTime: { value: 0 }
+        emissiveStrength: { value: MESSAGE_CONFIG.emissiveStrength },
+        windSway: { value: 0 }, // Extra sway amplitude from the wind
+        ...createWindUniforms() // Bend with the branches they sit on
       },
       vertexShader: `
+        ${INSTANCE_VERTEX_COMMON}
+        
         varying vec3 vNormal;
-        varying vec3 vPosition;
-        uniform float time;
-        uniform float pulsePhase;
+        varying vec3 vWorldPosition;
+        varying float vGlow;
+        varying float vPulsePhase;
+        varying float vFade;
+        varying float vVisibility;
         
         void main() {
-          vNormal = normal;
-          vPosition = position;
+          // Slow spin: around the surface normal when lying on the tree
+          float spin = time * 0.1 + instanceSway.x;
+          mat2 rotation = mat2(cos(spin), sin(spin), -sin(spin), cos(spin));
+          vec3 pos = position;
+          vec3 objectNormal = normal;
+          if (instanceOriented > 0.5) {
+            pos.xy = rotation * pos.xy;
+            objectNormal.xy = rotation * objectNormal.xy;
+          } else {
+            pos.xz = rotation * pos.xz;
+            objectNormal.xz = rotation * objectNormal.xz;
+          }
+          
+          float wither = witherAmount();
+          pos *= breathScale() * birthScale() * (1.0 - wither);
+          vec4 worldPosition = modelMatrix * instanceMatrix * vec4(pos, 1.0);
+          worldPosition.xyz += swayOffset(wither) + windBend(worldPosition.xyz);
           
-          // Subtle breathing animation
-          float breath = sin(time * 0.5 + pulsePhase) * 0.05 + 1.0;
-          vec3 pos = position * breath;
+          vWorldPosition = worldPosition.xyz;
+          vNormal = normalize(mat3(modelMatrix) * mat3(instanceMatrix) * objectNormal);
+          vGlow = instanceGlow;
+          vPulsePhase = instancePulsePhase;
+          vFade = fadeAmount(wither);
+          vVisibility = instanceVisibility;
           
-          gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+          gl_Position = projectionMatrix * viewMatrix * worldPosition;
         }
       `,
       fragmentShader: `
         uniform vec3 baseColor;
         uniform vec3 emissiveColor;
+        uniform float emissiveStrength;
         uniform float time;
-        uniform float pulsePhase;
-        uniform float glowIntensity;
-        uniform float birthTime;
-        uniform float currentTime;
         
         varying vec3 vNormal;
-        varying vec3 vPosition;
+        varying vec3 vWorldPosition;
+        varying float vGlow;
+        varying float vPulsePhase;
+        varying float vFade;
+        varying float vVisibility;
         
         void main() {
-          // Birth animation (fade in during first 1.4 seconds)
-          float birthDuration = 1.4;
-          float birthProgress = clamp((currentTime - birthTime) / birthDuration, 0.0, 1.0);
+          float alpha = vFade * (0.7 + vGlow * 0.3) * vVisibility;
+          if (alpha < 0.005) discard;
           
           // Pulsing golden glow
-          float pulse = sin(time * 2.0 + pulsePhase) * 0.3 + 0.7;
+          float pulse = sin(time * 2.0 + vPulsePhase) * 0.3 + 0.7;
           
           // Fresnel effect for rim glow
-          vec3 viewDir = normalize(cameraPosition - vPosition);
-          float fresnel = pow(1.0 - abs(dot(vNormal, viewDir)), 2.0);
+          vec3 viewDir = normalize(cameraPosition - vWorldPosition);
+          float fresnel = pow(1.0 - abs(dot(normalize(vNormal), viewDir)), 2.0);
           
           // Warm golden color with intensity variation
           vec3 color = mix(baseColor, emissiveColor, pulse * 0.3 + fresnel * 0.4);
           
           // Add emissive glow based on intensity
-          color += emissiveColor * fresnel * glowIntensity * 0.8;
+          color += emissiveColor * fresnel * vGlow * 0.8;
           
-          // Apply birth fade
-          float alpha = birthProgress * (0.7 + glowIntensity * 0.3);
+          // Emissive core for bloom to pick up; dark while filtered out
+          color += emissiveColor * vGlow * pulse * emissiveStrength * step(0.99, vVisibility);
           
           gl_FragColor = vec4(color, alpha);
         }
@@ -131,70 +462,259 @@ export class NodeSystem {
     });
   }
   
+  /**
+   * Soft glowing disc for mid-range inscriptions, always facing the camera
+   * Shares the inscription uniforms, so time, wind and glow strength follow
+   */
+  createBillboardMaterial() {
+    const { time, baseColor, emissiveColor, emissiveStrength, windSway, windTime, windVector } = this.material.uniforms;
+    
+    return new THREE.ShaderMaterial({
+      uniforms: { time, baseColor, emissiveColor, emissiveStrength, windSway, windTime, windVector },
+      vertexShader: `
+        ${INSTANCE_VERTEX_COMMON}
+        
+        varying vec2 vUv;
+        varying float vGlow;
+        varying float vPulsePhase;
+        varying float vFade;
+        varying float vVisibility;
+        
+        void main() {
+          float wither = witherAmount();
+          vec4 center = modelMatrix * instanceMatrix * vec4(0.0, 0.0, 0.0, 1.0);
+          center.xyz += swayOffset(wither) + windBend(center.xyz);
+          
+          // Spread the quad along the view's right and up axes
+          vec3 right = vec3(viewMatrix[0][0], viewMatrix[1][0], viewMatrix[2][0]);
+          vec3 up = vec3(viewMatrix[0][1], viewMatrix[1][1], viewMatrix[2][1]);
+          float size = ${BILLBOARD_SIZE.toFixed(2)} * breathScale() * birthScale() * (1.0 - wither);
+          vec3 worldPosition = center.xyz + (right * position.x + up * position.y) * size;
+          
+          vUv = uv;
+          vGlow = instanceGlow;
+          vPulsePhase = instancePulsePhase;
+          vFade = fadeAmount(wither);
+          vVisibility = instanceVisibility;
+          
+          gl_Position = projectionMatrix * viewMatrix * vec4(worldPosition, 1.0);
+        }
+      `,
+      fragmentShader: `
+        uniform vec3 baseColor;
+        uniform vec3 emissiveColor;
+        uniform float emissiveStrength;
+        uniform float time;
+        
+        varying vec2 vUv;
+        varying float vGlow;
+        varying float vPulsePhase;
+        varying float vFade;
+        varying float vVisibility;
+        
+        void main() {
+          // Bright core falling off to a soft rim
+          float glow = 1.0 - smoothstep(0.0, 1.0, length(vUv - 0.5) * 2.0);
+          float alpha = glow * vFade * (0.7 + vGlow * 0.3) * vVisibility;
+          if (alpha < 0.005) discard;
+          
+          float pulse = sin(time * 2.0 + vPulsePhase) * 0.3 + 0.7;
+          vec3 color = mix(emissiveColor, baseColor, glow * glow);
+          color += emissiveColor * vGlow * pulse * emissiveStrength * glow * step(0.99, vVisibility);
+          
+          gl_FragColor = vec4(color, alpha);
+        }
+      `,
+      transparent: true,
+      depthWrite: false,
+      side: THREE.DoubleSide
+    });
+  }
+  
+  /**
+   * The batch drawing a tree part's inscriptions (created on first use)
+   */
+  getBatch(treePart) {
+    if (!this.batches.has(treePart)) {
+      this.batches.set(treePart, new InscriptionBatch(this.group, this.createGeometry(treePart), this.material));
+    }
+    return this.batches.get(treePart);
+  }
+  
   /**
    * Add a new message inscription to the scene
    */
   addNode(message) {
-    const { message_id, userName } = message;
+    const { message_id, normal, glowIntensity } = message;
     
     // Skip if node already exists
-    if (this.meshes.has(message_id)) return;
-    
-    // Get placement - use existing values or calculate new ones
-    const treePart = message.treePart || getMessagePlacement(userName, message_id).treePart;
-    const position = message.position || getMessagePlacement(userName, message_id).position;
-    const glowIntensity = message.glowIntensity || getMessagePlacement(userName, message_id).glowIntensity;
-    
-    // Create enriched message with tree part info
-    const enrichedMessage = {
-      ...message,
-      treePart,
-      position,
-      glowIntensity
-    };
+    if (this.instances.has(message_id)) return;
     
-    // Create geometry and material
-    const geometry = this.createGeometry(treePart);
-    const material = this.createMaterial(glowIntensity);
-    
-    // Set birth time for animation
-    material.uniforms.birthTime.value = this.time;
-    
-    // Create mesh
-    const mesh = new THREE.Mesh(geometry, material);
-    mesh.position.set(position.x, position.y, position.z);
-    mesh.userData = { 
-      messageId: message_id, 
-      message: enrichedMessage,
-      originalPosition: { ...position },
-      swayPhase: Math.random() * Math.PI * 2,
-      swayAmplitude: 0.01 + Math.random() * 0.02
+    const surfacePosition = this.getSurfacePosition(message);
+    const record = {
+      messageId: message_id,
+      message,
+      surfacePosition,
+      originalPosition: { ...surfacePosition },
+      quaternion: new THREE.Quaternion(),
+      visibility: 1,
+      targetVisibility: 1,
+      hidden: false,
+      removed: false,
+      lod: null, // 'near' | 'mid' | 'far' | 'culled' (see getLevel)
+      batch: null,
+      // Per-instance shader values, kept here so the record can move between batches
+      attributes: {
+        instanceGlow: glowIntensity,
+        instancePulsePhase: Math.random() * Math.PI * 2,
+        instanceBirthTime: this.time,
+        instanceDeathTime: -1,
+        instanceVisibility: 1,
+        instanceSway: [Math.random() * Math.PI * 2, 0.01 + Math.random() * 0.02],
+        instanceOriented: normal ? 1 : 0
+      }
     };
     
-    // Add subtle point light for glow effect
-    const glow = new THREE.PointLight(MESSAGE_CONFIG.emissive, glowIntensity * 0.3, 2);
-    mesh.add(glow);
+    // Lie flush against the surface the placement snapped onto
+    if (normal) {
+      record.quaternion.setFromUnitVectors(
+        SURFACE_FACING,
+        new THREE.Vector3(normal.x, normal.y, normal.z).normalize()
+      );
+    }
     
-    this.scene.add(mesh);
-    this.meshes.set(message_id, mesh);
-    this.nodes.set(message_id, enrichedMessage);
+    this.instances.set(message_id, record);
+    this.nodes.set(message_id, message);
     
     // Birth animation
-    this.animateBirth(mesh);
+    this.animateBirth(record);
+    
+    // Connect to thread (parent may have loaded before or after this reply)
+    if (message.parent_id) {
+      if (!this.replies.has(message.parent_id)) {
+        this.replies.set(message.parent_id, new Set());
+      }
+      this.replies.get(message.parent_id).add(message_id);
+      this.createTwig(message_id);
+    }
+    (this.replies.get(message_id) || []).forEach(replyId => this.createTwig(replyId));
+    
+    if (this.visibilityLayers.size > 0) {
+      this.applyVisibility(record, true);
+      this.refreshTwigVisibility();
+    }
+    
+    this.setLevel(record, this.getLevel(record));
+    
+    if (this.onNodeAdded) {
+      this.onNodeAdded(message);
+    }
+    
+    return record;
+  }
+  
+  /**
+   * Write a record's position and orientation into its batch
+   */
+  updateMatrix(record) {
+    const { x, y, z } = record.originalPosition;
+    this.matrix.compose(new THREE.Vector3(x, y, z), record.quaternion, this.scaleVector);
+    record.batch.setMatrix(record.index, this.matrix);
+  }
+  
+  /**
+   * Store a per-instance shader value, writing it through when the record is drawn
+   */
+  setInstanceAttribute(record, name, value) {
+    record.attributes[name] = value;
+    if (record.batch) {
+      record.batch.setAttribute(name, record.index, value);
+    }
+  }
+  
+  /**
+   * Where an inscription sits on the current tree
+   * Trunk inscriptions ride outward as the bark thickens instead of sinking
+   * into it; the stored placement itself never changes
+   */
+  getSurfacePosition(message) {
+    const { treePart, position, normal } = message;
+    if (!this.treeModel || treePart !== 'trunk' || !normal) {
+      return { ...position };
+    }
+    
+    const radius = Math.hypot(position.x, position.z);
+    const bark = this.treeModel.trunkRadiusAt(position.y) + INSCRIPTION_OFFSET;
+    if (radius === 0 || radius >= bark) {
+      return { ...position };
+    }
+    
+    const scale = bark / radius;
+    return { x: position.x * scale, y: position.y, z: position.z * scale };
+  }
+  
+  /**
+   * Follow the tree as it grows (inscriptions glide to their new surface spot)
+   * @param {TreeModel} model
+   */
+  setTreeModel(model) {
+    this.treeModel = model;
+    
+    this.instances.forEach((record, messageId) => {
+      const surfacePosition = this.getSurfacePosition(record.message);
+      const previous = record.surfacePosition;
+      if (surfacePosition.x === previous.x && surfacePosition.z === previous.z) return;
+      
+      record.surfacePosition = surfacePosition;
+      this.gliding.add(record);
+      
+      // Re-grow the threads attached to it
+      const { parent_id } = record.message;
+      [parent_id && messageId, ...(this.replies.get(messageId) || [])]
+        .filter(Boolean)
+        .forEach(replyId => {
+          this.removeTwig(replyId);
+          this.createTwig(replyId);
+        });
+    });
+    
+    this.refreshTwigVisibility();
+  }
+  
+  /**
+   * Grow a thin glowing twig from a parent inscription to its reply
+   */
+  createTwig(replyId) {
+    const reply = this.nodes.get(replyId);
+    const parentRecord = reply && this.instances.get(reply.parent_id);
+    const replyRecord = this.instances.get(replyId);
+    if (!parentRecord || !replyRecord || this.twigs.has(replyId)) return;
+    
+    const start = new THREE.Vector3().copy(parentRecord.surfacePosition);
+    const end = new THREE.Vector3().copy(replyRecord.surfacePosition);
+    
+    // Bow the twig outward from the trunk axis so it reads as growth
+    const mid = start.clone().lerp(end, 0.5);
+    const outward = new THREE.Vector3(mid.x, 0, mid.z).normalize().multiplyScalar(0.12);
+    mid.add(outward).add(new THREE.Vector3(0, 0.08, 0));
     
-    return mesh;
+    const curve = new THREE.QuadraticBezierCurve3(start, mid, end);
+    const geometry = new THREE.TubeGeometry(curve, 12, 0.015, 5, false);
+    const twig = new THREE.Mesh(geometry, this.twigMaterial);
+    
+    this.scene.add(twig);
+    this.twigs.set(replyId, twig);
+    
+    this.animateTwigGrowth(twig);
   }
   
   /**
-   * Birth animation for new inscriptions
+   * Grow a twig from parent to reply by revealing its tube segments
    */
-  animateBirth(mesh) {
-    const startScale = 0.1;
-    const endScale = 1.0;
+  animateTwigGrowth(twig) {
     const duration = 1200; // ms
     const startTime = performance.now();
-    
-    mesh.scale.setScalar(startScale);
+    const indexCount = twig.geometry.index.count;
     
     const animate = () => {
       const elapsed = performance.now() - startTime;
@@ -203,19 +723,11 @@ export class NodeSystem {
       // Ease-out quad
       const eased = 1 - (1 - progress) * (1 - progress);
       
-      // Scale with overshoot
-      const overshoot = 1.1;
-      let scale;
-      if (progress < 0.7) {
-        scale = startScale + (endScale * overshoot - startScale) * (progress / 0.7);
-      } else {
-        const t = (progress - 0.7) / 0.3;
-        scale = endScale * overshoot - (endScale * overshoot - endScale) * t;
-      }
-      
-      mesh.scale.setScalar(scale);
+      // Tube indices run along the curve, so a prefix is a partial twig (whole triangles)
+      const count = Math.floor((indexCount * eased) / 3) * 3;
+      twig.geometry.setDrawRange(0, count);
       
-      if (progress < 1) {
+      if (progress < 1 && twig.parent) {
         requestAnimationFrame(animate);
       }
     };
@@ -223,6 +735,482 @@ export class NodeSystem {
     animate();
   }
   
+  /**
+   * Remove the twig connecting a reply to its parent
+   */
+  removeTwig(replyId) {
+    const twig = this.twigs.get(replyId);
+    if (!twig) return;
+    
+    this.scene.remove(twig);
+    twig.geometry.dispose();
+    this.twigs.delete(replyId);
+  }
+  
+  /**
+   * Get the parent message of a reply (null for top-level or unknown parents)
+   */
+  getParent(messageId) {
+    const message = this.nodes.get(messageId);
+    return (message && message.parent_id && this.nodes.get(message.parent_id)) || null;
+  }
+  
+  /**
+   * Get the replies to a message, oldest first
+   */
+  getReplies(messageId) {
+    return Array.from(this.replies.get(messageId) || [])
+      .map(replyId => this.nodes.get(replyId))
+      .filter(Boolean)
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+  
+  /**
+   * Birth animation for new inscriptions (grow and fade in, run by the shader)
+   */
+  animateBirth(record) {
+    this.setInstanceAttribute(record, 'instanceBirthTime', this.time);
+  }
+  
+  /**
+   * Update an edited message in place (ID and placement never change)
+   */
+  updateNode(message) {
+    const record = this.instances.get(message.message_id);
+    if (!record) return;
+    
+    const { treePart, position, normal, glowIntensity, placementVersion } = record.message;
+    const updated = { ...message, treePart, position, glowIntensity };
+    if (normal) {
+      updated.normal = normal;
+    }
+    if (placementVersion !== undefined) {
+      updated.placementVersion = placementVersion;
+    }
+    
+    record.message = updated;
+    this.nodes.set(message.message_id, updated);
+    
+    if (this.visibilityLayers.size > 0) {
+      this.applyVisibility(record);
+      this.refreshTwigVisibility();
+    }
+    
+    if (this.onNodeUpdated) {
+      this.onNodeUpdated(updated);
+    }
+  }
+  
+  /**
+   * Remove a deleted message's inscription with a wither animation
+   */
+  removeNode(messageId) {
+    const record = this.instances.get(messageId);
+    if (!record) return;
+    
+    // Detach from its thread; replies stay but lose their twigs to this node
+    const message = this.nodes.get(messageId);
+    if (message.parent_id && this.replies.has(message.parent_id)) {
+      this.replies.get(message.parent_id).delete(messageId);
+    }
+    this.removeTwig(messageId);
+    (this.replies.get(messageId) || []).forEach(replyId => this.removeTwig(replyId));
+    
+    // Unregister immediately so it can't be hovered, clicked or re-added mid-animation
+    this.instances.delete(messageId);
+    this.nodes.delete(messageId);
+    this.fading.delete(record);
+    this.gliding.delete(record);
+    this.pickGrid.remove(record);
+    if (record.lod === 'far') {
+      this.clustersDirty = true;
+      this.lodDirty = true;
+    }
+    if (this.hoveredNode === record) {
+      clearTimeout(this.hoverTimeout);
+      this.hoveredNode = null;
+      if (this.onNodeHover) {
+        this.onNodeHover(null);
+      }
+    }
+    
+    if (this.onNodeRemoved) {
+      this.onNodeRemoved(messageId);
+    }
+    
+    this.animateWither(record);
+  }
+  
+  /**
+   * Wither animation for deleted inscriptions (shrink, sink, fade)
+   * The shader animates from the death time; update() frees the slot after
+   */
+  animateWither(record) {
+    record.withering = true;
+    record.deathTime = this.time;
+    this.setInstanceAttribute(record, 'instanceDeathTime', this.time);
+    this.withering.add(record);
+  }
+  
+  /**
+   * Recompute the camera frustum used for culling
+   */
+  updateFrustum() {
+    this.camera.updateMatrixWorld();
+    this.projectionView.multiplyMatrices(this.camera.projectionMatrix, this.camera.matrixWorldInverse);
+    this.frustum.setFromProjectionMatrix(this.projectionView);
+  }
+  
+  /**
+   * Level of detail a record should be drawn at
+   * @returns {'near'|'mid'|'far'|'culled'} - Full geometry, billboard,
+   *   part of a cluster, or not drawn (hidden or out of view)
+   */
+  getLevel(record) {
+    if (record.removed) return 'culled';
+    
+    const { x, y, z } = record.originalPosition;
+    const center = this.cullSphere.center.set(x, y, z);
+    const distance = this.camera.position.distanceTo(center);
+    const { near, far, margin } = LOD;
+    
+    let level = distance < near ? 'near' : (distance < far ? 'mid' : 'far');
+    const previous = record.lod;
+    if (level !== previous && (previous === 'near' || previous === 'mid' || previous === 'far')) {
+      const boundary = level === 'near' || previous === 'near' ? near : far;
+      if (Math.abs(distance - boundary) < margin) {
+        level = previous;
+      }
+    }
+    
+    // Clusters are culled as whole sprites
+    if (level !== 'far' && !this.frustum.intersectsSphere(this.cullSphere)) {
+      return 'culled';
+    }
+    return level;
+  }
+  
+  /**
+   * Move a record into the batch (or cluster) for a level
+   */
+  setLevel(record, level) {
+    if (record.lod === level) return;
+    
+    if (record.lod === 'far' || level === 'far') {
+      this.clustersDirty = true;
+    }
+    if (record.batch) {
+      record.batch.remove(record);
+    }
+    record.lod = level;
+    
+    const batch = level === 'near'
+      ? this.getBatch(record.message.treePart)
+      : (level === 'mid' ? this.billboards : null);
+    if (batch) {
+      batch.add(record);
+      this.updateMatrix(record);
+      this.pickGrid.insert(record, record.originalPosition);
+    } else {
+      this.pickGrid.remove(record);
+    }
+  }
+  
+  /**
+   * Reassign every inscription's level of detail and refresh the clusters
+   */
+  updateLevels() {
+    this.updateFrustum();
+    this.instances.forEach(record => this.setLevel(record, this.getLevel(record)));
+    
+    if (this.clustersDirty) {
+      this.rebuildClusters();
+    }
+  }
+  
+  /**
+   * Count far inscriptions per grid cell into glowing cluster sprites
+   */
+  rebuildClusters() {
+    this.clustersDirty = false;
+    
+    const cells = new Map(); // cell key -> { center, count }
+    this.instances.forEach(record => {
+      if (record.lod !== 'far' || record.hidden) return;
+      
+      const { x, y, z } = record.originalPosition;
+      const key = `${Math.floor(x / CLUSTER_CELL)},${Math.floor(y / CLUSTER_CELL)},${Math.floor(z / CLUSTER_CELL)}`;
+      if (!cells.has(key)) {
+        cells.set(key, { center: new THREE.Vector3(), count: 0 });
+      }
+      const cell = cells.get(key);
+      cell.center.x += x;
+      cell.center.y += y;
+      cell.center.z += z;
+      cell.count++;
+    });
+    
+    // Drop clusters whose inscriptions came closer, were hidden or were deleted
+    this.clusters.forEach((cluster, key) => {
+      if (!cells.has(key)) {
+        this.clusterGroup.remove(cluster.sprite);
+        cluster.sprite.material.dispose();
+        this.clusters.delete(key);
+      }
+    });
+    
+    cells.forEach(({ center, count }, key) => {
+      center.divideScalar(count);
+      
+      let cluster = this.clusters.get(key);
+      if (!cluster) {
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+          transparent: true,
+          depthWrite: false,
+          blending: THREE.AdditiveBlending
+        }));
+        sprite.userData.clusterKey = key;
+        this.clusterGroup.add(sprite);
+        cluster = { sprite, center, count: 0 };
+        this.clusters.set(key, cluster);
+      }
+      
+      cluster.center = center;
+      cluster.sprite.position.copy(center);
+      if (cluster.count !== count) {
+        cluster.count = count;
+        cluster.sprite.material.map = this.getClusterTexture(count);
+        cluster.sprite.material.needsUpdate = true;
+        cluster.sprite.scale.setScalar(CLUSTER_SIZE * (1 + Math.log10(count)));
+      }
+    });
+  }
+  
+  /**
+   * Glow with a count label for a cluster sprite (cached per label)
+   */
+  getClusterTexture(count) {
+    let label = '';
+    if (count > 1) {
+      label = count < 1000 ? String(count) : `${(count / 1000).toFixed(1)}k`;
+    }
+    if (this.clusterTextures.has(label)) {
+      return this.clusterTextures.get(label);
+    }
+    
+    const size = 128;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const context = canvas.getContext('2d');
+    
+    const glow = context.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+    glow.addColorStop(0, 'rgba(255, 215, 0, 0.9)');
+    glow.addColorStop(0.35, 'rgba(255, 165, 0, 0.45)');
+    glow.addColorStop(1, 'rgba(255, 165, 0, 0)');
+    context.fillStyle = glow;
+    context.fillRect(0, 0, size, size);
+    
+    if (label) {
+      context.font = 'bold 36px sans-serif';
+      context.textAlign = 'center';
+      context.textBaseline = 'middle';
+      context.fillStyle = '#fff8e0';
+      context.fillText(label, size / 2, size / 2 + 2);
+    }
+    
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    this.clusterTextures.set(label, texture);
+    return texture;
+  }
+  
+  /**
+   * Set (or with null, remove) a named visibility layer
+   * Nodes failing any layer fade out, lose their light and ignore the mouse
+   * @param {string} name - Layer name (e.g. 'filter')
+   * @param {Function|null} predicate - (message) => boolean
+   * @param {Object} options
+   * @param {boolean} options.hide - Hide failing nodes completely instead of
+   *   fading them; they replay their birth when they pass again
+   */
+  setVisibilityLayer(name, predicate, { hide = false } = {}) {
+    if (predicate) {
+      this.visibilityLayers.set(name, { predicate, hide });
+    } else {
+      this.visibilityLayers.delete(name);
+    }
+    
+    this.instances.forEach(record => this.applyVisibility(record));
+    this.refreshTwigVisibility();
+  }
+  
+  /**
+   * Check a message against every visibility layer
+   * @returns {'visible'|'faded'|'hidden'}
+   */
+  getMessageVisibility(message) {
+    let state = 'visible';
+    for (const { predicate, hide } of this.visibilityLayers.values()) {
+      if (!predicate(message)) {
+        if (hide) return 'hidden';
+        state = 'faded';
+      }
+    }
+    return state;
+  }
+  
+  /**
+   * Update one node's hidden state; the fade itself runs in update()
+   * @param {boolean} immediate - Skip the fade (for nodes that were never shown)
+   */
+  applyVisibility(record, immediate = false) {
+    const state = this.getMessageVisibility(record.message);
+    const visible = state === 'visible';
+    const wasRemoved = record.removed;
+    const wasHidden = record.hidden;
+    
+    record.hidden = !visible;
+    record.removed = state === 'hidden';
+    if (record.hidden !== wasHidden || record.removed !== wasRemoved) {
+      // Hidden inscriptions are culled and leave their clusters
+      this.lodDirty = true;
+      this.clustersDirty = this.clustersDirty || record.lod === 'far';
+    }
+    record.targetVisibility = visible ? 1 : (state === 'faded' ? HIDDEN_VISIBILITY : 0);
+    
+    if (immediate || record.removed || wasRemoved) {
+      this.setVisibility(record, record.targetVisibility);
+      if (wasRemoved && !record.removed && !immediate) {
+        // Coming back from fully hidden: grow in again
+        this.animateBirth(record);
+      }
+    } else if (record.visibility !== record.targetVisibility) {
+      this.fading.add(record);
+    }
+    
+    if (!visible && this.hoveredNode === record) {
+      clearTimeout(this.hoverTimeout);
+      this.hoveredNode = null;
+      if (this.onNodeHover) {
+        this.onNodeHover(null);
+      }
+    }
+  }
+  
+  /**
+   * Write a record's current visibility into its batch
+   */
+  setVisibility(record, visibility) {
+    record.visibility = visibility;
+    this.setInstanceAttribute(record, 'instanceVisibility', visibility);
+    if (visibility === record.targetVisibility) {
+      this.fading.delete(record);
+    }
+  }
+  
+  /**
+   * Show a twig only while both ends of it are visible
+   */
+  refreshTwigVisibility() {
+    this.twigs.forEach((twig, replyId) => {
+      const reply = this.instances.get(replyId);
+      const parent = this.instances.get(this.nodes.get(replyId).parent_id);
+      twig.visible = Boolean(reply && parent && !reply.hidden && !parent.hidden);
+    });
+  }
+  
+  /**
+   * Stored positions of every inscription (for spacing new placements)
+   */
+  getOccupiedPositions() {
+    return Array.from(this.nodes.values(), message => message.position);
+  }
+  
+  /**
+   * Find the inscription under the pointer
+   * Walks a spatial grid along the pick ray, so the cost doesn't grow with
+   * the number of inscriptions. Only drawn inscriptions (not clustered or
+   * culled) count; faded, hidden and withering ones ignore the mouse
+   * @returns {{messageId: string, treePart: string, point: THREE.Vector3, message: Object}|null}
+   *   `point` is where the ray meets the inscription
+   */
+  pick(event) {
+    this.setRayFromEvent(event);
+    const { origin, direction } = this.raycaster.ray;
+    const hit = this.pickGrid.raycast(origin, direction, {
+      maxDistance: this.raycaster.far,
+      accept: record => !record.hidden && !record.withering,
+      getCenter: record => this.getShownPosition(record, this.pickCenter)
+    });
+    if (!hit) return null;
+    
+    const { messageId, message } = hit.item;
+    return {
+      messageId,
+      treePart: message.treePart,
+      point: new THREE.Vector3(hit.point.x, hit.point.y, hit.point.z),
+      message
+    };
+  }
+  
+  /**
+   * Where an inscription is drawn right now: its place moved by the sway and
+   * wind bend the vertex shaders add (see INSTANCE_VERTEX_COMMON)
+   * @param {Object} record
+   * @param {{x, y, z}} target - Receives the position
+   */
+  getShownPosition(record, target) {
+    const { x, y, z } = record.originalPosition;
+    const [phase, sway] = record.attributes.instanceSway;
+    const amplitude = sway + this.material.uniforms.windSway.value;
+    target.x = x + Math.sin(this.time * 0.3 + phase) * amplitude;
+    target.y = y + Math.sin(this.time * 0.4 + phase + 1) * amplitude * 0.5;
+    target.z = z + Math.cos(this.time * 0.35 + phase) * amplitude;
+    
+    if (this.weatherState) {
+      const bend = this.weatherState.getWindBend(record.originalPosition, this.windOffset);
+      target.x += bend.x;
+      target.y += bend.y;
+      target.z += bend.z;
+    }
+    return target;
+  }
+  
+  /**
+   * Find the cluster sprite under the pointer
+   * @returns {{center: THREE.Vector3, count: number}|null}
+   */
+  pickCluster(event) {
+    this.setRayFromEvent(event);
+    const intersects = this.raycaster.intersectObjects(this.clusterGroup.children, false);
+    if (intersects.length === 0) return null;
+    
+    const { center, count } = this.clusters.get(intersects[0].object.userData.clusterKey);
+    return { center: center.clone(), count };
+  }
+  
+  /**
+   * Aim the raycaster through the pointer
+   */
+  setRayFromEvent(event) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    this.raycaster.setFromCamera(this.mouse, this.camera);
+  }
+  
+  /**
+   * Number of nodes passing every visibility layer (faded and hidden excluded)
+   */
+  getVisibleCount() {
+    let count = 0;
+    this.instances.forEach(record => {
+      if (!record.hidden) count++;
+    });
+    return count;
+  }
+  
   /**
    * Load existing nodes from storage
    */
@@ -236,7 +1224,7 @@ export class NodeSystem {
    * Get node by message ID
    */
   getNodeByMessageId(messageId) {
-    return this.meshes.get(messageId);
+    return this.instances.get(messageId);
   }
   
   /**
@@ -265,30 +1253,22 @@ export class NodeSystem {
    * Handle mouse movement for hover effects
    */
   onMouseMove(event) {
-    const rect = this.renderer.domElement.getBoundingClientRect();
-    this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-    this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
-    
-    // Raycast to find hovered node
-    this.raycaster.setFromCamera(this.mouse, this.camera);
-    const meshArray = Array.from(this.meshes.values());
-    const intersects = this.raycaster.intersectObjects(meshArray);
+    const hit = this.pick(event);
+    const record = hit && this.instances.get(hit.messageId);
     
-    if (intersects.length > 0) {
-      const mesh = intersects[0].object;
-      
-      if (this.hoveredNode !== mesh) {
+    if (record) {
+      if (this.hoveredNode !== record) {
         // Clear existing timeout
         if (this.hoverTimeout) {
           clearTimeout(this.hoverTimeout);
         }
         
-        this.hoveredNode = mesh;
+        this.hoveredNode = record;
         
         // Delay showing hover label
         this.hoverTimeout = setTimeout(() => {
-          if (this.onNodeHover && mesh.userData.message) {
-            this.onNodeHover(mesh.userData.message, event.clientX, event.clientY);
+          if (this.onNodeHover && record.message) {
+            this.onNodeHover(record.message, event.clientX, event.clientY);
           }
         }, 250);
       }
@@ -307,49 +1287,85 @@ export class NodeSystem {
    * Handle mouse click for node selection
    */
   onMouseClick(event) {
-    const rect = this.renderer.domElement.getBoundingClientRect();
-    this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-    this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
-    
-    this.raycaster.setFromCamera(this.mouse, this.camera);
-    const meshArray = Array.from(this.meshes.values());
-    const intersects = this.raycaster.intersectObjects(meshArray);
-    
-    if (intersects.length > 0 && this.onNodeClick) {
-      const mesh = intersects[0].object;
-      if (mesh.userData.message) {
-        this.onNodeClick(mesh.userData.message);
+    const hit = this.pick(event);
+    if (hit) {
+      if (this.onNodeClick) {
+        this.onNodeClick(hit.message);
       }
+      return;
+    }
+    
+    const cluster = this.pickCluster(event);
+    if (cluster && this.onClusterClick) {
+      this.onClusterClick(cluster);
     }
   }
   
   /**
    * Update all nodes (animation loop)
+   * Per-frame motion runs on the GPU; only records mid-fade, mid-glide or
+   * withering are touched here, and culled or clustered ones (not drawn)
+   * skip straight to the end of their fade or glide
    */
   update(deltaTime) {
     this.time += deltaTime;
+    this.material.uniforms.time.value = this.time;
     
-    this.meshes.forEach((mesh) => {
-      // Update shader uniforms
-      if (mesh.material.uniforms) {
-        mesh.material.uniforms.time.value = this.time;
-        mesh.material.uniforms.currentTime.value = this.time;
+    // Reassign levels of detail while the camera moves or nodes change
+    this.lodTimer += deltaTime;
+    if (this.lodTimer >= LOD_INTERVAL) {
+      const moved = !this.lastCameraMatrix.equals(this.camera.matrixWorld);
+      if (moved || this.lodDirty) {
+        this.lastCameraMatrix.copy(this.camera.matrixWorld);
+        this.lodDirty = false;
+        this.lodTimer = 0;
+        this.updateLevels();
       }
-      
-      // Dreamy sway animation
-      const userData = mesh.userData;
-      if (userData.originalPosition) {
-        const swayX = Math.sin(this.time * 0.3 + userData.swayPhase) * userData.swayAmplitude;
-        const swayY = Math.sin(this.time * 0.4 + userData.swayPhase + 1) * userData.swayAmplitude * 0.5;
-        const swayZ = Math.cos(this.time * 0.35 + userData.swayPhase) * userData.swayAmplitude;
-        
-        mesh.position.x = userData.originalPosition.x + swayX;
-        mesh.position.y = userData.originalPosition.y + swayY;
-        mesh.position.z = userData.originalPosition.z + swayZ;
+    }
+    
+    // Ease toward the filtered/unfiltered opacity
+    this.fading.forEach(record => {
+      if (!record.batch) {
+        this.setVisibility(record, record.targetVisibility);
+        return;
+      }
+      const difference = record.targetVisibility - record.visibility;
+      const next = Math.abs(difference) < 0.005
+        ? record.targetVisibility
+        : record.visibility + difference * Math.min(1, deltaTime * 6);
+      this.setVisibility(record, next);
+    });
+    
+    // Glide along with a growing tree
+    this.gliding.forEach(record => {
+      const { originalPosition, surfacePosition } = record;
+      if (!record.batch) {
+        originalPosition.x = surfacePosition.x;
+        originalPosition.z = surfacePosition.z;
+        this.gliding.delete(record);
+        return;
       }
+      const glide = Math.min(1, deltaTime * 0.8);
+      originalPosition.x += (surfacePosition.x - originalPosition.x) * glide;
+      originalPosition.z += (surfacePosition.z - originalPosition.z) * glide;
       
-      // Slow rotation
-      mesh.rotation.y += deltaTime * 0.1;
+      if (Math.abs(surfacePosition.x - originalPosition.x) + Math.abs(surfacePosition.z - originalPosition.z) < 1e-4) {
+        originalPosition.x = surfacePosition.x;
+        originalPosition.z = surfacePosition.z;
+        this.gliding.delete(record);
+      }
+      this.updateMatrix(record);
+      this.pickGrid.insert(record, originalPosition);
+    });
+    
+    // Free the slots of fully withered inscriptions
+    this.withering.forEach(record => {
+      if (!record.batch || this.time - record.deathTime >= WITHER_DURATION) {
+        if (record.batch) {
+          record.batch.remove(record);
+        }
+        this.withering.delete(record);
+      }
     });
   }
   
@@ -357,10 +1373,25 @@ export class NodeSystem {
    * Apply wind effect to all nodes
    */
   applyWind(strength) {
-    this.meshes.forEach((mesh) => {
-      const userData = mesh.userData;
-      userData.swayAmplitude = 0.02 + strength * 0.05;
-    });
+    this.material.uniforms.windSway.value = strength * 0.05;
+  }
+  
+  /**
+   * Follow the shared weather state (call every frame)
+   * @param {WeatherState} state
+   */
+  applyWeather(state) {
+    this.weatherState = state;
+    this.applyWind(state.windStrength);
+    applyWindUniforms(this.material.uniforms, state);
+  }
+  
+  /**
+   * Brighten inscriptions after dark
+   * @param {number} night - 0 in daylight, 1 at night
+   */
+  setNightGlow(night) {
+    this.material.uniforms.emissiveStrength.value = MESSAGE_CONFIG.emissiveStrength * (1 + NIGHT_GLOW * night);
   }
   
   /**
@@ -368,18 +1399,29 @@ export class NodeSystem {
    */
   getAllPositions() {
     const positions = [];
-    this.meshes.forEach((mesh) => {
-      positions.push(mesh.position.clone());
+    this.instances.forEach((record) => {
+      positions.push(this.getNodePosition(record));
     });
     return positions;
   }
   
+  /**
+   * Current resting position of a node
+   * @returns {THREE.Vector3}
+   */
+  getNodePosition(record) {
+    const { x, y, z } = record.originalPosition;
+    return new THREE.Vector3(x, y, z);
+  }
+  
   /**
    * Highlight a specific node (for search results)
    */
   highlightNode(messageId) {
-    const mesh = this.meshes.get(messageId);
-    if (!mesh) return null;
+    const record = this.instances.get(messageId);
+    if (!record) return null;
+    
+    const position = this.getNodePosition(record);
     
     // Create highlight effect
     const highlightGeom = new THREE.SphereGeometry(0.6, 16, 16);
@@ -391,7 +1433,7 @@ export class NodeSystem {
     });
     
     const highlight = new THREE.Mesh(highlightGeom, highlightMat);
-    highlight.position.copy(mesh.position);
+    highlight.position.copy(position);
     this.scene.add(highlight);
     
     // Animate highlight
@@ -412,6 +1454,6 @@ export class NodeSystem {
     
     animateHighlight();
     
-    return mesh.position;
+    return position;
   }
 }
@@ -0,0 +1,424 @@
+/**
+ * Passes.js - Post-processing Passes
+ * Building blocks for the PostProcessing chain. A pass either publishes
+ * buffers for later passes (bloom, god rays) or turns the current image into
+ * a new one (compositor, vignette, film grain...)
+ */
+
+import * as THREE from 'three';
+
+const FULLSCREEN_VERTEX = `
+  varying vec2 vUv;
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position, 1.0);
+  }
+`;
+
+/**
+ * Fullscreen shader material for a pass
+ */
+export function createPassMaterial({ uniforms, fragmentShader }) {
+  return new THREE.ShaderMaterial({
+    uniforms,
+    vertexShader: FULLSCREEN_VERTEX,
+    fragmentShader,
+    depthTest: false,
+    depthWrite: false
+  });
+}
+
+/**
+ * Copy option values into matching uniforms
+ * Colors and vectors are set in place; unknown options are reported
+ * @returns {boolean} - False if any option had no uniform
+ */
+function setUniforms(passName, uniforms, options) {
+  let ok = true;
+  Object.entries(options).forEach(([key, value]) => {
+    const uniform = uniforms[key];
+    if (!uniform) {
+      console.error(`Unknown option for the ${passName} pass:`, key);
+      ok = false;
+      return;
+    }
+    if (uniform.value && uniform.value.isColor) {
+      uniform.value.set(value);
+    } else if (uniform.value && typeof uniform.value.copy === 'function' && typeof value === 'object') {
+      uniform.value.copy(value);
+    } else {
+      uniform.value = value;
+    }
+  });
+  return ok;
+}
+
+/**
+ * Base pass
+ *
+ * render(chain, frame) receives:
+ *   frame.input   - texture of the image so far (the scene for the first pass)
+ *   frame.output  - render target to write the next image to, or null for the
+ *                   screen (only for passes with needsSwap)
+ *   frame.buffers - textures published this frame: scene, depth (when a pass
+ *                   needs it), and whatever earlier passes added
+ *   frame.time    - seconds since the chain started
+ */
+export class Pass {
+  constructor(name) {
+    this.name = name;
+    this.enabled = true;
+    this.needsSwap = false; // True if the pass writes a new image
+    this.needsDepth = false; // True if it reads frame.buffers.depth
+  }
+
+  /**
+   * Change options at runtime
+   * @returns {boolean} - False for unknown options
+   */
+  configure() {
+    return true;
+  }
+
+  /**
+   * Canvas size changed (render targets are resized by the chain)
+   */
+  setSize() {}
+
+  render() {}
+
+  dispose() {}
+}
+
+/**
+ * Image pass from a single fragment shader
+ * The shader samples the current image as `tDiffuse`; a `time` uniform, if
+ * declared, is kept up to date
+ */
+export class ShaderPass extends Pass {
+  constructor(name, { uniforms = {}, fragmentShader }) {
+    super(name);
+    this.needsSwap = true;
+    this.material = createPassMaterial({
+      uniforms: { tDiffuse: { value: null }, ...uniforms },
+      fragmentShader
+    });
+  }
+
+  configure(options) {
+    return setUniforms(this.name, this.material.uniforms, options);
+  }
+
+  render(chain, { input, output, time }) {
+    this.material.uniforms.tDiffuse.value = input;
+    if (this.material.uniforms.time) {
+      this.material.uniforms.time.value = time;
+    }
+    chain.renderQuad(this.material, output);
+  }
+
+  dispose() {
+    this.material.dispose();
+  }
+}
+
+/**
+ * Bloom: bright pass, then blurred at quarter resolution
+ * Publishes `bright` (half resolution) and `bloom`
+ */
+export class BloomPass extends Pass {
+  constructor({ threshold = 0.5, smoothing = 0.3, passes = 2 } = {}) {
+    super('bloom');
+    this.passes = passes; // Horizontal + vertical blur pairs
+
+    // Bright pass - extracts bright areas
+    this.brightMaterial = createPassMaterial({
+      uniforms: {
+        tDiffuse: { value: null },
+        threshold: { value: threshold },
+        smoothing: { value: smoothing }
+      },
+      fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform float threshold;
+        uniform float smoothing;
+        varying vec2 vUv;
+
+        void main() {
+          vec4 color = texture2D(tDiffuse, vUv);
+          float brightness = dot(color.rgb, vec3(0.2126, 0.7152, 0.0722));
+          float contribution = smoothstep(threshold - smoothing, threshold + smoothing, brightness);
+          gl_FragColor = vec4(color.rgb * contribution, 1.0);
+        }
+      `
+    });
+
+    // Gaussian blur pass
+    this.blurMaterial = createPassMaterial({
+      uniforms: {
+        tDiffuse: { value: null },
+        direction: { value: new THREE.Vector2(1, 0) },
+        resolution: { value: new THREE.Vector2(1, 1) }
+      },
+      fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform vec2 direction;
+        uniform vec2 resolution;
+        varying vec2 vUv;
+
+        void main() {
+          vec2 texelSize = 1.0 / resolution;
+          vec3 result = vec3(0.0);
+
+          // 9-tap Gaussian blur
+          float weights[5];
+          weights[0] = 0.227027;
+          weights[1] = 0.1945946;
+          weights[2] = 0.1216216;
+          weights[3] = 0.054054;
+          weights[4] = 0.016216;
+
+          result += texture2D(tDiffuse, vUv).rgb * weights[0];
+
+          for (int i = 1; i < 5; i++) {
+            vec2 offset = direction * texelSize * float(i) * 2.0;
+            result += texture2D(tDiffuse, vUv + offset).rgb * weights[i];
+            result += texture2D(tDiffuse, vUv - offset).rgb * weights[i];
+          }
+
+          gl_FragColor = vec4(result, 1.0);
+        }
+      `
+    });
+  }
+
+  /**
+   * @param {Object} options - { threshold, smoothing, passes }
+   */
+  configure({ passes, ...uniforms }) {
+    if (passes !== undefined) {
+      this.passes = Math.max(1, Math.round(passes));
+    }
+    return setUniforms(this.name, this.brightMaterial.uniforms, uniforms);
+  }
+
+  render(chain, { input, buffers }) {
+    const bright = chain.getRenderTarget('bright', 0.5);
+    const blurA = chain.getRenderTarget('blurA', 0.25);
+    const blurB = chain.getRenderTarget('blurB', 0.25);
+
+    this.brightMaterial.uniforms.tDiffuse.value = input;
+    chain.renderQuad(this.brightMaterial, bright);
+
+    const { uniforms } = this.blurMaterial;
+    uniforms.resolution.value.set(blurA.width, blurA.height);
+
+    let source = bright;
+    for (let pass = 0; pass < this.passes; pass++) {
+      uniforms.tDiffuse.value = source.texture;
+      uniforms.direction.value.set(1, 0);
+      chain.renderQuad(this.blurMaterial, blurA);
+
+      uniforms.tDiffuse.value = blurA.texture;
+      uniforms.direction.value.set(0, 1);
+      chain.renderQuad(this.blurMaterial, blurB);
+      source = blurB;
+    }
+
+    buffers.bright = bright.texture;
+    buffers.bloom = blurB.texture;
+  }
+
+  dispose() {
+    this.brightMaterial.dispose();
+    this.blurMaterial.dispose();
+  }
+}
+
+/**
+ * God rays: radial blur of the bright buffer (or the image) toward the light
+ * Publishes `godRays` (half resolution)
+ */
+export class GodRaysPass extends Pass {
+  constructor() {
+    super('godRays');
+
+    this.material = createPassMaterial({
+      uniforms: {
+        tDiffuse: { value: null },
+        lightPosition: { value: new THREE.Vector2(0.7, 0.3) },
+        exposure: { value: 0.3 },
+        decay: { value: 0.95 },
+        density: { value: 0.8 },
+        weight: { value: 0.4 },
+        samples: { value: 50 }
+      },
+      fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform vec2 lightPosition;
+        uniform float exposure;
+        uniform float decay;
+        uniform float density;
+        uniform float weight;
+        uniform int samples;
+        varying vec2 vUv;
+
+        void main() {
+          vec2 deltaTexCoord = (vUv - lightPosition) * density / float(samples);
+          vec2 texCoord = vUv;
+
+          vec4 fragColor = vec4(0.0);
+          float illuminationDecay = 1.0;
+
+          for (int i = 0; i < 50; i++) {
+            if (i >= samples) break;
+
+            texCoord -= deltaTexCoord;
+            vec4 sampleColor = texture2D(tDiffuse, texCoord);
+            sampleColor *= illuminationDecay * weight;
+            fragColor += sampleColor;
+            illuminationDecay *= decay;
+          }
+
+          fragColor *= exposure;
+          fragColor.a = 1.0;
+
+          gl_FragColor = fragColor;
+        }
+      `
+    });
+  }
+
+  /**
+   * @param {Object} options - { lightPosition, exposure, decay, density, weight, samples (up to 50) }
+   */
+  configure(options) {
+    const { samples, ...uniforms } = options;
+    if (samples !== undefined) {
+      this.material.uniforms.samples.value = Math.min(50, Math.max(1, Math.round(samples)));
+    }
+    return setUniforms(this.name, this.material.uniforms, uniforms);
+  }
+
+  render(chain, { input, buffers }) {
+    const target = chain.getRenderTarget('godRays', 0.5);
+    this.material.uniforms.tDiffuse.value = buffers.bright || input;
+    chain.renderQuad(this.material, target);
+    buffers.godRays = target.texture;
+  }
+
+  dispose() {
+    this.material.dispose();
+  }
+}
+
+/**
+ * Compositor: adds bloom and god rays to the image, tone maps and gamma
+ * corrects. Missing buffers (their pass is off) count as black
+ */
+export class CompositePass extends ShaderPass {
+  constructor() {
+    super('composite', {
+      uniforms: {
+        tBloom: { value: null },
+        tGodRays: { value: null },
+        bloomStrength: { value: 0.5 },
+        godRaysStrength: { value: 0.3 },
+        exposure: { value: 1.0 },
+        gamma: { value: 2.2 }
+      },
+      fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform sampler2D tBloom;
+        uniform sampler2D tGodRays;
+        uniform float bloomStrength;
+        uniform float godRaysStrength;
+        uniform float exposure;
+        uniform float gamma;
+        varying vec2 vUv;
+
+        void main() {
+          vec3 scene = texture2D(tDiffuse, vUv).rgb;
+          vec3 bloom = texture2D(tBloom, vUv).rgb;
+          vec3 godRays = texture2D(tGodRays, vUv).rgb;
+
+          // Combine passes
+          vec3 color = scene;
+          color += bloom * bloomStrength;
+          color += godRays * godRaysStrength;
+
+          // Tone mapping (Reinhard)
+          color = color / (color + vec3(1.0));
+
+          // Exposure
+          color *= exposure;
+
+          // Gamma correction
+          color = pow(color, vec3(1.0 / gamma));
+
+          gl_FragColor = vec4(color, 1.0);
+        }
+      `
+    });
+  }
+
+  render(chain, frame) {
+    const { uniforms } = this.material;
+    uniforms.tBloom.value = frame.buffers.bloom || chain.blackTexture;
+    uniforms.tGodRays.value = frame.buffers.godRays || chain.blackTexture;
+    super.render(chain, frame);
+  }
+}
+
+/**
+ * Darken the corners
+ */
+export function createVignettePass({ offset = 1.0, darkness = 1.1 } = {}) {
+  return new ShaderPass('vignette', {
+    uniforms: {
+      offset: { value: offset },
+      darkness: { value: darkness }
+    },
+    fragmentShader: `
+      uniform sampler2D tDiffuse;
+      uniform float offset;
+      uniform float darkness;
+      varying vec2 vUv;
+
+      void main() {
+        vec4 color = texture2D(tDiffuse, vUv);
+        vec2 uv = (vUv - 0.5) * offset;
+        float vignette = clamp(1.0 - dot(uv, uv) * darkness, 0.0, 1.0);
+        gl_FragColor = vec4(color.rgb * vignette, color.a);
+      }
+    `
+  });
+}
+
+/**
+ * Animated film grain
+ */
+export function createFilmGrainPass({ intensity = 0.06 } = {}) {
+  return new ShaderPass('filmGrain', {
+    uniforms: {
+      intensity: { value: intensity },
+      time: { value: 0 }
+    },
+    fragmentShader: `
+      uniform sampler2D tDiffuse;
+      uniform float intensity;
+      uniform float time;
+      varying vec2 vUv;
+
+      float random(vec2 p) {
+        return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+      }
+
+      void main() {
+        vec4 color = texture2D(tDiffuse, vUv);
+        float grain = random(vUv + fract(time)) - 0.5;
+        gl_FragColor = vec4(color.rgb + grain * intensity, color.a);
+      }
+    `
+  });
+}
@@ -1,353 +1,393 @@
 /**
  * PostProcessing.js - Bloom and God-rays Effects
  * Handles visual post-processing for the ethereal look
+ *
+ * The scene is rendered once, then run through an ordered chain of passes
+ * (see Passes.js). Passes can be added, removed, reordered, toggled and
+ * configured at runtime; the chain owns the render targets, keeps them
+ * sized with the canvas and shares them between passes by name
  */
 
 import * as THREE from 'three';
+import { BloomPass, GodRaysPass, CompositePass, createPassMaterial } from './Passes.js';
+
+const TARGET_OPTIONS = {
+  minFilter: THREE.LinearFilter,
+  magFilter: THREE.LinearFilter,
+  format: THREE.RGBAFormat,
+  type: THREE.HalfFloatType
+};
+
+// How far past the screen edge (in NDC) god rays fade out
+const SUN_EDGE_FADE = 0.3;
+
+// How quickly the god-ray strength follows the sun's visibility (per second)
+const SUN_FADE_RATE = 4;
 
 export class PostProcessing {
   constructor(renderer, scene, camera) {
     this.renderer = renderer;
     this.scene = scene;
     this.camera = camera;
-    
-    this.width = window.innerWidth;
-    this.height = window.innerHeight;
-    
-    this.setupRenderTargets();
-    this.setupBloomPass();
-    this.setupGodRays();
-    this.setupCompositor();
-    
-    window.addEventListener('resize', () => this.onResize());
-  }
-  
-  /**
-   * Setup render targets for multi-pass rendering
-   */
-  setupRenderTargets() {
-    const params = {
-      minFilter: THREE.LinearFilter,
-      magFilter: THREE.LinearFilter,
-      format: THREE.RGBAFormat,
-      type: THREE.HalfFloatType
-    };
-    
-    // Main scene render target
-    this.sceneRT = new THREE.WebGLRenderTarget(this.width, this.height, params);
-    
-    // Bright pass for bloom
-    this.brightRT = new THREE.WebGLRenderTarget(this.width / 2, this.height / 2, params);
-    
-    // Bloom blur passes (ping-pong)
-    this.bloomRT1 = new THREE.WebGLRenderTarget(this.width / 4, this.height / 4, params);
-    this.bloomRT2 = new THREE.WebGLRenderTarget(this.width / 4, this.height / 4, params);
-    
-    // God rays render target
-    this.godRaysRT = new THREE.WebGLRenderTarget(this.width / 2, this.height / 2, params);
-  }
-  
-  /**
-   * Setup bloom pass materials
-   */
-  setupBloomPass() {
-    // Full screen quad geometry
+
+    // Quality knob (see QualityManager): render target size relative to the canvas
+    this.renderScale = 1;
+
+    // God rays: the weather's strength, scaled by how visible the sun is
+    this.godRaysStrength = 0.3;
+    this.sunVisibility = 1;
+    this.sunScreen = new THREE.Vector3();
+    this.sunUv = new THREE.Vector2();
+    this.toSun = new THREE.Vector3();
+    this.viewDirection = new THREE.Vector3();
+
+    this.passes = []; // In render order
+    this.targets = new Map(); // name -> { target, scale }
+    this.buffers = {}; // Textures published during the current frame
+    this.time = 0;
+    this.clock = new THREE.Clock();
+
+    // One fullscreen quad draws every pass
     this.quadGeometry = new THREE.PlaneGeometry(2, 2);
-    
-    // Bright pass - extracts bright areas
-    this.brightMaterial = new THREE.ShaderMaterial({
-      uniforms: {
-        tDiffuse: { value: null },
-        threshold: { value: 0.5 },
-        smoothing: { value: 0.3 }
-      },
-      vertexShader: `
-        varying vec2 vUv;
-        void main() {
-          vUv = uv;
-          gl_Position = vec4(position, 1.0);
-        }
-      `,
-      fragmentShader: `
-        uniform sampler2D tDiffuse;
-        uniform float threshold;
-        uniform float smoothing;
-        varying vec2 vUv;
-        
-        void main() {
-          vec4 color = texture2D(tDiffuse, vUv);
-          float brightness = dot(color.rgb, vec3(0.2126, 0.7152, 0.0722));
-          float contribution = smoothstep(threshold - smoothing, threshold + smoothing, brightness);
-          gl_FragColor = vec4(color.rgb * contribution, 1.0);
-        }
-      `
-    });
-    
-    // Gaussian blur pass
-    this.blurMaterial = new THREE.ShaderMaterial({
-      uniforms: {
-        tDiffuse: { value: null },
-        direction: { value: new THREE.Vector2(1, 0) },
-        resolution: { value: new THREE.Vector2(this.width / 4, this.height / 4) }
-      },
-      vertexShader: `
-        varying vec2 vUv;
-        void main() {
-          vUv = uv;
-          gl_Position = vec4(position, 1.0);
-        }
-      `,
+    this.quad = new THREE.Mesh(this.quadGeometry);
+    this.quad.frustumCulled = false;
+    this.quadScene = new THREE.Scene();
+    this.quadScene.add(this.quad);
+    this.orthoCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+    // Stand-in for buffers whose pass is switched off
+    this.blackTexture = new THREE.DataTexture(new Uint8Array([0, 0, 0, 255]), 1, 1);
+    this.blackTexture.needsUpdate = true;
+
+    // Shows the scene as-is when no pass writes an image
+    this.copyMaterial = createPassMaterial({
+      uniforms: { tDiffuse: { value: null } },
       fragmentShader: `
         uniform sampler2D tDiffuse;
-        uniform vec2 direction;
-        uniform vec2 resolution;
         varying vec2 vUv;
-        
         void main() {
-          vec2 texelSize = 1.0 / resolution;
-          vec3 result = vec3(0.0);
-          
-          // 9-tap Gaussian blur
-          float weights[5];
-          weights[0] = 0.227027;
-          weights[1] = 0.1945946;
-          weights[2] = 0.1216216;
-          weights[3] = 0.054054;
-          weights[4] = 0.016216;
-          
-          result += texture2D(tDiffuse, vUv).rgb * weights[0];
-          
-          for (int i = 1; i < 5; i++) {
-            vec2 offset = direction * texelSize * float(i) * 2.0;
-            result += texture2D(tDiffuse, vUv + offset).rgb * weights[i];
-            result += texture2D(tDiffuse, vUv - offset).rgb * weights[i];
-          }
-          
-          gl_FragColor = vec4(result, 1.0);
+          gl_FragColor = texture2D(tDiffuse, vUv);
         }
       `
     });
-    
-    this.brightQuad = new THREE.Mesh(this.quadGeometry, this.brightMaterial);
-    this.blurQuad = new THREE.Mesh(this.quadGeometry, this.blurMaterial);
-    
-    this.brightScene = new THREE.Scene();
-    this.blurScene = new THREE.Scene();
-    this.brightScene.add(this.brightQuad);
-    this.blurScene.add(this.blurQuad);
-    
-    this.orthoCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+    this.updateSize();
+
+    // Built-in passes
+    this.addPass(new BloomPass());
+    this.addPass(new GodRaysPass());
+    this.addPass(new CompositePass());
+
+    // Kept so dispose() can remove it
+    this.resizeHandler = () => this.onResize();
+    window.addEventListener('resize', this.resizeHandler);
   }
-  
+
   /**
-   * Setup god rays effect
+   * Render size: the canvas in device pixels times the render scale
    */
-  setupGodRays() {
-    this.godRaysMaterial = new THREE.ShaderMaterial({
-      uniforms: {
-        tDiffuse: { value: null },
-        lightPosition: { value: new THREE.Vector2(0.7, 0.3) },
-        exposure: { value: 0.3 },
-        decay: { value: 0.95 },
-        density: { value: 0.8 },
-        weight: { value: 0.4 },
-        samples: { value: 50 }
-      },
-      vertexShader: `
-        varying vec2 vUv;
-        void main() {
-          vUv = uv;
-          gl_Position = vec4(position, 1.0);
-        }
-      `,
-      fragmentShader: `
-        uniform sampler2D tDiffuse;
-        uniform vec2 lightPosition;
-        uniform float exposure;
-        uniform float decay;
-        uniform float density;
-        uniform float weight;
-        uniform int samples;
-        varying vec2 vUv;
-        
-        void main() {
-          vec2 deltaTexCoord = (vUv - lightPosition) * density / float(samples);
-          vec2 texCoord = vUv;
-          
-          vec4 fragColor = vec4(0.0);
-          float illuminationDecay = 1.0;
-          
-          for (int i = 0; i < 50; i++) {
-            if (i >= samples) break;
-            
-            texCoord -= deltaTexCoord;
-            vec4 sampleColor = texture2D(tDiffuse, texCoord);
-            sampleColor *= illuminationDecay * weight;
-            fragColor += sampleColor;
-            illuminationDecay *= decay;
-          }
-          
-          fragColor *= exposure;
-          fragColor.a = 1.0;
-          
-          gl_FragColor = fragColor;
-        }
-      `
-    });
-    
-    this.godRaysQuad = new THREE.Mesh(this.quadGeometry, this.godRaysMaterial);
-    this.godRaysScene = new THREE.Scene();
-    this.godRaysScene.add(this.godRaysQuad);
+  updateSize() {
+    const scale = this.renderer.getPixelRatio() * this.renderScale;
+    this.width = Math.max(1, Math.round(window.innerWidth * scale));
+    this.height = Math.max(1, Math.round(window.innerHeight * scale));
   }
-  
+
   /**
-   * Setup final compositor
+   * A named render target at a fraction of the render size
+   * The same name always gives the same target, so passes can share them
+   * @param {string} name
+   * @param {number} scale - e.g. 0.5 for half resolution
+   * @returns {THREE.WebGLRenderTarget}
    */
-  setupCompositor() {
-    this.compositorMaterial = new THREE.ShaderMaterial({
-      uniforms: {
-        tScene: { value: null },
-        tBloom: { value: null },
-        tGodRays: { value: null },
-        bloomStrength: { value: 0.5 },
-        godRaysStrength: { value: 0.3 },
-        exposure: { value: 1.0 },
-        gamma: { value: 2.2 }
-      },
-      vertexShader: `
-        varying vec2 vUv;
-        void main() {
-          vUv = uv;
-          gl_Position = vec4(position, 1.0);
-        }
-      `,
-      fragmentShader: `
-        uniform sampler2D tScene;
-        uniform sampler2D tBloom;
-        uniform sampler2D tGodRays;
-        uniform float bloomStrength;
-        uniform float godRaysStrength;
-        uniform float exposure;
-        uniform float gamma;
-        varying vec2 vUv;
-        
-        void main() {
-          vec3 scene = texture2D(tScene, vUv).rgb;
-          vec3 bloom = texture2D(tBloom, vUv).rgb;
-          vec3 godRays = texture2D(tGodRays, vUv).rgb;
-          
-          // Combine passes
-          vec3 color = scene;
-          color += bloom * bloomStrength;
-          color += godRays * godRaysStrength;
-          
-          // Tone mapping (Reinhard)
-          color = color / (color + vec3(1.0));
-          
-          // Exposure
-          color *= exposure;
-          
-          // Gamma correction
-          color = pow(color, vec3(1.0 / gamma));
-          
-          gl_FragColor = vec4(color, 1.0);
-        }
-      `
-    });
-    
-    this.compositorQuad = new THREE.Mesh(this.quadGeometry, this.compositorMaterial);
-    this.compositorScene = new THREE.Scene();
-    this.compositorScene.add(this.compositorQuad);
+  getRenderTarget(name, scale = 1) {
+    let entry = this.targets.get(name);
+    if (!entry) {
+      const target = new THREE.WebGLRenderTarget(
+        Math.max(1, Math.round(this.width * scale)),
+        Math.max(1, Math.round(this.height * scale)),
+        TARGET_OPTIONS
+      );
+      entry = { target, scale };
+      this.targets.set(name, entry);
+    }
+    return entry.target;
+  }
+
+  /**
+   * Draw a fullscreen material into a target (null for the screen)
+   */
+  renderQuad(material, target) {
+    this.quad.material = material;
+    this.renderer.setRenderTarget(target);
+    this.renderer.render(this.quadScene, this.orthoCamera);
+  }
+
+  /**
+   * Where a pass goes in the chain
+   * @param {Object} position - { before: name } | { after: name } | { index } (default: the end)
+   * @returns {number} - Index, or -1 if the named neighbour isn't in the chain
+   */
+  resolveIndex({ before, after, index } = {}) {
+    if (before !== undefined) {
+      return this.passes.findIndex(pass => pass.name === before);
+    }
+    if (after !== undefined) {
+      const found = this.passes.findIndex(pass => pass.name === after);
+      return found === -1 ? -1 : found + 1;
+    }
+    if (index !== undefined) {
+      return Math.min(Math.max(0, index), this.passes.length);
+    }
+    return this.passes.length;
   }
-  
+
+  /**
+   * Register a pass
+   * @param {Pass} pass
+   * @param {Object} position - { before: name } | { after: name } | { index }
+   * @returns {boolean} - False if the name is taken or the position is unknown
+   */
+  addPass(pass, position) {
+    if (this.getPass(pass.name)) {
+      console.error('A post-processing pass with this name already exists:', pass.name);
+      return false;
+    }
+    const index = this.resolveIndex(position);
+    if (index === -1) {
+      console.error('Unknown post-processing pass position:', position);
+      return false;
+    }
+
+    this.passes.splice(index, 0, pass);
+    pass.setSize(this.width, this.height);
+    this.updateDepth();
+    return true;
+  }
+
+  /**
+   * Unregister a pass and free its resources
+   * @returns {boolean} - False if there was no such pass
+   */
+  removePass(name) {
+    const pass = this.getPass(name);
+    if (!pass) return false;
+
+    this.passes.splice(this.passes.indexOf(pass), 1);
+    pass.dispose();
+    this.updateDepth();
+    return true;
+  }
+
+  /**
+   * Move a pass to a new position in the chain
+   * @returns {boolean} - False if the pass or position is unknown
+   */
+  movePass(name, position) {
+    const pass = this.getPass(name);
+    if (!pass) {
+      console.error('Unknown post-processing pass:', name);
+      return false;
+    }
+
+    const current = this.passes.indexOf(pass);
+    this.passes.splice(current, 1);
+    const index = this.resolveIndex(position);
+    if (index === -1) {
+      this.passes.splice(current, 0, pass);
+      console.error('Unknown post-processing pass position:', position);
+      return false;
+    }
+    this.passes.splice(index, 0, pass);
+    return true;
+  }
+
+  /**
+   * Get a registered pass by name
+   */
+  getPass(name) {
+    return this.passes.find(pass => pass.name === name) || null;
+  }
+
+  /**
+   * Names of the passes in render order
+   */
+  getPassNames() {
+    return this.passes.map(pass => pass.name);
+  }
+
+  /**
+   * Switch a pass on or off
+   */
+  setPassEnabled(name, enabled) {
+    const pass = this.getPass(name);
+    if (!pass) {
+      console.error('Unknown post-processing pass:', name);
+      return false;
+    }
+    pass.enabled = enabled;
+    this.updateDepth();
+    return true;
+  }
+
+  /**
+   * Change a pass's options (uniform values and the like)
+   * @returns {boolean} - False for an unknown pass or option
+   */
+  configurePass(name, options) {
+    const pass = this.getPass(name);
+    if (!pass) {
+      console.error('Unknown post-processing pass:', name);
+      return false;
+    }
+    return pass.configure(options);
+  }
+
+  /**
+   * Give the scene target a depth texture only while an enabled pass reads it
+   */
+  updateDepth() {
+    const sceneTarget = this.getRenderTarget('scene');
+    const needsDepth = this.passes.some(pass => pass.enabled && pass.needsDepth);
+
+    if (needsDepth && !sceneTarget.depthTexture) {
+      sceneTarget.depthTexture = new THREE.DepthTexture(sceneTarget.width, sceneTarget.height);
+      sceneTarget.dispose(); // Rebuilt with the depth attachment on next use
+    } else if (!needsDepth && sceneTarget.depthTexture) {
+      sceneTarget.depthTexture.dispose();
+      sceneTarget.depthTexture = null;
+      sceneTarget.dispose();
+    }
+  }
+
   /**
    * Render with post-processing
    */
   render() {
+    this.time += this.clock.getDelta();
+
     // 1. Render scene to render target
-    this.renderer.setRenderTarget(this.sceneRT);
+    const sceneTarget = this.getRenderTarget('scene');
+    this.renderer.setRenderTarget(sceneTarget);
     this.renderer.render(this.scene, this.camera);
-    
-    // 2. Bright pass for bloom
-    this.brightMaterial.uniforms.tDiffuse.value = this.sceneRT.texture;
-    this.renderer.setRenderTarget(this.brightRT);
-    this.renderer.render(this.brightScene, this.orthoCamera);
-    
-    // 3. Blur passes for bloom
-    // Horizontal blur
-    this.blurMaterial.uniforms.tDiffuse.value = this.brightRT.texture;
-    this.blurMaterial.uniforms.direction.value.set(1, 0);
-    this.renderer.setRenderTarget(this.bloomRT1);
-    this.renderer.render(this.blurScene, this.orthoCamera);
-    
-    // Vertical blur
-    this.blurMaterial.uniforms.tDiffuse.value = this.bloomRT1.texture;
-    this.blurMaterial.uniforms.direction.value.set(0, 1);
-    this.renderer.setRenderTarget(this.bloomRT2);
-    this.renderer.render(this.blurScene, this.orthoCamera);
-    
-    // Additional blur passes for softer bloom
-    this.blurMaterial.uniforms.tDiffuse.value = this.bloomRT2.texture;
-    this.blurMaterial.uniforms.direction.value.set(1, 0);
-    this.renderer.setRenderTarget(this.bloomRT1);
-    this.renderer.render(this.blurScene, this.orthoCamera);
-    
-    this.blurMaterial.uniforms.tDiffuse.value = this.bloomRT1.texture;
-    this.blurMaterial.uniforms.direction.value.set(0, 1);
-    this.renderer.setRenderTarget(this.bloomRT2);
-    this.renderer.render(this.blurScene, this.orthoCamera);
-    
-    // 4. God rays
-    this.godRaysMaterial.uniforms.tDiffuse.value = this.brightRT.texture;
-    this.renderer.setRenderTarget(this.godRaysRT);
-    this.renderer.render(this.godRaysScene, this.orthoCamera);
-    
-    // 5. Final composite
-    this.compositorMaterial.uniforms.tScene.value = this.sceneRT.texture;
-    this.compositorMaterial.uniforms.tBloom.value = this.bloomRT2.texture;
-    this.compositorMaterial.uniforms.tGodRays.value = this.godRaysRT.texture;
-    
-    this.renderer.setRenderTarget(null);
-    this.renderer.render(this.compositorScene, this.orthoCamera);
+
+    const buffers = { scene: sceneTarget.texture };
+    if (sceneTarget.depthTexture) {
+      buffers.depth = sceneTarget.depthTexture;
+    }
+    this.buffers = buffers;
+
+    // 2. Passes in order; image passes ping-pong between two shared targets,
+    // the last one drawing straight to the screen
+    const active = this.passes.filter(pass => pass.enabled);
+    const lastImagePass = active.filter(pass => pass.needsSwap).pop();
+    const imageTargets = [this.getRenderTarget('imageA'), this.getRenderTarget('imageB')];
+    let input = sceneTarget.texture;
+    let next = 0;
+
+    active.forEach(pass => {
+      const output = pass.needsSwap && pass !== lastImagePass ? imageTargets[next] : null;
+      pass.render(this, { input, output, buffers, time: this.time });
+
+      if (output) {
+        input = output.texture;
+        next = 1 - next;
+      }
+    });
+
+    if (!lastImagePass) {
+      this.copyMaterial.uniforms.tDiffuse.value = input;
+      this.renderQuad(this.copyMaterial, null);
+    }
   }
-  
+
   /**
    * Handle window resize
    */
   onResize() {
-    this.width = window.innerWidth;
-    this.height = window.innerHeight;
-    
-    this.sceneRT.setSize(this.width, this.height);
-    this.brightRT.setSize(this.width / 2, this.height / 2);
-    this.bloomRT1.setSize(this.width / 4, this.height / 4);
-    this.bloomRT2.setSize(this.width / 4, this.height / 4);
-    this.godRaysRT.setSize(this.width / 2, this.height / 2);
-    
-    this.blurMaterial.uniforms.resolution.value.set(this.width / 4, this.height / 4);
+    this.updateSize();
+
+    this.targets.forEach(({ target, scale }) => {
+      target.setSize(
+        Math.max(1, Math.round(this.width * scale)),
+        Math.max(1, Math.round(this.height * scale))
+      );
+    });
+    this.passes.forEach(pass => pass.setSize(this.width, this.height));
   }
-  
+
+  /**
+   * Scale the render targets relative to the canvas (also call after the
+   * renderer's pixel ratio changes)
+   * @param {number} scale - e.g. 0.5 for half resolution
+   */
+  setRenderScale(scale) {
+    this.renderScale = scale;
+    this.onResize();
+  }
+
+  /**
+   * Number of horizontal + vertical blur pairs for bloom (at least 1)
+   */
+  setBlurPasses(passes) {
+    this.configurePass('bloom', { passes });
+  }
+
+  /**
+   * Number of god-ray samples per pixel (up to 50)
+   */
+  setGodRaySamples(samples) {
+    this.configurePass('godRays', { samples });
+  }
+
   /**
    * Set bloom intensity
    */
   setBloomStrength(strength) {
-    this.compositorMaterial.uniforms.bloomStrength.value = strength;
+    this.configurePass('composite', { bloomStrength: strength });
   }
-  
+
   /**
-   * Set god rays intensity
+   * Set god rays intensity (before sun visibility)
    */
   setGodRaysStrength(strength) {
-    this.compositorMaterial.uniforms.godRaysStrength.value = strength;
+    this.godRaysStrength = strength;
+    this.configurePass('composite', { godRaysStrength: strength * this.sunVisibility });
   }
-  
+
   /**
    * Update sun position for god rays
+   * @param {THREE.Vector2} screenPosition - In UV space (0-1)
    */
   updateSunPosition(screenPosition) {
-    this.godRaysMaterial.uniforms.lightPosition.value.copy(screenPosition);
+    this.configurePass('godRays', { lightPosition: screenPosition });
+  }
+
+  /**
+   * Aim the god rays at the sun and fade them when it can't be seen
+   * Call once per frame, after the camera has moved
+   * @param {THREE.Vector3} sunPosition - World position
+   * @param {number} visibility - 0-1 from the caller (below the horizon, occluded...)
+   * @param {number} deltaTime
+   */
+  trackSun(sunPosition, visibility, deltaTime) {
+    this.camera.updateMatrixWorld();
+
+    // project() mirrors points behind the camera, so check that side first
+    this.camera.getWorldDirection(this.viewDirection);
+    const inFront = this.toSun.copy(sunPosition).sub(this.camera.position).dot(this.viewDirection) > 0;
+    const screen = this.sunScreen.copy(sunPosition).project(this.camera);
+
+    let target = 0;
+    if (inFront) {
+      const outside = Math.max(0, Math.abs(screen.x) - 1, Math.abs(screen.y) - 1);
+      target = (1 - THREE.MathUtils.smoothstep(outside, 0, SUN_EDGE_FADE)) * visibility;
+    }
+    this.sunVisibility += (target - this.sunVisibility) * Math.min(1, deltaTime * SUN_FADE_RATE);
+
+    this.updateSunPosition(this.sunUv.set((screen.x + 1) / 2, (screen.y + 1) / 2));
+    this.setGodRaysStrength(this.godRaysStrength);
   }
-  
+
   /**
    * Adjust for weather
    */
@@ -375,21 +415,26 @@ export class PostProcessing {
         break;
     }
   }
-  
+
   /**
    * Dispose resources
    */
   dispose() {
-    this.sceneRT.dispose();
-    this.brightRT.dispose();
-    this.bloomRT1.dispose();
-    this.bloomRT2.dispose();
-    this.godRaysRT.dispose();
-    
+    window.removeEventListener('resize', this.resizeHandler);
+
+    this.passes.forEach(pass => pass.dispose());
+    this.passes = [];
+
+    this.targets.forEach(({ target }) => {
+      if (target.depthTexture) {
+        target.depthTexture.dispose();
+      }
+      target.dispose();
+    });
+    this.targets.clear();
+
     this.quadGeometry.dispose();
-    this.brightMaterial.dispose();
-    this.blurMaterial.dispose();
-    this.godRaysMaterial.dispose();
-    this.compositorMaterial.dispose();
+    this.copyMaterial.dispose();
+    this.blackTexture.dispose();
   }
 }
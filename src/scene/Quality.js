@@ -0,0 +1,192 @@
+/**
+ * Quality.js - Adaptive Rendering Quality
+ * Watches frame times and steps between quality tiers so weaker machines
+ * stay smooth; a tier can also be picked by hand in settings
+ */
+
+// Cheapest first
+export const QUALITY_TIERS = {
+  low: {
+    pixelRatio: 1,        // Capped by the device's own ratio
+    renderScale: 0.5,     // Post-processing render target scale
+    blurPasses: 1,
+    godRaySamples: 16,
+    particleDensity: 0.3, // Rain, snow and petals
+    fireflyDensity: 0.4,
+    grassDensity: 0.3
+  },
+  medium: {
+    pixelRatio: 1.5,
+    renderScale: 0.75,
+    blurPasses: 1,
+    godRaySamples: 30,
+    particleDensity: 0.6,
+    fireflyDensity: 0.7,
+    grassDensity: 0.6
+  },
+  high: {
+    pixelRatio: 2,
+    renderScale: 1,
+    blurPasses: 2,
+    godRaySamples: 50,
+    particleDensity: 1,
+    fireflyDensity: 1,
+    grassDensity: 1
+  }
+};
+
+export const QUALITY_MODES = ['auto', ...Object.keys(QUALITY_TIERS)];
+
+const TIER_ORDER = Object.keys(QUALITY_TIERS);
+
+// Average frame time (ms) above which auto mode steps down, and below which
+// it may step up again
+const SLOW_FRAME = 28;
+const FAST_FRAME = 18;
+
+// Seconds of frames averaged per decision
+const SAMPLE_WINDOW = 2;
+
+// Seconds of fast frames before stepping up; doubles (up to the max) each
+// time a step up turns out too slow
+const UPGRADE_DELAY = 10;
+const MAX_UPGRADE_DELAY = 160;
+
+// Longer frames (seconds) count as this long, so one hitch can't swamp a
+// sample while a machine that is slow on every frame still steps down
+const MAX_FRAME = 0.25;
+
+export class QualityManager {
+  constructor(renderer, postProcessing, environment, weather) {
+    this.renderer = renderer;
+    this.postProcessing = postProcessing;
+    this.environment = environment;
+    this.weather = weather;
+
+    this.mode = 'auto'; // 'auto' or a tier name picked by hand
+    this.tier = null;
+
+    this.sampleTime = 0;
+    this.sampleFrames = 0;
+    this.fastTime = 0;
+    this.upgradeDelay = UPGRADE_DELAY;
+    this.sinceUpgrade = Infinity;
+    this.skipFrame = false; // The gap while the tab was hidden isn't load
+
+    document.addEventListener('visibilitychange', () => {
+      this.skipFrame = true;
+    });
+
+    this.onTierChange = null; // Callback (tier, mode) whenever either changes
+
+    this.applyTier('high');
+  }
+
+  /**
+   * Pick 'auto' or a fixed tier
+   * @returns {boolean} - False for an unknown mode
+   */
+  setMode(mode) {
+    if (!QUALITY_MODES.includes(mode)) {
+      console.error('Unknown quality mode:', mode);
+      return false;
+    }
+
+    this.mode = mode;
+    this.resetSamples();
+    if (mode === 'auto') {
+      this.upgradeDelay = UPGRADE_DELAY;
+      this.notify();
+    } else {
+      this.applyTier(mode);
+    }
+    return true;
+  }
+
+  /**
+   * Apply a tier's settings to the renderer, post-processing and particles
+   */
+  applyTier(name) {
+    const tier = QUALITY_TIERS[name];
+    this.tier = name;
+
+    const pixelRatio = Math.min(window.devicePixelRatio || 1, tier.pixelRatio);
+    this.renderer.setPixelRatio(pixelRatio);
+
+    this.postProcessing.setRenderScale(tier.renderScale);
+    this.postProcessing.setBlurPasses(tier.blurPasses);
+    this.postProcessing.setGodRaySamples(tier.godRaySamples);
+
+    // Point sprites are sized in render target pixels
+    const renderRatio = pixelRatio * tier.renderScale;
+    this.environment.setDensity({ grass: tier.grassDensity, fireflies: tier.fireflyDensity });
+    this.environment.setPixelRatio(renderRatio);
+    this.weather.setParticleDensity(tier.particleDensity);
+    this.weather.setPixelRatio(renderRatio);
+
+    this.notify();
+  }
+
+  /**
+   * Let listeners know the tier or mode changed
+   */
+  notify() {
+    if (this.onTierChange) {
+      this.onTierChange(this.tier, this.mode);
+    }
+  }
+
+  /**
+   * Start a fresh measurement (after a change, frame times need to settle)
+   */
+  resetSamples() {
+    this.sampleTime = 0;
+    this.sampleFrames = 0;
+    this.fastTime = 0;
+  }
+
+  /**
+   * Record a frame and, in auto mode, step tiers when needed
+   */
+  update(deltaTime) {
+    if (this.mode !== 'auto' || document.hidden) return;
+    if (this.skipFrame) {
+      this.skipFrame = false;
+      return;
+    }
+
+    const frame = Math.min(deltaTime, MAX_FRAME);
+    this.sinceUpgrade += frame;
+    this.sampleTime += frame;
+    this.sampleFrames++;
+    if (this.sampleTime < SAMPLE_WINDOW) return;
+
+    const frameTime = (this.sampleTime / this.sampleFrames) * 1000;
+    const measured = this.sampleTime;
+    this.sampleTime = 0;
+    this.sampleFrames = 0;
+
+    const index = TIER_ORDER.indexOf(this.tier);
+
+    if (frameTime > SLOW_FRAME) {
+      this.fastTime = 0;
+      if (index > 0) {
+        // A step up that didn't hold makes the next one wait longer
+        if (this.sinceUpgrade < this.upgradeDelay) {
+          this.upgradeDelay = Math.min(MAX_UPGRADE_DELAY, this.upgradeDelay * 2);
+        }
+        this.resetSamples();
+        this.applyTier(TIER_ORDER[index - 1]);
+      }
+    } else if (frameTime < FAST_FRAME) {
+      this.fastTime += measured;
+      if (this.fastTime >= this.upgradeDelay && index < TIER_ORDER.length - 1) {
+        this.resetSamples();
+        this.sinceUpgrade = 0;
+        this.applyTier(TIER_ORDER[index + 1]);
+      }
+    } else {
+      this.fastTime = 0;
+    }
+  }
+}
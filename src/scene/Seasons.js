@@ -0,0 +1,189 @@
+/**
+ * Seasons.js - Seasonal Look and Weather Odds
+ * One season state object (from the date, or picked by hand) that the tree
+ * and meadow read to recolor themselves, and that weather choices are
+ * weighted by
+ *
+ * Colors are { from, to } RGB ranges; each particle keeps its own random
+ * position in the range, so a season change recolors without reshuffling
+ */
+
+export const SEASONS = {
+  spring: {
+    // Canopy particle mix: share of particles and their color range
+    canopy: [
+      { share: 0.45, from: [0.35, 0.65, 0.25], to: [0.55, 0.95, 0.45] }, // Fresh leaves
+      { share: 0.15, from: [1.0, 0.8, 0.3], to: [1.0, 1.0, 0.3] },       // Golden lights
+      { share: 0.4, from: [1.0, 0.7, 0.8], to: [1.0, 0.9, 1.0] }         // Blossom
+    ],
+    foliage: 1,       // Share of canopy particles shown
+    shedding: 0,      // Falling leaves (0-1)
+    flowerDensity: 1, // Share of meadow flowers shown
+    grass: { from: [0.25, 0.45, 0.1], to: [0.4, 0.75, 0.2] },
+    ground: 0x2f5220,
+    weather: { clear: 4, rain: 3, fog: 1, snow: 0, wind: 2 } // Relative odds
+  },
+  summer: {
+    canopy: [
+      { share: 0.6, from: [0.3, 0.6, 0.2], to: [0.5, 0.9, 0.4] },
+      { share: 0.2, from: [1.0, 0.8, 0.3], to: [1.0, 1.0, 0.3] },
+      { share: 0.2, from: [1.0, 0.7, 0.8], to: [1.0, 0.9, 1.0] }
+    ],
+    foliage: 1,
+    shedding: 0,
+    flowerDensity: 0.8,
+    grass: { from: [0.2, 0.4, 0.1], to: [0.35, 0.7, 0.2] },
+    ground: 0x2d4a1c,
+    weather: { clear: 6, rain: 1, fog: 0.5, snow: 0, wind: 1.5 }
+  },
+  autumn: {
+    canopy: [
+      { share: 0.35, from: [0.85, 0.3, 0.1], to: [1.0, 0.5, 0.15] },  // Red and orange leaves
+      { share: 0.35, from: [0.85, 0.55, 0.1], to: [1.0, 0.75, 0.2] }, // Amber leaves
+      { share: 0.3, from: [1.0, 0.8, 0.3], to: [1.0, 1.0, 0.3] }
+    ],
+    foliage: 0.75,
+    shedding: 1,
+    flowerDensity: 0.25,
+    grass: { from: [0.35, 0.35, 0.1], to: [0.5, 0.5, 0.15] },
+    ground: 0x3d3a1c,
+    weather: { clear: 3, rain: 3, fog: 3, snow: 0.5, wind: 3 }
+  },
+  winter: {
+    canopy: [
+      { share: 0.5, from: [0.7, 0.8, 1.0], to: [0.95, 0.97, 1.0] },  // Frost
+      { share: 0.3, from: [1.0, 0.8, 0.3], to: [1.0, 1.0, 0.3] },
+      { share: 0.2, from: [0.15, 0.35, 0.25], to: [0.25, 0.45, 0.3] } // Evergreen
+    ],
+    foliage: 0.45,
+    shedding: 0,
+    flowerDensity: 0,
+    grass: { from: [0.3, 0.35, 0.3], to: [0.45, 0.5, 0.45] },
+    ground: 0x3a4238,
+    weather: { clear: 3, rain: 1, fog: 2, snow: 4, wind: 2 }
+  }
+};
+
+export const SEASON_MODES = ['auto', ...Object.keys(SEASONS)];
+
+// How often auto mode checks the date (seconds)
+const DATE_CHECK_INTERVAL = 60;
+
+/**
+ * Season for a date (northern hemisphere meteorological seasons)
+ * @param {Date} date
+ * @returns {string}
+ */
+export function getSeasonForDate(date = new Date()) {
+  const month = date.getMonth();
+  if (month >= 2 && month <= 4) return 'spring';
+  if (month >= 5 && month <= 7) return 'summer';
+  if (month >= 8 && month <= 10) return 'autumn';
+  return 'winter';
+}
+
+/**
+ * Color for a particle within a { from, to } range
+ * @param {{from: number[], to: number[]}} range
+ * @param {ArrayLike<number>} rolls - Per-channel randoms (0-1)
+ * @param {number} offset - Index of the first roll
+ * @param {Float32Array} colors - Color attribute array to write into
+ * @param {number} index - Particle index
+ */
+export function writeSeasonColor(range, rolls, offset, colors, index) {
+  for (let channel = 0; channel < 3; channel++) {
+    const from = range.from[channel];
+    colors[index * 3 + channel] = from + (range.to[channel] - from) * rolls[offset + channel];
+  }
+}
+
+export class SeasonSystem {
+  constructor(tree, environment) {
+    this.tree = tree;
+    this.environment = environment;
+
+    this.mode = 'auto'; // 'auto' (from the date) or a season picked by hand
+    this.state = null; // { name, ...SEASONS[name] }
+    this.dateTimer = 0;
+
+    this.onSeasonChange = null; // Callback (state, mode) whenever either changes
+
+    this.setSeason(getSeasonForDate());
+  }
+
+  /**
+   * Follow the date or fix a season
+   * @returns {boolean} - False for an unknown mode
+   */
+  setMode(mode) {
+    if (!SEASON_MODES.includes(mode)) {
+      console.error('Unknown season mode:', mode);
+      return false;
+    }
+
+    this.mode = mode;
+    this.setSeason(mode === 'auto' ? getSeasonForDate() : mode);
+    return true;
+  }
+
+  /**
+   * Apply a season to the tree and meadow
+   */
+  setSeason(name) {
+    if (!this.state || this.state.name !== name) {
+      this.state = { name, ...SEASONS[name] };
+      this.tree.setSeason(this.state);
+      this.environment.setSeason(this.state);
+    }
+
+    if (this.onSeasonChange) {
+      this.onSeasonChange(this.state, this.mode);
+    }
+  }
+
+  /**
+   * Relative odds of each weather this season
+   * @returns {Object} - weather -> weight
+   */
+  getWeatherWeights() {
+    return this.state.weather;
+  }
+
+  /**
+   * Pick a weather at random, weighted by the season
+   * @param {Object} options
+   * @param {string} [options.exclude] - Weather to leave out (e.g. the current one)
+   * @param {Object} [options.bias] - weather -> multiplier on the season's odds
+   * @param {Function} [options.random] - Source of randoms (0-1)
+   * @returns {string}
+   */
+  pickWeather({ exclude = null, bias = {}, random = Math.random } = {}) {
+    const entries = Object.entries(this.state.weather)
+      .map(([weather, weight]) => [weather, weight * (bias[weather] ?? 1)])
+      .filter(([weather, weight]) => weather !== exclude && weight > 0);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+
+    let roll = random() * total;
+    for (const [weather, weight] of entries) {
+      roll -= weight;
+      if (roll < 0) return weather;
+    }
+    return entries.length > 0 ? entries[entries.length - 1][0] : 'clear';
+  }
+
+  /**
+   * In auto mode, move on when the date enters a new season
+   */
+  update(deltaTime) {
+    if (this.mode !== 'auto') return;
+
+    this.dateTimer += deltaTime;
+    if (this.dateTimer < DATE_CHECK_INTERVAL) return;
+    this.dateTimer = 0;
+
+    const season = getSeasonForDate();
+    if (season !== this.state.name) {
+      this.setSeason(season);
+    }
+  }
+}
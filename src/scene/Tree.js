@@ -1,20 +1,61 @@
 /**
  * Tree.js - Magical Tree Mesh & Materials
  * Creates the central magical tree with glowing trunk veins
+ * Shapes come from the seeded tree model, the same one inscriptions snap onto
  */
 
 import * as THREE from 'three';
+import { getTreeModel } from '../utils/treeModel.js';
+import { SEASONS, writeSeasonColor } from './Seasons.js';
+import { WIND_BEND_GLSL, createWindUniforms, applyWindUniforms } from './WeatherState.js';
+
+// Gap between the vein core and the bark overlay around it
+const BARK_THICKNESS = 0.02;
+
+// How long new growth takes to grow in (seconds)
+const GROWTH_DURATION = 3;
+
+// Falling leaves in autumn: how many, how fast they fall (units/second) and
+// how long they lie on the ground before blowing away (seconds)
+const LEAF_COUNT = 150;
+const LEAF_FALL_SPEED = 0.6;
+const LEAF_REST_TIME = 4;
+
+// Dry bark; rain darkens it by up to WET_DARKENING and glosses it toward
+// WET_ROUGHNESS
+const DRY_BARK = {
+  branch: { color: new THREE.Color(0x3d2817), roughness: 0.8 },
+  overlay: { color: new THREE.Color(0x2d1810), roughness: 0.9 },
+  root: new THREE.Color(0x2d1810)
+};
+const WET_DARKENING = 0.45;
+const WET_ROUGHNESS = 0.35;
+
+// Light blocked by a full pass through the canopy's center (it is mostly gaps)
+const CANOPY_OPACITY = 0.6;
 
 export class MagicalTree {
-  constructor(scene) {
+  constructor(scene, model = getTreeModel()) {
     this.scene = scene;
+    this.model = model;
     this.group = new THREE.Group();
     this.time = 0;
     
+    this.branchMeshes = [];
+    this.rootMeshes = [];
+    this.growing = []; // { mesh, progress } for new limbs and roots
+    this.trunkGrowth = null; // { from, to, progress } while the trunk thickens
+    this.wind = new THREE.Vector2(); // From the weather state, for falling leaves
+    
+    // Shared by the branch and canopy shaders
+    this.windUniforms = createWindUniforms();
+    this.snowCover = { value: 0 };
+    
     this.createTrunk();
     this.createBranches();
     this.createRoots();
     this.createCanopyParticles();
+    this.createFallingLeaves();
     
     this.scene.add(this.group);
   }
@@ -23,8 +64,14 @@ export class MagicalTree {
    * Create the main trunk with glowing veins
    */
   createTrunk() {
+    const { height, topRadius, bottomRadius } = this.model.trunk;
+    
     // Main trunk geometry - tapered cylinder
-    const trunkGeometry = new THREE.CylinderGeometry(0.8, 1.5, 8, 32, 16, false);
+    const trunkGeometry = new THREE.CylinderGeometry(
+      topRadius - BARK_THICKNESS,
+      bottomRadius - BARK_THICKNESS,
+      height, 32, 16, false
+    );
     
     // Custom shader material for glowing veins
     this.trunkMaterial = new THREE.ShaderMaterial({
@@ -32,7 +79,8 @@ export class MagicalTree {
         time: { value: 0 },
         baseColor: { value: new THREE.Color(0x3d2817) },
         veinColor: { value: new THREE.Color(0xffd700) },
-        veinIntensity: { value: 1.0 }
+        veinIntensity: { value: 1.0 },
+        wetness: { value: 0 }
       },
       vertexShader: `
         varying vec2 vUv;
@@ -51,6 +99,7 @@ export class MagicalTree {
         uniform vec3 baseColor;
         uniform vec3 veinColor;
         uniform float veinIntensity;
+        uniform float wetness;
         
         varying vec2 vUv;
         varying vec3 vPosition;
@@ -102,8 +151,9 @@ export class MagicalTree {
           float veins = verticalVeins * pulse * veinIntensity;
           veins = clamp(veins, 0.0, 1.0);
           
-          // Mix base color with vein glow
-          vec3 finalColor = mix(baseColor, veinColor, veins);
+          // Mix base color (darker when wet) with vein glow
+          vec3 bark = baseColor * (1.0 - wetness * ${WET_DARKENING.toFixed(2)});
+          vec3 finalColor = mix(bark, veinColor, veins);
           
           // Add subtle glow
           float glow = veins * 0.5;
@@ -114,14 +164,17 @@ export class MagicalTree {
       `
     });
     
+    // Later thickening scales these meshes relative to the trunk they were built for
+    this.builtTrunk = this.model.trunk;
+    
     const trunk = new THREE.Mesh(trunkGeometry, this.trunkMaterial);
-    trunk.position.y = 4;
+    trunk.position.y = height / 2;
     trunk.castShadow = true;
     trunk.receiveShadow = true;
     this.group.add(trunk);
     
     // Add bark texture overlay
-    const barkGeometry = new THREE.CylinderGeometry(0.82, 1.52, 8, 32, 16, false);
+    const barkGeometry = new THREE.CylinderGeometry(topRadius, bottomRadius, height, 32, 16, false);
     const barkMaterial = new THREE.MeshStandardMaterial({
       color: 0x2d1810,
       roughness: 0.9,
@@ -129,53 +182,60 @@ export class MagicalTree {
       transparent: true,
       opacity: 0.6
     });
+    this.barkMaterial = barkMaterial;
     const bark = new THREE.Mesh(barkGeometry, barkMaterial);
-    bark.position.y = 4;
+    bark.position.y = height / 2;
     this.group.add(bark);
+    
+    this.trunkMeshes = [trunk, bark];
   }
   
   /**
    * Create major branches
    */
   createBranches() {
-    const branchMaterial = new THREE.MeshStandardMaterial({
+    this.branchMaterial = new THREE.MeshStandardMaterial({
       color: 0x3d2817,
       roughness: 0.8,
       metalness: 0.1
     });
     
-    const branchConfigs = [
-      { angle: 0, height: 6, length: 4, thickness: 0.3 },
-      { angle: Math.PI / 3, height: 6.5, length: 3.5, thickness: 0.25 },
-      { angle: 2 * Math.PI / 3, height: 6, length: 4, thickness: 0.3 },
-      { angle: Math.PI, height: 6.2, length: 3.8, thickness: 0.28 },
-      { angle: 4 * Math.PI / 3, height: 6.3, length: 3.5, thickness: 0.25 },
-      { angle: 5 * Math.PI / 3, height: 6.1, length: 4, thickness: 0.3 },
-      { angle: Math.PI / 6, height: 7, length: 3, thickness: 0.2 },
-      { angle: Math.PI / 2, height: 7.2, length: 2.8, thickness: 0.2 },
-    ];
-    
-    branchConfigs.forEach(config => {
-      const branchGeom = new THREE.CylinderGeometry(
-        config.thickness * 0.4,
-        config.thickness,
-        config.length,
-        8
-      );
-      const branch = new THREE.Mesh(branchGeom, branchMaterial);
-      
-      branch.position.set(
-        Math.cos(config.angle) * 0.5,
-        config.height,
-        Math.sin(config.angle) * 0.5
-      );
-      
-      branch.rotation.z = -Math.PI / 4 + Math.random() * 0.2;
-      branch.rotation.y = config.angle;
-      
-      branch.castShadow = true;
-      this.group.add(branch);
-    });
+    // Bend with the wind and gather snow on upward faces
+    this.branchMaterial.onBeforeCompile = (shader) => {
+      Object.assign(shader.uniforms, this.windUniforms, { snowCover: this.snowCover });
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', `#include <common>
+          ${WIND_BEND_GLSL}
+          varying float vSnowUp;`)
+        .replace('#include <begin_vertex>', `#include <begin_vertex>
+          transformed += windBend(transformed);
+          vSnowUp = normalize(mat3(modelMatrix) * objectNormal).y;`);
+      shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', `#include <common>
+          uniform float snowCover;
+          varying float vSnowUp;`)
+        .replace('#include <color_fragment>', `#include <color_fragment>
+          diffuseColor.rgb = mix(diffuseColor.rgb, vec3(0.92, 0.95, 1.0), smoothstep(0.2, 0.7, vSnowUp) * snowCover);`);
+    };
+    
+    this.model.branches.forEach(curve => this.addBranch(curve, false));
+  }
+  
+  /**
+   * Add one branch mesh (side branches get fewer sides)
+   * @param {SurfaceCurve} curve
+   * @param {boolean} animate - Grow it in from the base
+   */
+  addBranch(curve, animate) {
+    const radialSegments = curve.generation > 0 ? 6 : 8;
+    const branch = new THREE.Mesh(this.createTubeGeometry(curve, 12, radialSegments), this.branchMaterial);
+    branch.castShadow = true;
+    this.group.add(branch);
+    this.branchMeshes.push(branch);
+    
+    if (animate) {
+      this.startGrowIn(branch);
+    }
   }
   
   /**
@@ -212,42 +272,63 @@ export class MagicalTree {
     
     this.rootMaterial = rootMaterial;
     
-    const rootConfigs = [
-      { angle: 0, length: 4, thickness: 0.4 },
-      { angle: Math.PI / 2, length: 3.5, thickness: 0.35 },
-      { angle: Math.PI, length: 4, thickness: 0.4 },
-      { angle: 3 * Math.PI / 2, length: 3.8, thickness: 0.38 },
-      { angle: Math.PI / 4, length: 3, thickness: 0.25 },
-      { angle: 3 * Math.PI / 4, length: 3.2, thickness: 0.28 },
-      { angle: 5 * Math.PI / 4, length: 3, thickness: 0.25 },
-      { angle: 7 * Math.PI / 4, length: 3.3, thickness: 0.3 },
-    ];
-    
-    rootConfigs.forEach(config => {
-      const curve = new THREE.CatmullRomCurve3([
-        new THREE.Vector3(0, 0.5, 0),
-        new THREE.Vector3(
-          Math.cos(config.angle) * config.length * 0.3,
-          0,
-          Math.sin(config.angle) * config.length * 0.3
-        ),
-        new THREE.Vector3(
-          Math.cos(config.angle) * config.length * 0.7,
-          -0.3,
-          Math.sin(config.angle) * config.length * 0.7
-        ),
-        new THREE.Vector3(
-          Math.cos(config.angle) * config.length,
-          -0.2,
-          Math.sin(config.angle) * config.length
-        )
-      ]);
-      
-      const rootGeom = new THREE.TubeGeometry(curve, 20, config.thickness, 8, false);
-      const root = new THREE.Mesh(rootGeom, rootMaterial);
-      root.castShadow = true;
-      this.group.add(root);
-    });
+    this.model.roots.forEach(curve => this.addRoot(curve, false));
+  }
+  
+  /**
+   * Add one root mesh
+   * @param {SurfaceCurve} curve
+   * @param {boolean} animate - Grow it in from the base
+   */
+  addRoot(curve, animate) {
+    const root = new THREE.Mesh(this.createTubeGeometry(curve, 20, 8), this.rootMaterial);
+    root.castShadow = true;
+    this.group.add(root);
+    this.rootMeshes.push(root);
+    
+    if (animate) {
+      this.startGrowIn(root);
+    }
+  }
+  
+  /**
+   * Build a tapered tube along a model curve
+   * Vertices come straight from curve.surfaceAt, so the mesh is exactly the
+   * surface placements are snapped onto (uv.x runs along the tube like TubeGeometry)
+   * @param {SurfaceCurve} curve
+   * @param {number} tubularSegments
+   * @param {number} radialSegments
+   */
+  createTubeGeometry(curve, tubularSegments, radialSegments) {
+    const positions = [];
+    const normals = [];
+    const uvs = [];
+    const indices = [];
+    
+    for (let i = 0; i <= tubularSegments; i++) {
+      const t = i / tubularSegments;
+      for (let j = 0; j <= radialSegments; j++) {
+        const { position, normal } = curve.surfaceAt(t, (j / radialSegments) * Math.PI * 2);
+        positions.push(position.x, position.y, position.z);
+        normals.push(normal.x, normal.y, normal.z);
+        uvs.push(t, j / radialSegments);
+      }
+    }
+    
+    for (let i = 0; i < tubularSegments; i++) {
+      for (let j = 0; j < radialSegments; j++) {
+        const a = i * (radialSegments + 1) + j;
+        const b = (i + 1) * (radialSegments + 1) + j;
+        indices.push(a, a + 1, b, b, a + 1, b + 1);
+      }
+    }
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setIndex(indices);
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    return geometry;
   }
   
   /**
@@ -259,36 +340,24 @@ export class MagicalTree {
     const colors = new Float32Array(particleCount * 3);
     const sizes = new Float32Array(particleCount);
     
-    const canopyCenter = new THREE.Vector3(0, 8, 0);
-    const canopyRadius = 6;
+    // Per-particle randoms for the season palette: which entry, then one per channel
+    this.canopyRolls = new Float32Array(particleCount * 4);
+    
+    const { center: canopyCenter, radii } = this.model.canopy;
+    this.builtCanopy = this.model.canopy;
     
     for (let i = 0; i < particleCount; i++) {
       // Spherical distribution
       const theta = Math.random() * Math.PI * 2;
       const phi = Math.acos(2 * Math.random() - 1);
-      const r = canopyRadius * (0.5 + Math.random() * 0.5);
+      const r = 0.5 + Math.random() * 0.5;
       
-      positions[i * 3] = canopyCenter.x + r * Math.sin(phi) * Math.cos(theta);
-      positions[i * 3 + 1] = canopyCenter.y + r * Math.cos(phi) * 0.6;
-      positions[i * 3 + 2] = canopyCenter.z + r * Math.sin(phi) * Math.sin(theta);
+      positions[i * 3] = canopyCenter.x + radii.x * r * Math.sin(phi) * Math.cos(theta);
+      positions[i * 3 + 1] = canopyCenter.y + radii.y * r * Math.cos(phi);
+      positions[i * 3 + 2] = canopyCenter.z + radii.z * r * Math.sin(phi) * Math.sin(theta);
       
-      // Green to gold color variation
-      const colorChoice = Math.random();
-      if (colorChoice < 0.6) {
-        // Green leaves
-        colors[i * 3] = 0.3 + Math.random() * 0.2;
-        colors[i * 3 + 1] = 0.6 + Math.random() * 0.3;
-        colors[i * 3 + 2] = 0.2 + Math.random() * 0.2;
-      } else if (colorChoice < 0.8) {
-        // Golden lights
-        colors[i * 3] = 1.0;
-        colors[i * 3 + 1] = 0.8 + Math.random() * 0.2;
-        colors[i * 3 + 2] = 0.3;
-      } else {
-        // Pink blossoms
-        colors[i * 3] = 1.0;
-        colors[i * 3 + 1] = 0.7 + Math.random() * 0.2;
-        colors[i * 3 + 2] = 0.8 + Math.random() * 0.2;
+      for (let j = 0; j < 4; j++) {
+        this.canopyRolls[i * 4 + j] = Math.random();
       }
       
       sizes[i] = 0.05 + Math.random() * 0.1;
@@ -303,7 +372,9 @@ export class MagicalTree {
     const particleMaterial = new THREE.ShaderMaterial({
       uniforms: {
         time: { value: 0 },
-        pixelRatio: { value: window.devicePixelRatio }
+        pixelRatio: { value: window.devicePixelRatio },
+        snowCover: this.snowCover,
+        ...this.windUniforms
       },
       vertexShader: `
         attribute float size;
@@ -311,16 +382,24 @@ export class MagicalTree {
         varying vec3 vColor;
         uniform float time;
         uniform float pixelRatio;
+        uniform float snowCover;
+        ${WIND_BEND_GLSL}
         
         void main() {
-          vColor = color;
+          // Frosted under snow
+          vColor = mix(color, vec3(0.9, 0.95, 1.0), snowCover * 0.5);
           
           // Subtle floating animation
           vec3 pos = position;
           pos.y += sin(time * 0.5 + position.x * 2.0) * 0.05;
           pos.x += sin(time * 0.3 + position.z * 2.0) * 0.03;
           
-          vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
+          // Bent in world space (the canopy is scaled as the tree grows),
+          // matching the inscriptions among the leaves
+          vec4 worldPosition = modelMatrix * vec4(pos, 1.0);
+          worldPosition.xyz += windBend(worldPosition.xyz);
+          
+          vec4 mvPosition = viewMatrix * worldPosition;
           gl_PointSize = size * pixelRatio * (300.0 / -mvPosition.z);
           gl_Position = projectionMatrix * mvPosition;
         }
@@ -347,6 +426,217 @@ export class MagicalTree {
     this.canopyParticles = new THREE.Points(geometry, particleMaterial);
     this.canopyParticleMaterial = particleMaterial;
     this.group.add(this.canopyParticles);
+    
+    // Green to gold until a season is set
+    this.colorCanopy(SEASONS.summer.canopy);
+  }
+  
+  /**
+   * Recolor the canopy particles from a season palette
+   * @param {Array} palette - [{ share, from, to }], shares summing to 1
+   */
+  colorCanopy(palette) {
+    const colorAttribute = this.canopyParticles.geometry.getAttribute('color');
+    const colors = colorAttribute.array;
+    
+    for (let i = 0; i < colorAttribute.count; i++) {
+      let choice = this.canopyRolls[i * 4];
+      const entry = palette.find(candidate => (choice -= candidate.share) < 0) || palette[palette.length - 1];
+      writeSeasonColor(entry, this.canopyRolls, i * 4 + 1, colors, i);
+    }
+    colorAttribute.needsUpdate = true;
+  }
+  
+  /**
+   * Create the leaves that drop from the canopy in autumn
+   */
+  createFallingLeaves() {
+    const positions = new Float32Array(LEAF_COUNT * 3);
+    const colors = new Float32Array(LEAF_COUNT * 3);
+    
+    // Per leaf: where it falls from and how long until it does
+    this.leaves = [];
+    for (let i = 0; i < LEAF_COUNT; i++) {
+      this.leaves.push({ delay: Math.random() * 10, resting: 0, phase: Math.random() * Math.PI * 2 });
+      positions[i * 3 + 1] = -1; // Hidden below the ground until it drops
+    }
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geometry.setDrawRange(0, 0);
+    
+    const material = new THREE.PointsMaterial({
+      size: 0.12,
+      vertexColors: true,
+      transparent: true,
+      opacity: 0.9,
+      depthWrite: false
+    });
+    
+    this.fallingLeaves = new THREE.Points(geometry, material);
+    this.fallingLeaves.frustumCulled = false;
+    this.group.add(this.fallingLeaves);
+  }
+  
+  /**
+   * Drop a leaf from a random spot in the visible canopy
+   */
+  spawnLeaf(index) {
+    const canopyPositions = this.canopyParticles.geometry.getAttribute('position');
+    const source = Math.floor(Math.random() * this.canopyParticles.geometry.drawRange.count);
+    const position = new THREE.Vector3().fromBufferAttribute(canopyPositions, source);
+    
+    // Canopy particles are scaled about the canopy center while it grows
+    this.canopyParticles.updateMatrix();
+    position.applyMatrix4(this.canopyParticles.matrix);
+    this.fallingLeaves.geometry.getAttribute('position').setXYZ(index, position.x, position.y, position.z);
+    
+    const colors = this.fallingLeaves.geometry.getAttribute('color');
+    const sourceColors = this.canopyParticles.geometry.getAttribute('color');
+    colors.setXYZ(index, sourceColors.getX(source), sourceColors.getY(source), sourceColors.getZ(source));
+    colors.needsUpdate = true;
+  }
+  
+  /**
+   * Apply a season: canopy colors, how full it is and whether leaves fall
+   * @param {Object} season - Season state (see Seasons.js)
+   */
+  setSeason(season) {
+    this.colorCanopy(season.canopy);
+    
+    const total = this.canopyParticles.geometry.getAttribute('position').count;
+    this.canopyParticles.geometry.setDrawRange(0, Math.round(total * season.foliage));
+    
+    const leaves = Math.round(LEAF_COUNT * season.shedding);
+    this.fallingLeaves.geometry.setDrawRange(0, leaves);
+    this.fallingLeaves.visible = leaves > 0;
+    this.leaves.forEach(leaf => {
+      leaf.delay = Math.random() * 10;
+      leaf.resting = 0;
+    });
+    const positions = this.fallingLeaves.geometry.getAttribute('position');
+    for (let i = 0; i < LEAF_COUNT; i++) {
+      positions.setY(i, -1);
+    }
+    positions.needsUpdate = true;
+  }
+  
+  /**
+   * Drift falling leaves down to the ground, rest, then drop new ones
+   */
+  updateFallingLeaves(deltaTime) {
+    const count = this.fallingLeaves.geometry.drawRange.count;
+    if (count === 0) return;
+    
+    const positions = this.fallingLeaves.geometry.getAttribute('position');
+    for (let i = 0; i < count; i++) {
+      const leaf = this.leaves[i];
+      
+      if (leaf.delay > 0) {
+        leaf.delay -= deltaTime;
+        if (leaf.delay <= 0) {
+          this.spawnLeaf(i);
+        }
+        continue;
+      }
+      
+      if (leaf.resting > 0) {
+        leaf.resting -= deltaTime;
+        if (leaf.resting <= 0) {
+          positions.setY(i, -1);
+          leaf.delay = Math.random() * 6;
+        }
+        continue;
+      }
+      
+      // Flutter side to side on the way down, carried by the wind
+      const swing = Math.sin(this.time * 2 + leaf.phase);
+      positions.setXYZ(
+        i,
+        positions.getX(i) + (swing * 0.4 + this.wind.x * 1.5) * deltaTime,
+        positions.getY(i) - LEAF_FALL_SPEED * (0.7 + 0.3 * Math.abs(swing)) * deltaTime,
+        positions.getZ(i) + (Math.cos(this.time * 1.5 + leaf.phase) * 0.3 + this.wind.y * 1.5) * deltaTime
+      );
+      if (positions.getY(i) <= 0.05) {
+        positions.setY(i, 0.05);
+        leaf.resting = LEAF_REST_TIME * (0.5 + Math.random());
+      }
+    }
+    positions.needsUpdate = true;
+  }
+  
+  /**
+   * Grow into a new model stage
+   * Curves the tree already has stay untouched (growth only appends), new
+   * limbs and roots grow in from their base while the trunk and canopy swell
+   * @param {TreeModel} model - Grown model from the same seed
+   * @param {boolean} animate - False jumps straight there (e.g. on first load)
+   */
+  setModel(model, animate = true) {
+    if (model === this.model) return;
+    this.model = model;
+    
+    model.branches.slice(this.branchMeshes.length).forEach(curve => this.addBranch(curve, animate));
+    model.roots.slice(this.rootMeshes.length).forEach(curve => this.addRoot(curve, animate));
+    
+    const built = this.builtCanopy.radii;
+    const target = model.canopy.radii;
+    this.trunkGrowth = {
+      from: this.trunkMeshes[0].scale.x,
+      to: model.trunk.bottomRadius / this.builtTrunk.bottomRadius,
+      canopyFrom: this.canopyParticles.scale.clone(),
+      canopyTo: new THREE.Vector3(target.x / built.x, target.y / built.y, target.z / built.z),
+      progress: animate ? 0 : 1
+    };
+    this.applyTrunkGrowth();
+  }
+  
+  /**
+   * Start revealing a tube from its base (indices run base to tip)
+   */
+  startGrowIn(mesh) {
+    mesh.geometry.setDrawRange(0, 0);
+    this.growing.push({ mesh, progress: 0 });
+  }
+  
+  /**
+   * Scale trunk and canopy toward the current model
+   */
+  applyTrunkGrowth() {
+    const growth = this.trunkGrowth;
+    const eased = 1 - Math.pow(1 - growth.progress, 3);
+    const radius = growth.from + (growth.to - growth.from) * eased;
+    this.trunkMeshes.forEach(mesh => mesh.scale.set(radius, 1, radius));
+    
+    // Canopy particles scale about the canopy center
+    const { center } = this.builtCanopy;
+    const canopyScale = this.canopyParticles.scale;
+    canopyScale.lerpVectors(growth.canopyFrom, growth.canopyTo, eased);
+    this.canopyParticles.position.set(
+      center.x * (1 - canopyScale.x),
+      center.y * (1 - canopyScale.y),
+      center.z * (1 - canopyScale.z)
+    );
+  }
+  
+  /**
+   * Advance grow-in animations
+   */
+  updateGrowth(deltaTime) {
+    this.growing = this.growing.filter(entry => {
+      entry.progress = Math.min(entry.progress + deltaTime / GROWTH_DURATION, 1);
+      const eased = 1 - Math.pow(1 - entry.progress, 2);
+      const { index } = entry.mesh.geometry;
+      const count = entry.progress < 1 ? Math.floor(index.count * eased / 3) * 3 : Infinity;
+      entry.mesh.geometry.setDrawRange(0, count);
+      return entry.progress < 1;
+    });
+    
+    if (this.trunkGrowth && this.trunkGrowth.progress < 1) {
+      this.trunkGrowth.progress = Math.min(this.trunkGrowth.progress + deltaTime / GROWTH_DURATION, 1);
+      this.applyTrunkGrowth();
+    }
   }
   
   /**
@@ -355,6 +645,8 @@ export class MagicalTree {
   update(deltaTime) {
     this.time += deltaTime;
     
+    this.updateGrowth(deltaTime);
+    
     // Update trunk shader
     if (this.trunkMaterial) {
       this.trunkMaterial.uniforms.time.value = this.time;
@@ -370,10 +662,81 @@ export class MagicalTree {
       this.canopyParticleMaterial.uniforms.time.value = this.time;
     }
     
+    this.updateFallingLeaves(deltaTime);
+    
     // Subtle tree sway
     this.group.rotation.z = Math.sin(this.time * 0.2) * 0.01;
   }
   
+  /**
+   * How much of the tree lies between two points, from the model's shapes
+   * Used to hide god rays when the sun is behind the tree
+   * @param {THREE.Vector3} origin - e.g. the camera
+   * @param {THREE.Vector3} target - e.g. the sun
+   * @returns {number} - 0 (clear) to 1 (blocked by the trunk)
+   */
+  getOcclusion(origin, target) {
+    const direction = new THREE.Vector3().subVectors(target, origin);
+    const length = direction.length();
+    if (length === 0) return 0;
+    direction.divideScalar(length);
+    
+    // Trunk: closest approach of the ray to the trunk axis
+    const { height } = this.model.trunk;
+    const horizontal = direction.x * direction.x + direction.z * direction.z;
+    if (horizontal > 0) {
+      const t = Math.min(Math.max(-(origin.x * direction.x + origin.z * direction.z) / horizontal, 0), length);
+      const y = origin.y + direction.y * t;
+      const distance = Math.hypot(origin.x + direction.x * t, origin.z + direction.z * t);
+      if (y >= 0 && y <= height && distance <= this.model.trunkRadiusAt(y)) {
+        return 1;
+      }
+    }
+    
+    // Canopy: chord through the ellipsoid (as a unit sphere after scaling)
+    const { center, radii } = this.model.canopy;
+    const o = new THREE.Vector3(
+      (origin.x - center.x) / radii.x,
+      (origin.y - center.y) / radii.y,
+      (origin.z - center.z) / radii.z
+    );
+    const d = new THREE.Vector3(direction.x / radii.x, direction.y / radii.y, direction.z / radii.z);
+    const a = d.dot(d);
+    const b = o.dot(d);
+    const discriminant = b * b - a * (o.dot(o) - 1);
+    if (discriminant <= 0) return 0;
+    
+    const root = Math.sqrt(discriminant);
+    const enter = Math.max((-b - root) / a, 0);
+    const exit = Math.min((-b + root) / a, length);
+    if (exit <= enter) return 0;
+    
+    // Chord length in unit-sphere space: 2 through the center
+    const chord = (exit - enter) * Math.sqrt(a) / 2;
+    return Math.min(chord, 1) * CANOPY_OPACITY;
+  }
+  
+  /**
+   * Follow the shared weather state (call every frame): branches and canopy
+   * bend in the wind, rain darkens the bark and brightens the veins, snow
+   * settles on top of the branches
+   * @param {WeatherState} state
+   */
+  applyWeather(state) {
+    applyWindUniforms(this.windUniforms, state);
+    this.wind.copy(state.wind);
+    this.snowCover.value = state.snowCover;
+    
+    const { wetness } = state;
+    this.setVeinIntensity(1 + wetness * 0.6);
+    this.trunkMaterial.uniforms.wetness.value = wetness;
+    [[this.branchMaterial, DRY_BARK.branch], [this.barkMaterial, DRY_BARK.overlay]].forEach(([material, dry]) => {
+      material.color.copy(dry.color).multiplyScalar(1 - wetness * WET_DARKENING);
+      material.roughness = dry.roughness + (WET_ROUGHNESS - dry.roughness) * wetness;
+    });
+    this.rootMaterial.uniforms.baseColor.value.copy(DRY_BARK.root).multiplyScalar(1 - wetness * WET_DARKENING);
+  }
+  
   /**
    * Set vein intensity (for weather effects)
    */
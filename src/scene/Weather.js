@@ -4,6 +4,9 @@
  */
 
 import * as THREE from 'three';
+import { WeatherState } from './WeatherState.js';
+
+export const WEATHER_TYPES = ['clear', 'rain', 'fog', 'snow', 'wind'];
 
 export class WeatherSystem {
   constructor(scene) {
@@ -11,6 +14,9 @@ export class WeatherSystem {
     this.currentWeather = 'clear';
     this.time = 0;
     
+    // Conditions the tree, meadow and inscriptions read every frame
+    this.state = new WeatherState();
+    
     this.particles = {};
     this.createRainParticles();
     this.createSnowParticles();
@@ -356,6 +362,7 @@ export class WeatherSystem {
     const startTime = performance.now();
     const previousWeather = this.currentWeather;
     this.currentWeather = weather;
+    this.state.setWeather(weather);
     
     const animate = () => {
       const elapsed = performance.now() - startTime;
@@ -409,6 +416,7 @@ export class WeatherSystem {
    */
   update(deltaTime) {
     this.time += deltaTime;
+    this.state.update(deltaTime);
     
     // Update rain
     if (this.particles.rain.visible) {
@@ -431,6 +439,30 @@ export class WeatherSystem {
     }
   }
   
+  /**
+   * Draw only a fraction of each precipitation and wind particle set
+   * @param {number} density - 0-1
+   */
+  setParticleDensity(density) {
+    const fraction = Math.min(1, Math.max(0, density));
+    Object.values(this.particles).forEach(points => {
+      const total = points.geometry.getAttribute('position').count;
+      points.geometry.setDrawRange(0, Math.round(total * fraction));
+    });
+  }
+  
+  /**
+   * Pixel ratio the scene is rendered at (keeps snow and petal sizes steady)
+   */
+  setPixelRatio(pixelRatio) {
+    Object.values(this.particles).forEach(points => {
+      const { pixelRatio: uniform } = points.material.uniforms;
+      if (uniform) {
+        uniform.value = pixelRatio;
+      }
+    });
+  }
+  
   /**
    * Get current weather
    */
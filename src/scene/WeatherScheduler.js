@@ -0,0 +1,164 @@
+/**
+ * WeatherScheduler.js - Automatic Weather
+ * Moves between weathers on its own: either at random, weighted by the
+ * season and by what usually follows the current weather, or by following
+ * a weather timeline loaded from a local file
+ */
+
+import { getTimelineForecast } from '../utils/weatherTimeline.js';
+
+// Shortest time (seconds) each weather lasts before it may change; the actual
+// spell is between this and twice as long
+const MIN_DURATIONS = {
+  clear: 240,
+  rain: 150,
+  fog: 120,
+  snow: 180,
+  wind: 90
+};
+
+// What tends to follow each weather: multipliers on the season's odds
+const TRANSITIONS = {
+  clear: { wind: 1.5, fog: 0.7 },
+  rain: { fog: 1.5, wind: 1.2, snow: 0.5 },
+  fog: { clear: 1.5, rain: 1.2, wind: 0.5 },
+  snow: { clear: 1.5, fog: 1.2, rain: 0.3 },
+  wind: { rain: 1.5, clear: 1.2 }
+};
+
+// How often timeline mode rechecks the clock (seconds)
+const TIMELINE_INTERVAL = 5;
+
+export class WeatherScheduler {
+  constructor(seasons) {
+    this.seasons = seasons;
+
+    this.enabled = false;
+    this.current = 'clear';
+    this.next = null;
+    this.remaining = 0; // Seconds until `next` (random mode)
+    this.timeline = null; // [{ time, weather }] or null
+    this.timelineTimer = 0;
+
+    this.onWeatherChange = null; // Callback (weather) when auto mode changes it
+    this.onForecastChange = null; // Callback (forecast) when current or next changes
+  }
+
+  /**
+   * Start choosing weather, carrying on from the weather showing now
+   */
+  start(currentWeather) {
+    this.enabled = true;
+    this.current = currentWeather;
+
+    if (this.timeline) {
+      this.followTimeline();
+    } else {
+      this.planNext();
+    }
+  }
+
+  /**
+   * Stop choosing weather (e.g. after one is picked by hand)
+   */
+  stop() {
+    this.enabled = false;
+    this.notifyForecast();
+  }
+
+  /**
+   * Follow a timeline instead of picking at random (null to go back)
+   * @param {Array<{time: string, weather: string}>|null} entries
+   */
+  setTimeline(entries) {
+    this.timeline = entries && entries.length > 0 ? entries : null;
+    if (!this.enabled) return;
+
+    if (this.timeline) {
+      this.followTimeline();
+    } else {
+      this.planNext();
+    }
+  }
+
+  /**
+   * Pick the next weather and how long the current one lasts
+   */
+  planNext() {
+    const bias = TRANSITIONS[this.current] || {};
+    this.next = this.seasons.pickWeather({ exclude: this.current, bias });
+    const minimum = MIN_DURATIONS[this.current] || 120;
+    this.remaining = minimum * (1 + Math.random());
+    this.notifyForecast();
+  }
+
+  /**
+   * Switch to whatever the timeline says now
+   */
+  followTimeline() {
+    this.timelineTimer = 0;
+    const { current, next, nextAt } = getTimelineForecast(this.timeline);
+
+    // Before the timeline's first entry, keep the weather as it is
+    if (current && current !== this.current) {
+      this.setCurrent(current);
+    }
+    this.next = next;
+    this.remaining = nextAt ? (nextAt.getTime() - Date.now()) / 1000 : 0;
+    this.notifyForecast();
+  }
+
+  /**
+   * Change the weather and tell the listener
+   */
+  setCurrent(weather) {
+    this.current = weather;
+    if (this.onWeatherChange) {
+      this.onWeatherChange(weather);
+    }
+  }
+
+  /**
+   * Current and next weather
+   * @returns {{enabled: boolean, source: string, current: string, next: string|null, nextAt: Date|null}}
+   */
+  getForecast() {
+    return {
+      enabled: this.enabled,
+      source: this.timeline ? 'timeline' : 'random',
+      current: this.current,
+      next: this.next,
+      nextAt: this.next ? new Date(Date.now() + this.remaining * 1000) : null
+    };
+  }
+
+  /**
+   * Let listeners know the forecast changed
+   */
+  notifyForecast() {
+    if (this.onForecastChange) {
+      this.onForecastChange(this.getForecast());
+    }
+  }
+
+  /**
+   * Advance the schedule
+   */
+  update(deltaTime) {
+    if (!this.enabled) return;
+
+    if (this.timeline) {
+      this.timelineTimer += deltaTime;
+      if (this.timelineTimer >= TIMELINE_INTERVAL) {
+        this.followTimeline();
+      }
+      return;
+    }
+
+    this.remaining -= deltaTime;
+    if (this.remaining <= 0) {
+      this.setCurrent(this.next);
+      this.planNext();
+    }
+  }
+}
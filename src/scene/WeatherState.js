@@ -0,0 +1,145 @@
+/**
+ * WeatherState.js - Shared Weather Conditions
+ * One set of numbers every system reads each frame: a gusting wind vector,
+ * how hard it is raining or snowing, and the wetness and snow cover those
+ * leave behind (which build up and fade over minutes, not instantly)
+ */
+
+import * as THREE from 'three';
+
+// What each weather works toward: wind strength and precipitation (0-1)
+const WEATHER_TARGETS = {
+  clear: { wind: 0.15, precipitation: 0 },
+  rain: { wind: 0.35, precipitation: 1 },
+  fog: { wind: 0.05, precipitation: 0 },
+  snow: { wind: 0.2, precipitation: 1 },
+  wind: { wind: 1, precipitation: 0 }
+};
+
+// Seconds for a full change: wetting in rain and drying after, snow settling
+// and melting (faster in rain)
+const WETTING_TIME = 60;
+const DRYING_TIME = 180;
+const SNOW_SETTLE_TIME = 90;
+const SNOW_MELT_TIME = 150;
+const SNOW_RAIN_MELT_TIME = 40;
+
+// How quickly wind and precipitation follow a weather change (per second)
+const FOLLOW_RATE = 0.5;
+
+/**
+ * Wind bend for vertex shaders, shared so branches, canopy and inscriptions
+ * move together. Needs `uniform float windTime` and `uniform vec2 windVector`
+ * (direction in x/z times strength). Nothing moves at the trunk or near the
+ * ground; the canopy edge moves most
+ */
+export const WIND_BEND_GLSL = `
+  uniform float windTime;
+  uniform vec2 windVector;
+
+  vec3 windBend(vec3 p) {
+    float reach = clamp((length(p.xz) - 0.8) / 6.0, 0.0, 1.0) * smoothstep(1.0, 3.0, p.y);
+    float gust = 0.65 + 0.35 * sin(windTime * 1.7 + dot(p.xz, vec2(0.35, 0.25)));
+    float flutter = sin(windTime * 6.0 + p.x * 3.0 + p.z * 2.0) * 0.08;
+    vec2 push = windVector * (gust + flutter) * reach * reach * 0.6;
+    return vec3(push.x, -length(push) * 0.2, push.y);
+  }
+`;
+
+/**
+ * Uniforms for WIND_BEND_GLSL (copy values in with applyWindUniforms)
+ */
+export function createWindUniforms() {
+  return {
+    windTime: { value: 0 },
+    windVector: { value: new THREE.Vector2() }
+  };
+}
+
+/**
+ * Copy the current wind into a material's wind uniforms
+ */
+export function applyWindUniforms(uniforms, state) {
+  uniforms.windTime.value = state.time;
+  uniforms.windVector.value.copy(state.wind);
+}
+
+export class WeatherState {
+  constructor() {
+    this.weather = 'clear';
+    this.time = 0;
+
+    this.heading = Math.random() * Math.PI * 2; // Wind direction (radians, x toward z)
+    this.baseWind = WEATHER_TARGETS.clear.wind; // Steady wind before gusts
+    this.windStrength = 0; // 0-1 including gusts
+    this.wind = new THREE.Vector2(); // Direction (x, z) times windStrength
+
+    this.precipitation = 0; // 0-1, rain or snow falling now
+    this.rain = 0; // precipitation while it is rain
+    this.snow = 0; // precipitation while it is snow
+    this.wetness = 0; // 0-1, builds up in rain, dries afterwards
+    this.snowCover = 0; // 0-1, settles while snowing, melts afterwards
+  }
+
+  /**
+   * Start working toward a weather's conditions
+   */
+  setWeather(weather) {
+    this.weather = WEATHER_TARGETS[weather] ? weather : 'clear';
+  }
+
+  /**
+   * Wind bend at a world position, as WIND_BEND_GLSL computes it (for picking
+   * what the shaders have moved)
+   * @param {{x: number, y: number, z: number}} p
+   * @param {{x: number, y: number, z: number}} target - Receives the offset
+   */
+  getWindBend(p, target) {
+    const radial = Math.min(1, Math.max(0, (Math.hypot(p.x, p.z) - 0.8) / 6));
+    const rise = Math.min(1, Math.max(0, (p.y - 1) / 2));
+    const reach = radial * rise * rise * (3 - 2 * rise); // smoothstep(1, 3, y)
+    const gust = 0.65 + 0.35 * Math.sin(this.time * 1.7 + p.x * 0.35 + p.z * 0.25);
+    const flutter = Math.sin(this.time * 6 + p.x * 3 + p.z * 2) * 0.08;
+    const push = (gust + flutter) * reach * reach * 0.6;
+
+    target.x = this.wind.x * push;
+    target.y = -this.wind.length() * Math.abs(push) * 0.2;
+    target.z = this.wind.y * push;
+    return target;
+  }
+
+  /**
+   * Advance the conditions
+   */
+  update(deltaTime) {
+    this.time += deltaTime;
+    const target = WEATHER_TARGETS[this.weather];
+    const follow = Math.min(1, deltaTime * FOLLOW_RATE);
+
+    // Wind: a slowly wandering heading and overlapping gusts
+    this.baseWind += (target.wind - this.baseWind) * follow;
+    this.heading += Math.sin(this.time * 0.05) * 0.1 * deltaTime;
+    const gust = 0.75 + 0.25 * Math.sin(this.time * 0.9) * Math.sin(this.time * 0.37 + 1);
+    this.windStrength = Math.min(1, this.baseWind * gust);
+    this.wind.set(Math.cos(this.heading), Math.sin(this.heading)).multiplyScalar(this.windStrength);
+
+    // Precipitation eases in and out with the particles
+    this.precipitation += (target.precipitation - this.precipitation) * follow;
+    this.rain = this.weather === 'rain' ? this.precipitation : 0;
+    this.snow = this.weather === 'snow' ? this.precipitation : 0;
+
+    // What it leaves behind
+    if (this.rain > 0.1) {
+      this.wetness = Math.min(1, this.wetness + this.rain * deltaTime / WETTING_TIME);
+    } else {
+      this.wetness = Math.max(0, this.wetness - deltaTime / DRYING_TIME);
+    }
+
+    if (this.snow > 0.1) {
+      this.snowCover = Math.min(1, this.snowCover + this.snow * deltaTime / SNOW_SETTLE_TIME);
+    } else {
+      const meltTime = this.rain > 0.1 ? SNOW_RAIN_MELT_TIME : SNOW_MELT_TIME;
+      this.snowCover = Math.max(0, this.snowCover - deltaTime / meltTime);
+    }
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * ArchiveUI.js - Backup Controls
+ * Export the tree to a JSON/NDJSON archive and import one back in
+ */
+
+import { exportArchive, importArchive } from '../utils/archive.js';
+
+export class ArchiveUI {
+  constructor(onImport) {
+    this.onImport = onImport; // Called with the import result
+
+    this.exportButton = document.getElementById('archive-export');
+    this.importButton = document.getElementById('archive-import');
+    this.formatSelect = document.getElementById('archive-format');
+    this.fileInput = document.getElementById('archive-file');
+    this.status = document.getElementById('archive-status');
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Setup archive event listeners
+   */
+  setupEventListeners() {
+    this.exportButton.addEventListener('click', () => this.handleExport());
+
+    // The file picker is hidden; the button opens it
+    this.importButton.addEventListener('click', () => this.fileInput.click());
+
+    this.fileInput.addEventListener('change', () => {
+      const file = this.fileInput.files[0];
+      if (file) {
+        this.handleImport(file);
+      }
+      this.fileInput.value = '';
+    });
+  }
+
+  /**
+   * Download an archive of all messages and settings
+   */
+  async handleExport() {
+    try {
+      const format = this.formatSelect.value;
+      const text = await exportArchive(format);
+
+      const type = format === 'ndjson' ? 'application/x-ndjson' : 'application/json';
+      const date = new Date().toISOString().slice(0, 10);
+      const blob = new Blob([text], { type });
+      const url = URL.createObjectURL(blob);
+
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `tree-archive-${date}.${format}`;
+      link.click();
+
+      // Revoking straight away can cancel the download in some browsers
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      this.showStatus('Archive exported');
+    } catch (error) {
+      console.error('Export failed:', error);
+      this.showStatus(`Export failed: ${error.message}`, true);
+    }
+  }
+
+  /**
+   * Merge an archive file into the tree
+   */
+  async handleImport(file) {
+    try {
+      const text = await file.text();
+      const result = await importArchive(text, { importSettings: true });
+
+      if (this.onImport) {
+        this.onImport(result);
+      }
+
+      this.showStatus(this.formatResult(result));
+
+      if (result.conflicts.length > 0) {
+        console.warn('Import conflicts (existing messages kept):', result.conflicts);
+      }
+      if (result.invalid.length > 0) {
+        console.warn('Invalid records skipped during import:', result.invalid);
+      }
+    } catch (error) {
+      console.error('Import failed:', error);
+      this.showStatus(`Import failed: ${error.message}`, true);
+    }
+  }
+
+  /**
+   * Summarize an import result
+   */
+  formatResult(result) {
+    const parts = [`${result.added.length} added`];
+    if (result.updated.length > 0) parts.push(`${result.updated.length} updated`);
+    if (result.removed.length > 0) parts.push(`${result.removed.length} removed`);
+    if (result.duplicates > 0) parts.push(`${result.duplicates} already present`);
+    if (result.conflicts.length > 0) parts.push(`${result.conflicts.length} conflicts`);
+    if (result.invalid.length > 0) parts.push(`${result.invalid.length} invalid`);
+    return parts.join(' · ');
+  }
+
+  /**
+   * Show a short status line
+   */
+  showStatus(text, isError = false) {
+    this.status.textContent = text;
+    this.status.classList.toggle('error', isError);
+    this.status.classList.remove('hidden');
+
+    clearTimeout(this.statusTimeout);
+    this.statusTimeout = setTimeout(() => {
+      this.status.classList.add('hidden');
+    }, 6000);
+  }
+}
@@ -4,12 +4,17 @@
  * Simplified: Just name + message (no emotion system)
  */
 
-import { generateMessageId, getMessagePlacement } from '../utils/hash.js';
+import { generateMessageId } from '../utils/hash.js';
+import { placeMessage } from '../utils/placement.js';
 import { saveMessage } from '../utils/storage.js';
+import { CURRENT_SCHEMA_VERSION } from '../utils/schema.js';
+import { getAuthorId } from '../utils/author.js';
 
 export class Composer {
-  constructor(onMessageSubmit) {
+  constructor(onMessageSubmit, syncClient = null) {
     this.onMessageSubmit = onMessageSubmit;
+    this.syncClient = syncClient; // Optional shared-tree server
+    this.getOccupiedPositions = null; // Callback returning positions already taken on the tree
     
     this.nameInput = document.getElementById('composer-name');
     this.messageTextarea = document.getElementById('composer-message');
@@ -41,7 +46,7 @@ export class Composer {
   /**
    * Handle form submission
    */
-  handleSubmit() {
+  async handleSubmit() {
     const userName = this.nameInput.value.trim();
     const messageText = this.messageTextarea.value.trim();
     
@@ -56,36 +61,86 @@ export class Composer {
       return;
     }
     
-    // Generate message object with tree placement
+    const message = await this.createMessage(userName, messageText);
+    
+    if (await this.publish(message)) {
+      // Clear form
+      this.messageTextarea.value = '';
+      
+      // Show success animation
+      this.showSuccessAnimation();
+    } else {
+      this.showError(this.submitButton, 'Failed to save message');
+    }
+  }
+  
+  /**
+   * Submit a reply to an existing message (from the Modal)
+   * @returns {Promise<Object|null>} - The saved reply, or null on failure
+   */
+  async submitReply(parent, userName, messageText) {
+    const message = await this.createMessage(userName, messageText, parent);
+    return (await this.publish(message)) ? message : null;
+  }
+  
+  /**
+   * Build a message object with tree placement
+   * Replies carry parent_id and are placed next to their parent
+   */
+  async createMessage(userName, messageText, parent = null) {
     const messageId = generateMessageId();
     const timestamp = new Date().toISOString();
-    const placement = getMessagePlacement(userName, messageId);
+    const placement = placeMessage(userName, messageId, {
+      parent,
+      occupied: this.getOccupiedPositions ? this.getOccupiedPositions() : []
+    });
     
     const message = {
+      schemaVersion: CURRENT_SCHEMA_VERSION,
       message_id: messageId,
       userName,
       message: messageText,
       timestamp,
       treePart: placement.treePart,
       position: placement.position,
-      glowIntensity: placement.glowIntensity
+      normal: placement.normal,
+      glowIntensity: placement.glowIntensity,
+      placementVersion: placement.placementVersion
     };
     
-    // Save to localStorage
-    if (saveMessage(message)) {
-      // Trigger callback with new message
-      if (this.onMessageSubmit) {
-        this.onMessageSubmit(message);
-      }
-      
-      // Clear form
-      this.messageTextarea.value = '';
-      
-      // Show success animation
-      this.showSuccessAnimation();
-    } else {
-      this.showError(this.submitButton, 'Failed to save message');
+    if (parent) {
+      message.parent_id = parent.message_id;
+    }
+    
+    // Lets this browser edit or delete the message later
+    const authorId = await getAuthorId();
+    if (authorId) {
+      message.authorId = authorId;
+    }
+    
+    return message;
+  }
+  
+  /**
+   * Save a message, share it and hand it to the tree
+   * @returns {Promise<boolean>} - Success status
+   */
+  async publish(message) {
+    if (!(await saveMessage(message))) {
+      return false;
     }
+    
+    // Share with other visitors (local copy is already safe if this fails)
+    if (this.syncClient) {
+      this.syncClient.postMessage(message);
+    }
+    
+    // Trigger callback with new message
+    if (this.onMessageSubmit) {
+      this.onMessageSubmit(message);
+    }
+    
+    return true;
   }
   
   /**
@@ -0,0 +1,219 @@
+/**
+ * Dashboard.js - Tree Activity Statistics
+ * Messages per day/week, tree part distribution, top contributors, busiest
+ * hours and Yearfruit progress; clicking a bar filters the tree to it
+ */
+
+import { computeStats } from '../utils/stats.js';
+
+export class Dashboard {
+  constructor(filterUI, yearfruit) {
+    this.filterUI = filterUI;
+    this.yearfruit = yearfruit;
+
+    this.toggleButton = document.getElementById('stats-toggle');
+    this.panel = document.getElementById('stats-panel');
+    this.closeButton = document.getElementById('stats-close');
+    this.summary = document.getElementById('stats-summary');
+    this.periodSelect = document.getElementById('stats-period');
+    this.activityChart = document.getElementById('stats-activity');
+    this.partsChart = document.getElementById('stats-parts');
+    this.contributorsChart = document.getElementById('stats-contributors');
+    this.hoursChart = document.getElementById('stats-hours');
+    this.tierDisplay = document.getElementById('stats-tier');
+
+    this.stats = null;
+    this.refreshTimeout = null;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Setup dashboard event listeners
+   */
+  setupEventListeners() {
+    this.toggleButton.addEventListener('click', () => {
+      if (this.isOpen()) {
+        this.close();
+      } else {
+        this.open();
+      }
+    });
+    this.closeButton.addEventListener('click', () => this.close());
+    this.periodSelect.addEventListener('change', () => this.renderActivity());
+  }
+
+  /**
+   * Check whether the panel is showing
+   */
+  isOpen() {
+    return !this.panel.classList.contains('hidden');
+  }
+
+  /**
+   * Show the dashboard and compute fresh numbers
+   */
+  open() {
+    this.panel.classList.remove('hidden');
+    this.toggleButton.classList.add('active');
+    this.refresh();
+  }
+
+  /**
+   * Hide the dashboard
+   */
+  close() {
+    clearTimeout(this.refreshTimeout);
+    this.panel.classList.add('hidden');
+    this.toggleButton.classList.remove('active');
+  }
+
+  /**
+   * Recompute once a burst of message changes settles (only while open)
+   */
+  scheduleRefresh() {
+    if (!this.isOpen()) return;
+
+    clearTimeout(this.refreshTimeout);
+    this.refreshTimeout = setTimeout(() => this.refresh(), 500);
+  }
+
+  /**
+   * Recompute statistics from storage and redraw
+   */
+  async refresh() {
+    const [stats, progress] = await Promise.all([
+      computeStats(),
+      this.yearfruit.getProgressToNextTier()
+    ]);
+    this.stats = stats;
+
+    this.summary.textContent = `${stats.total.toLocaleString()} messages`;
+
+    this.renderActivity();
+    this.renderRows(this.partsChart, stats.parts.map(({ part, count }) => ({
+      label: part,
+      count,
+      criteria: { treePart: part }
+    })));
+    this.renderRows(this.contributorsChart, stats.contributors.map(({ userName, count }) => ({
+      label: userName,
+      count,
+      criteria: { userName }
+    })));
+    this.renderColumns(this.hoursChart, stats.hours.map((count, hour) => ({
+      label: `${String(hour).padStart(2, '0')}:00`,
+      count,
+      criteria: { hour: String(hour) }
+    })));
+    this.renderTier(progress);
+  }
+
+  /**
+   * Draw the per-day or per-week chart
+   */
+  renderActivity() {
+    if (!this.stats) return;
+
+    const bars = this.periodSelect.value === 'week'
+      ? this.stats.perWeek.map(({ from, to, count }) => ({
+        label: `Week of ${from}`,
+        count,
+        criteria: { from, to }
+      }))
+      : this.stats.perDay.map(({ date, count }) => ({
+        label: date,
+        count,
+        criteria: { from: date, to: date }
+      }));
+
+    this.renderColumns(this.activityChart, bars);
+  }
+
+  /**
+   * Draw a vertical bar chart
+   * @param {HTMLElement} container
+   * @param {Array<{label: string, count: number, criteria: Object}>} bars
+   */
+  renderColumns(container, bars) {
+    container.innerHTML = '';
+    const max = Math.max(1, ...bars.map(bar => bar.count));
+
+    bars.forEach(bar => {
+      const column = this.createSegment('stats-column', bar);
+      const fill = document.createElement('span');
+      fill.className = 'stats-fill';
+      fill.style.height = `${(bar.count / max) * 100}%`;
+      column.appendChild(fill);
+      container.appendChild(column);
+    });
+  }
+
+  /**
+   * Draw a horizontal bar chart with labels
+   * @param {HTMLElement} container
+   * @param {Array<{label: string, count: number, criteria: Object}>} bars
+   */
+  renderRows(container, bars) {
+    container.innerHTML = '';
+    if (bars.length === 0) {
+      container.textContent = 'No messages yet';
+      return;
+    }
+    const max = Math.max(1, ...bars.map(bar => bar.count));
+
+    bars.forEach(bar => {
+      const row = this.createSegment('stats-row', bar);
+
+      const label = document.createElement('span');
+      label.className = 'stats-label';
+      label.textContent = bar.label;
+
+      const track = document.createElement('span');
+      track.className = 'stats-track';
+      const fill = document.createElement('span');
+      fill.className = 'stats-fill';
+      fill.style.width = `${(bar.count / max) * 100}%`;
+      track.appendChild(fill);
+
+      const count = document.createElement('span');
+      count.className = 'stats-count';
+      count.textContent = bar.count.toLocaleString();
+
+      row.append(label, track, count);
+      container.appendChild(row);
+    });
+  }
+
+  /**
+   * Build a clickable chart segment that filters the tree
+   */
+  createSegment(className, { label, count, criteria }) {
+    const segment = document.createElement('button');
+    segment.className = className;
+    segment.title = `${label}: ${count.toLocaleString()} — click to show on the tree`;
+    segment.addEventListener('click', () => this.filterUI.setCriteria(criteria));
+    return segment;
+  }
+
+  /**
+   * Show Yearfruit tier progress
+   */
+  renderTier(progress) {
+    this.tierDisplay.innerHTML = '';
+
+    const label = document.createElement('div');
+    label.textContent = progress.nextTier
+      ? `${this.yearfruit.currentYear}: ${progress.currentTier} · ${progress.remaining.toLocaleString()} more to ${progress.nextTier}`
+      : `${this.yearfruit.currentYear}: ${progress.currentTier} (highest tier)`;
+
+    const track = document.createElement('div');
+    track.className = 'stats-track';
+    const fill = document.createElement('span');
+    fill.className = 'stats-fill';
+    fill.style.width = `${progress.progress * 100}%`;
+    track.appendChild(fill);
+
+    this.tierDisplay.append(label, track);
+  }
+}
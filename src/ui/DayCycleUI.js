@@ -0,0 +1,18 @@
+/**
+ * DayCycleUI.js - Time of Day Setting
+ * Local clock or an accelerated day; the choice is saved in settings
+ */
+
+import { SettingSelectUI } from './SettingSelectUI.js';
+import { DAY_CYCLE_MODES } from '../scene/DayCycle.js';
+
+export class DayCycleUI extends SettingSelectUI {
+  constructor(dayCycle) {
+    super(dayCycle, {
+      selectId: 'day-cycle',
+      settingsKey: 'dayCycle',
+      modes: DAY_CYCLE_MODES,
+      defaultMode: 'clock'
+    });
+  }
+}
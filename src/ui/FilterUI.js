@@ -0,0 +1,126 @@
+/**
+ * FilterUI.js - Tree Filter Controls
+ * Dims every inscription except those matching a user, tree part,
+ * date range and/or text; the active filter stays visible as a chip
+ */
+
+import { createMessageFilter, describeCriteria, normalizeCriteria } from '../utils/messageFilter.js';
+
+const LAYER_NAME = 'filter';
+
+export class FilterUI {
+  constructor(nodeSystem) {
+    this.nodeSystem = nodeSystem;
+    this.criteria = {};
+
+    this.toggleButton = document.getElementById('filter-toggle');
+    this.form = document.getElementById('filter-form');
+    this.userInput = document.getElementById('filter-user');
+    this.partSelect = document.getElementById('filter-part');
+    this.fromInput = document.getElementById('filter-from');
+    this.toInput = document.getElementById('filter-to');
+    this.hourSelect = document.getElementById('filter-hour');
+    this.textInput = document.getElementById('filter-text');
+    this.applyButton = document.getElementById('filter-apply');
+    this.resetButton = document.getElementById('filter-reset');
+    this.status = document.getElementById('filter-status');
+    this.summary = document.getElementById('filter-summary');
+    this.clearButton = document.getElementById('filter-clear');
+
+    for (let hour = 0; hour < 24; hour++) {
+      const label = String(hour).padStart(2, '0');
+      this.hourSelect.add(new Option(`${label}:00–${label}:59`, String(hour)));
+    }
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Setup filter event listeners
+   */
+  setupEventListeners() {
+    this.toggleButton.addEventListener('click', () => {
+      this.form.classList.toggle('hidden');
+    });
+
+    this.applyButton.addEventListener('click', () => this.applyForm());
+    this.resetButton.addEventListener('click', () => this.clear());
+    this.clearButton.addEventListener('click', () => this.clear());
+
+    [this.userInput, this.textInput].forEach(input => {
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          this.applyForm();
+        }
+      });
+    });
+    [this.partSelect, this.fromInput, this.toInput, this.hourSelect].forEach(input => {
+      input.addEventListener('change', () => this.applyForm());
+    });
+  }
+
+  /**
+   * Apply whatever is in the form
+   */
+  applyForm() {
+    this.setCriteria({
+      userName: this.userInput.value,
+      treePart: this.partSelect.value,
+      from: this.fromInput.value,
+      to: this.toInput.value,
+      hour: this.hourSelect.value,
+      text: this.textInput.value
+    });
+  }
+
+  /**
+   * Filter the tree (also used by other panels, e.g. to show one year)
+   * @param {Object} criteria - { userName, treePart, from, to, hour, text }
+   */
+  setCriteria(criteria) {
+    this.criteria = normalizeCriteria(criteria);
+    this.nodeSystem.setVisibilityLayer(LAYER_NAME, createMessageFilter(this.criteria));
+    this.syncForm();
+    this.updateStatus();
+  }
+
+  /**
+   * Show every message again
+   */
+  clear() {
+    this.setCriteria({});
+  }
+
+  /**
+   * Check whether a filter is active
+   */
+  isActive() {
+    return Object.keys(this.criteria).length > 0;
+  }
+
+  /**
+   * Mirror the active criteria in the form fields
+   */
+  syncForm() {
+    this.userInput.value = this.criteria.userName || '';
+    this.partSelect.value = this.criteria.treePart || '';
+    this.fromInput.value = this.criteria.from || '';
+    this.toInput.value = this.criteria.to || '';
+    this.hourSelect.value = this.criteria.hour || '';
+    this.textInput.value = this.criteria.text || '';
+  }
+
+  /**
+   * Refresh the filter chip (call when nodes are added or removed)
+   */
+  updateStatus() {
+    const active = this.isActive();
+    this.status.classList.toggle('hidden', !active);
+    this.toggleButton.classList.toggle('active', active);
+    if (!active) return;
+
+    const shown = this.nodeSystem.getVisibleCount();
+    const total = this.nodeSystem.instances.size;
+    this.summary.textContent = `${describeCriteria(this.criteria)} — ${shown} of ${total}`;
+  }
+}
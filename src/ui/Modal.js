@@ -2,9 +2,13 @@
  * Modal.js - Message Detail Modal
  * Displays full message details when a node is clicked
  * Shows message location on tree (trunk/branch/leaf/root)
+ * Authors can edit or delete their own messages from here
+ * Anyone can reply, walk up and down a reply thread, or copy a link to it
  */
 
 import { DEFAULT_TREE_PART } from '../utils/hash.js';
+import { isOwnMessage } from '../utils/author.js';
+import { getMessageLink } from '../utils/router.js';
 
 export class Modal {
   constructor() {
@@ -16,6 +20,35 @@ export class Modal {
     this.location = document.getElementById('modal-location');
     this.closeButton = this.modal.querySelector('.modal-close');
     
+    this.actions = document.getElementById('modal-actions');
+    this.ownerActions = document.getElementById('modal-owner-actions');
+    this.editButton = document.getElementById('modal-edit');
+    this.deleteButton = document.getElementById('modal-delete');
+    this.editor = document.getElementById('modal-editor');
+    this.editText = document.getElementById('modal-edit-text');
+    this.saveButton = document.getElementById('modal-save');
+    this.cancelButton = document.getElementById('modal-cancel');
+    
+    this.thread = document.getElementById('modal-thread');
+    this.parentLink = document.getElementById('modal-parent');
+    this.repliesList = document.getElementById('modal-replies');
+    this.replyButton = document.getElementById('modal-reply');
+    this.replyForm = document.getElementById('modal-reply-form');
+    this.replyName = document.getElementById('modal-reply-name');
+    this.replyText = document.getElementById('modal-reply-text');
+    this.replySendButton = document.getElementById('modal-reply-send');
+    this.replyCancelButton = document.getElementById('modal-reply-cancel');
+    this.copyLinkButton = document.getElementById('modal-copy-link');
+    
+    this.currentMessage = null;
+    this.currentParent = null;
+    
+    this.onEdit = null; // Callback (message, newText) for saving an edit
+    this.onDelete = null; // Callback (message) for deleting
+    this.onReply = null; // Callback (parent, userName, text) -> Promise<reply|null>
+    this.onNavigate = null; // Callback (message) to fly to another message in the thread
+    this.getDefaultName = null; // Returns the name to prefill replies with
+    
     this.setupEventListeners();
   }
   
@@ -39,16 +72,58 @@ export class Modal {
         this.hide();
       }
     });
+    
+    this.copyLinkButton.addEventListener('click', () => this.copyLink());
+    
+    // Owner actions
+    this.editButton.addEventListener('click', () => this.startEditing());
+    this.cancelButton.addEventListener('click', () => this.stopEditing());
+    this.saveButton.addEventListener('click', () => this.saveEdit());
+    this.deleteButton.addEventListener('click', () => this.confirmDelete());
+    
+    this.editText.addEventListener('keydown', (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+        this.saveEdit();
+      }
+    });
+    
+    // Replies and thread navigation
+    this.replyButton.addEventListener('click', () => this.startReply());
+    this.replyCancelButton.addEventListener('click', () => this.stopReply());
+    this.replySendButton.addEventListener('click', () => this.sendReply());
+    
+    this.replyText.addEventListener('keydown', (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+        this.sendReply();
+      }
+    });
+    
+    this.parentLink.addEventListener('click', () => {
+      if (this.currentParent) {
+        this.navigate(this.currentParent);
+      }
+    });
   }
   
   /**
    * Show modal with message data
+   * @param {Object} message - Message to show
+   * @param {{parent: Object|null, replies: Array}} thread - Its place in a reply thread
    */
-  show(message) {
+  show(message, thread = { parent: null, replies: [] }) {
+    this.currentMessage = message;
+    this.editor.classList.add('hidden');
+    this.replyForm.classList.add('hidden');
+    this.message.classList.remove('hidden');
+    this.actions.classList.remove('hidden');
+    
+    this.renderThread(message, thread);
+    
     // Populate modal content
     this.username.textContent = message.userName;
     this.message.textContent = message.message;
-    this.timestamp.textContent = this.formatTimestamp(message.timestamp);
+    this.timestamp.textContent = this.formatTimestamp(message.timestamp) +
+      (message.editedAt ? ' (edited)' : '');
     this.messageId.textContent = `ID: ${message.message_id}`;
     
     // Show tree location
@@ -60,6 +135,42 @@ export class Modal {
     
     // Focus close button for accessibility
     this.closeButton.focus();
+    
+    // Edit/delete only for messages written from this browser
+    this.ownerActions.classList.add('hidden');
+    isOwnMessage(message).then(isOwn => {
+      if (isOwn && this.currentMessage === message) {
+        this.ownerActions.classList.remove('hidden');
+      }
+    });
+  }
+  
+  /**
+   * Copy a shareable link to the current message
+   */
+  async copyLink() {
+    if (!this.currentMessage) return;
+    const link = getMessageLink(this.currentMessage.message_id);
+    
+    try {
+      await navigator.clipboard.writeText(link);
+      this.flashCopyLabel('✓ Copied');
+    } catch (error) {
+      // Clipboard access needs a secure context; let the user copy by hand
+      window.prompt('Copy this link:', link);
+    }
+  }
+  
+  /**
+   * Briefly swap the copy button label
+   */
+  flashCopyLabel(text) {
+    const label = '🔗 Copy link';
+    this.copyLinkButton.textContent = text;
+    clearTimeout(this.copyLabelTimeout);
+    this.copyLabelTimeout = setTimeout(() => {
+      this.copyLinkButton.textContent = label;
+    }, 1500);
   }
   
   /**
@@ -67,6 +178,137 @@ export class Modal {
    */
   hide() {
     this.modal.classList.add('hidden');
+    this.currentMessage = null;
+  }
+  
+  /**
+   * Render the parent link and reply list
+   */
+  renderThread(message, { parent, replies }) {
+    this.currentParent = parent;
+    this.repliesList.innerHTML = '';
+    
+    // Parent link (disabled when the parent was deleted or isn't on this tree)
+    this.parentLink.classList.toggle('hidden', !message.parent_id);
+    this.parentLink.disabled = !parent;
+    this.parentLink.textContent = parent
+      ? `↑ In reply to ${parent.userName}: ${parent.message}`
+      : '↑ In reply to a message that is no longer on the tree';
+    
+    replies.forEach(reply => {
+      const link = document.createElement('button');
+      link.className = 'thread-link';
+      link.textContent = `↓ ${reply.userName}: ${reply.message}`;
+      link.addEventListener('click', () => this.navigate(reply));
+      this.repliesList.appendChild(link);
+    });
+    
+    this.thread.classList.toggle('hidden', !message.parent_id && replies.length === 0);
+  }
+  
+  /**
+   * Move to another message in the thread
+   */
+  navigate(message) {
+    if (this.onNavigate) {
+      this.onNavigate(message);
+    }
+  }
+  
+  /**
+   * Open the reply form
+   */
+  startReply() {
+    if (!this.replyName.value && this.getDefaultName) {
+      this.replyName.value = this.getDefaultName();
+    }
+    this.replyText.value = '';
+    this.actions.classList.add('hidden');
+    this.replyForm.classList.remove('hidden');
+    (this.replyName.value ? this.replyText : this.replyName).focus();
+  }
+  
+  /**
+   * Close the reply form without sending
+   */
+  stopReply() {
+    this.replyForm.classList.add('hidden');
+    this.actions.classList.remove('hidden');
+  }
+  
+  /**
+   * Send the reply
+   */
+  async sendReply() {
+    const userName = this.replyName.value.trim();
+    const text = this.replyText.value.trim();
+    
+    const missing = !userName ? this.replyName : !text ? this.replyText : null;
+    if (missing) {
+      missing.style.borderColor = '#ff4444';
+      setTimeout(() => {
+        missing.style.borderColor = '';
+      }, 1000);
+      return;
+    }
+    
+    if (this.onReply) {
+      this.replySendButton.disabled = true;
+      await this.onReply(this.currentMessage, userName, text);
+      this.replySendButton.disabled = false;
+    }
+  }
+  
+  /**
+   * Switch the message text to an editable textarea
+   */
+  startEditing() {
+    this.editText.value = this.currentMessage.message;
+    this.message.classList.add('hidden');
+    this.actions.classList.add('hidden');
+    this.editor.classList.remove('hidden');
+    this.editText.focus();
+  }
+  
+  /**
+   * Leave edit mode without saving
+   */
+  stopEditing() {
+    this.editor.classList.add('hidden');
+    this.message.classList.remove('hidden');
+    this.actions.classList.remove('hidden');
+  }
+  
+  /**
+   * Save the edited text
+   */
+  saveEdit() {
+    const newText = this.editText.value.trim();
+    
+    if (!newText) {
+      this.editText.style.borderColor = '#ff4444';
+      setTimeout(() => {
+        this.editText.style.borderColor = '';
+      }, 1000);
+      return;
+    }
+    
+    if (newText !== this.currentMessage.message && this.onEdit) {
+      this.onEdit(this.currentMessage, newText);
+    } else {
+      this.stopEditing();
+    }
+  }
+  
+  /**
+   * Ask before deleting, then hand off to the callback
+   */
+  confirmDelete() {
+    if (!this.onDelete) return;
+    
+    if (window.confirm('Delete this message from the tree? This cannot be undone.')) {
+      this.onDelete(this.currentMessage);
+    }
   }
   
   /**
@@ -0,0 +1,27 @@
+/**
+ * QualityUI.js - Graphics Quality Setting
+ * Auto (adapts to frame time) or a fixed tier; the choice is saved in settings
+ */
+
+import { SettingSelectUI } from './SettingSelectUI.js';
+import { QUALITY_MODES } from '../scene/Quality.js';
+
+export class QualityUI extends SettingSelectUI {
+  constructor(qualityManager) {
+    super(qualityManager, {
+      selectId: 'quality-mode',
+      settingsKey: 'quality',
+      modes: QUALITY_MODES,
+      defaultMode: 'auto'
+    });
+
+    this.system.onTierChange = () => this.render();
+  }
+
+  /**
+   * The tier auto mode settled on
+   */
+  getAutoDetail() {
+    return this.system.tier;
+  }
+}
@@ -1,9 +1,14 @@
 /**
  * Search.js - Search Functionality
- * Handles message ID search with camera fly-to animation
+ * Handles message ID and full-text search with a ranked results panel
+ * and camera fly-to animation
  */
 
 import * as THREE from 'three';
+import { SearchIndex } from '../utils/searchIndex.js';
+
+const MAX_RESULTS = 50;
+const SNIPPET_LENGTH = 80;
 
 export class Search {
   constructor(camera, controls, nodeSystem) {
@@ -13,13 +18,58 @@ export class Search {
     
     this.searchInput = document.getElementById('search-input');
     this.searchButton = document.getElementById('search-btn');
+    this.resultsPanel = document.getElementById('search-results');
+    this.resultsSummary = document.getElementById('search-summary');
+    this.resultsList = document.getElementById('search-list');
     
     this.isAnimating = false;
     this.lightBeam = null;
     
+    // Kept in step with the scene through the NodeSystem callbacks
+    this.index = new SearchIndex();
+    this.nodeSystem.nodes.forEach(message => this.index.add(message));
+    this.lastQuery = '';
+    this.refreshTimeout = null;
+    
+    this.onResultSelect = null; // Callback (message) after flying to a chosen result
+    
     this.setupEventListeners();
   }
   
+  /**
+   * Index a message as it joins the scene
+   */
+  addToIndex(message) {
+    this.index.add(message);
+    this.scheduleRefresh();
+  }
+  
+  /**
+   * Re-index an edited message
+   */
+  updateInIndex(message) {
+    this.index.update(message);
+    this.scheduleRefresh();
+  }
+  
+  /**
+   * Drop a removed message from the index
+   */
+  removeFromIndex(messageId) {
+    this.index.remove(messageId);
+    this.scheduleRefresh();
+  }
+  
+  /**
+   * Re-run an open search once a burst of index changes settles
+   */
+  scheduleRefresh() {
+    if (this.resultsPanel.classList.contains('hidden')) return;
+    
+    clearTimeout(this.refreshTimeout);
+    this.refreshTimeout = setTimeout(() => this.runQuery(this.lastQuery), 200);
+  }
+  
   /**
    * Setup search event listeners
    */
@@ -29,12 +79,17 @@ export class Search {
     this.searchInput.addEventListener('keydown', (e) => {
       if (e.key === 'Enter') {
         this.handleSearch();
+      } else if (e.key === 'Escape') {
+        this.hideResults();
       }
     });
     
     // Clear highlight on new input
     this.searchInput.addEventListener('input', () => {
       this.searchInput.style.borderColor = '';
+      if (!this.searchInput.value.trim()) {
+        this.hideResults();
+      }
     });
   }
   
@@ -42,28 +97,135 @@ export class Search {
    * Handle search submission
    */
   handleSearch() {
-    const messageId = this.searchInput.value.trim();
+    const query = this.searchInput.value.trim();
     
-    if (!messageId) {
-      this.showError('Please enter a Message ID');
+    if (!query) {
+      this.showError('Please enter a search');
       return;
     }
     
-    // Find the node
-    const targetPosition = this.nodeSystem.highlightNode(messageId);
+    // An exact Message ID still jumps straight to its node
+    if (this.nodeSystem.nodes.has(query)) {
+      this.hideResults();
+      this.selectResult(this.nodeSystem.nodes.get(query));
+      this.searchInput.style.borderColor = 'rgba(76, 175, 80, 0.8)';
+      return;
+    }
     
+    const results = this.runQuery(query);
+    if (results.length === 0) {
+      this.showError('No messages found');
+    }
+  }
+  
+  /**
+   * Run a query against the index and show the ranked results
+   * @returns {Array<Object>} - Messages shown, best match first
+   */
+  runQuery(query) {
+    this.lastQuery = query;
+    const { results, errors } = this.index.search(query, MAX_RESULTS);
+    
+    this.resultsList.innerHTML = '';
+    this.resultsSummary.classList.toggle('error', errors.length > 0);
+    
+    if (errors.length > 0) {
+      this.resultsSummary.textContent = errors.join(' · ');
+    } else if (results.length === 0) {
+      this.resultsSummary.textContent = 'No matching messages';
+    } else {
+      this.resultsSummary.textContent = results.length === MAX_RESULTS
+        ? `Top ${MAX_RESULTS} matches`
+        : `${results.length} match${results.length === 1 ? '' : 'es'}`;
+      results.forEach(({ message }) => {
+        this.resultsList.appendChild(this.createResultItem(message));
+      });
+    }
+    
+    this.resultsPanel.classList.remove('hidden');
+    return results.map(result => result.message);
+  }
+  
+  /**
+   * Build one entry of the results list
+   */
+  createResultItem(message) {
+    const item = document.createElement('li');
+    item.className = 'search-result';
+    item.tabIndex = 0;
+    
+    const meta = document.createElement('div');
+    meta.className = 'search-result-meta';
+    const author = document.createElement('span');
+    author.textContent = `${message.userName} · ${message.treePart}`;
+    const date = document.createElement('span');
+    date.textContent = new Date(message.timestamp).toLocaleDateString();
+    meta.append(author, date);
+    
+    const text = document.createElement('div');
+    text.className = 'search-result-text';
+    text.textContent = message.message.length > SNIPPET_LENGTH
+      ? message.message.slice(0, SNIPPET_LENGTH) + '…'
+      : message.message;
+    
+    item.append(meta, text);
+    
+    const select = () => this.selectResult(message);
+    item.addEventListener('click', select);
+    item.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') select();
+    });
+    
+    return item;
+  }
+  
+  /**
+   * List everything one person has written (newest first)
+   * @returns {Array<Object>} - Their messages
+   */
+  showUser(userName) {
+    const query = `user:"${userName.replace(/"/g, '')}"`;
+    this.searchInput.value = query;
+    return this.runQuery(query);
+  }
+  
+  /**
+   * Go to a chosen result
+   */
+  selectResult(message) {
+    if (this.goToMessage(message.message_id) && this.onResultSelect) {
+      this.onResultSelect(message);
+    }
+  }
+  
+  /**
+   * Highlight a message's node and fly the camera to it
+   */
+  goToMessage(messageId) {
+    const targetPosition = this.nodeSystem.highlightNode(messageId);
     if (targetPosition) {
       this.flyToPosition(targetPosition);
-      this.searchInput.style.borderColor = 'rgba(76, 175, 80, 0.8)';
-    } else {
-      this.showError('Message not found');
     }
+    return Boolean(targetPosition);
+  }
+  
+  /**
+   * Close the results panel
+   */
+  hideResults() {
+    clearTimeout(this.refreshTimeout);
+    this.resultsPanel.classList.add('hidden');
+    this.resultsList.innerHTML = '';
   }
   
   /**
    * Animate camera to target position
+   * @param {THREE.Vector3} targetPosition
+   * @param {Object} options
+   * @param {number} [options.distance] - Stop this far away, approaching
+   *   along the current view instead of the default close-up offset
    */
-  flyToPosition(targetPosition) {
+  flyToPosition(targetPosition, { distance } = {}) {
     if (this.isAnimating) return;
     this.isAnimating = true;
     
@@ -75,7 +237,9 @@ export class Search {
     const startTarget = this.controls.target.clone();
     
     // Calculate end position (offset from target to view it)
-    const offset = new THREE.Vector3(3, 2, 5);
+    const offset = distance
+      ? startPosition.clone().sub(targetPosition).setLength(distance)
+      : new THREE.Vector3(3, 2, 5);
     const endPosition = targetPosition.clone().add(offset);
     const endTarget = targetPosition.clone();
     
@@ -172,7 +336,7 @@ export class Search {
     
     setTimeout(() => {
       this.searchInput.style.borderColor = '';
-      this.searchInput.placeholder = 'Enter Message ID...';
+      this.searchInput.placeholder = 'Search messages...';
     }, 2000);
   }
   
@@ -182,5 +346,6 @@ export class Search {
   clear() {
     this.searchInput.value = '';
     this.searchInput.style.borderColor = '';
+    this.hideResults();
   }
 }
@@ -0,0 +1,27 @@
+/**
+ * SeasonUI.js - Season Setting
+ * Auto (from the date) or a fixed season; the choice is saved in settings
+ */
+
+import { SettingSelectUI } from './SettingSelectUI.js';
+import { SEASON_MODES } from '../scene/Seasons.js';
+
+export class SeasonUI extends SettingSelectUI {
+  constructor(seasons) {
+    super(seasons, {
+      selectId: 'season-mode',
+      settingsKey: 'season',
+      modes: SEASON_MODES,
+      defaultMode: 'auto'
+    });
+
+    this.system.onSeasonChange = () => this.render();
+  }
+
+  /**
+   * The season auto mode follows
+   */
+  getAutoDetail() {
+    return this.system.state.name;
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * SettingSelectUI.js - Mode Select Saved in Settings
+ * Base for the tool panel's mode dropdowns (quality, time of day, season):
+ * a <select> that sets a system's mode, stored under one settings key.
+ * The system needs `mode` and `setMode(mode)`
+ */
+
+import { getSettings, saveSettings } from '../utils/storage.js';
+
+export class SettingSelectUI {
+  /**
+   * @param {Object} system - Has `mode` and `setMode(mode)`
+   * @param {Object} options
+   * @param {string} options.selectId - ID of the <select>
+   * @param {string} options.settingsKey - Where the mode is saved in settings
+   * @param {string[]} options.modes - Accepted modes
+   * @param {string} options.defaultMode - Used when the saved mode is missing or unknown
+   */
+  constructor(system, { selectId, settingsKey, modes, defaultMode }) {
+    this.system = system;
+    this.settingsKey = settingsKey;
+    this.modes = modes;
+    this.defaultMode = defaultMode;
+
+    this.select = document.getElementById(selectId);
+    this.autoOption = this.select.querySelector('option[value="auto"]');
+
+    this.onSettingsSaved = null; // Callback with the settings object after each save
+
+    this.select.addEventListener('change', () => {
+      this.system.setMode(this.select.value);
+      this.saveCurrentSettings();
+    });
+
+    this.loadSettings();
+  }
+
+  /**
+   * Load settings from storage
+   */
+  loadSettings() {
+    this.applySettings(getSettings());
+  }
+
+  /**
+   * Apply a settings object without saving it (e.g. from another tab)
+   */
+  applySettings(settings) {
+    const saved = settings[this.settingsKey];
+    const mode = this.modes.includes(saved) ? saved : this.defaultMode;
+    if (mode !== this.system.mode) {
+      this.system.setMode(mode);
+    }
+    this.render();
+  }
+
+  /**
+   * Save the choice alongside the other settings
+   */
+  saveCurrentSettings() {
+    const settings = { ...getSettings(), [this.settingsKey]: this.system.mode };
+    saveSettings(settings);
+
+    if (this.onSettingsSaved) {
+      this.onSettingsSaved(settings);
+    }
+  }
+
+  /**
+   * What auto mode settled on, shown in its option (null for nothing)
+   */
+  getAutoDetail() {
+    return null;
+  }
+
+  /**
+   * Show the selected mode; in auto mode, also what it settled on
+   */
+  render() {
+    const mode = this.system.mode;
+    this.select.value = mode;
+
+    if (this.autoOption) {
+      const detail = mode === 'auto' ? this.getAutoDetail() : null;
+      this.autoOption.textContent = detail ? `Auto (${detail})` : 'Auto';
+    }
+  }
+}
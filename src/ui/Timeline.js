@@ -0,0 +1,228 @@
+/**
+ * Timeline.js - Growth Replay
+ * A scrubber over message timestamps: inscriptions appear (and replay
+ * their birth) as the cursor passes them, with play/pause, speed and
+ * jump-to-date controls
+ */
+
+const LAYER_NAME = 'timeline';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SLIDER_STEPS = 1000;
+
+// Tree time per real second
+const SPEEDS = {
+  hour: 60 * 60 * 1000,
+  day: DAY_MS,
+  week: 7 * DAY_MS,
+  month: 30 * DAY_MS
+};
+
+export class Timeline {
+  constructor(nodeSystem) {
+    this.nodeSystem = nodeSystem;
+
+    this.toggleButton = document.getElementById('timeline-toggle');
+    this.panel = document.getElementById('timeline-panel');
+    this.playButton = document.getElementById('timeline-play');
+    this.slider = document.getElementById('timeline-slider');
+    this.dateLabel = document.getElementById('timeline-date');
+    this.countLabel = document.getElementById('timeline-count');
+    this.speedSelect = document.getElementById('timeline-speed');
+    this.jumpInput = document.getElementById('timeline-jump');
+    this.closeButton = document.getElementById('timeline-close');
+
+    this.isOpen = false;
+    this.isPlaying = false;
+    this.start = 0;
+    this.end = 0;
+    this.cursor = 0;
+    this.times = []; // Sorted message timestamps (ms)
+    this.shownCount = -1; // Messages at or before the cursor when the layer was last set
+
+    this.slider.max = SLIDER_STEPS;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Setup timeline event listeners
+   */
+  setupEventListeners() {
+    this.toggleButton.addEventListener('click', () => {
+      if (this.isOpen) {
+        this.close();
+      } else {
+        this.open();
+      }
+    });
+    this.closeButton.addEventListener('click', () => this.close());
+    this.playButton.addEventListener('click', () => this.togglePlay());
+
+    this.slider.addEventListener('input', () => {
+      this.pause();
+      this.setCursor(this.start + (this.end - this.start) * (this.slider.value / SLIDER_STEPS));
+    });
+
+    this.jumpInput.addEventListener('change', () => {
+      const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(this.jumpInput.value);
+      if (!match) return;
+      // Show everything up to the end of the chosen day
+      const day = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])).getTime();
+      this.pause();
+      this.setCursor(day + DAY_MS - 1);
+    });
+  }
+
+  /**
+   * Show the scrubber, starting with the whole tree visible
+   */
+  open() {
+    this.isOpen = true;
+    this.panel.classList.remove('hidden');
+    this.toggleButton.classList.add('active');
+
+    this.rebuildTimes();
+    this.setCursor(this.end);
+  }
+
+  /**
+   * Hide the scrubber and show every message again
+   */
+  close() {
+    this.pause();
+    this.isOpen = false;
+    this.panel.classList.add('hidden');
+    this.toggleButton.classList.remove('active');
+
+    this.shownCount = -1;
+    this.nodeSystem.setVisibilityLayer(LAYER_NAME, null);
+  }
+
+  /**
+   * Recompute the sorted timestamps and the scrubber range
+   */
+  rebuildTimes() {
+    this.times = Array.from(this.nodeSystem.nodes.values(), m => Date.parse(m.timestamp))
+      .filter(time => !Number.isNaN(time))
+      .sort((a, b) => a - b);
+
+    const now = Date.now();
+    this.start = this.times.length > 0 ? this.times[0] : now;
+    this.end = Math.max(now, this.times.length > 0 ? this.times[this.times.length - 1] : now);
+
+    this.jumpInput.min = toDateInput(this.start);
+    this.jumpInput.max = toDateInput(this.end);
+  }
+
+  /**
+   * Keep the range in step as messages are added or removed
+   */
+  onNodesChanged() {
+    if (!this.isOpen) return;
+
+    const wasAtEnd = this.cursor >= this.end;
+    this.rebuildTimes();
+    this.shownCount = -1; // Re-apply so the new node gets the right state
+
+    // At the end the replay is "live": new messages appear as they arrive
+    this.setCursor(wasAtEnd ? this.end : this.cursor);
+  }
+
+  /**
+   * Move the cursor; only touches the scene when it crosses a message
+   */
+  setCursor(time) {
+    this.cursor = Math.min(Math.max(time, this.start), this.end);
+
+    const shown = countAtOrBefore(this.times, this.cursor);
+    if (shown !== this.shownCount) {
+      this.shownCount = shown;
+      const cursor = this.cursor;
+      this.nodeSystem.setVisibilityLayer(
+        LAYER_NAME,
+        (message) => Date.parse(message.timestamp) <= cursor,
+        { hide: true }
+      );
+    }
+
+    this.updateDisplay();
+  }
+
+  /**
+   * Refresh the slider, date and visible count
+   */
+  updateDisplay() {
+    const span = this.end - this.start;
+    this.slider.value = span > 0 ? Math.round(((this.cursor - this.start) / span) * SLIDER_STEPS) : SLIDER_STEPS;
+    this.dateLabel.textContent = new Date(this.cursor).toLocaleDateString(undefined, {
+      year: 'numeric', month: 'short', day: 'numeric'
+    });
+
+    const visible = this.nodeSystem.getVisibleCount();
+    this.countLabel.textContent = `${visible} message${visible === 1 ? '' : 's'}`;
+  }
+
+  /**
+   * Play or pause; playing from the end starts over
+   */
+  togglePlay() {
+    if (this.isPlaying) {
+      this.pause();
+      return;
+    }
+
+    if (this.cursor >= this.end) {
+      this.setCursor(this.start);
+    }
+    this.isPlaying = true;
+    this.playButton.textContent = '⏸';
+  }
+
+  /**
+   * Stop the replay where it is
+   */
+  pause() {
+    this.isPlaying = false;
+    this.playButton.textContent = '▶';
+  }
+
+  /**
+   * Advance the replay (animation loop)
+   */
+  update(deltaTime) {
+    if (!this.isPlaying) return;
+
+    const speed = SPEEDS[this.speedSelect.value] || SPEEDS.week;
+    this.setCursor(this.cursor + deltaTime * speed);
+
+    if (this.cursor >= this.end) {
+      this.pause();
+    }
+  }
+}
+
+/**
+ * Count sorted times at or before a cursor (binary search)
+ */
+function countAtOrBefore(times, cursor) {
+  let low = 0;
+  let high = times.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (times[mid] <= cursor) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * Format a time for an <input type="date"> (local date)
+ */
+function toDateInput(time) {
+  const date = new Date(time);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
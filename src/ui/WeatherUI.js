@@ -1,19 +1,52 @@
 /**
  * WeatherUI.js - Weather Controls Panel
- * Handles weather selection with simplified UI (no auto-weather)
+ * Handles weather selection, auto-weather (random or from a timeline file)
+ * and the forecast line
  */
 
 import { getSettings, saveSettings } from '../utils/storage.js';
+import { parseWeatherTimeline, normalizeTimeline } from '../utils/weatherTimeline.js';
+import { WEATHER_TYPES } from '../scene/Weather.js';
+
+const WEATHER_LABELS = {
+  clear: '☀️ Clear',
+  rain: '🌧️ Rain',
+  fog: '🌫️ Fog',
+  snow: '❄️ Snow',
+  wind: '💨 Wind'
+};
 
 export class WeatherUI {
-  constructor(weatherSystem, environment, postProcessing) {
+  constructor(weatherSystem, environment, postProcessing, seasons = null, scheduler = null) {
     this.weatherSystem = weatherSystem;
     this.environment = environment;
     this.postProcessing = postProcessing;
+    this.seasons = seasons;
+    this.scheduler = scheduler;
     
     this.weatherButtons = document.querySelectorAll('.weather-btn');
+    this.autoButton = document.getElementById('auto-weather');
+    this.timelineButton = document.getElementById('weather-timeline');
+    this.timelineClearButton = document.getElementById('weather-timeline-clear');
+    this.timelineInput = document.getElementById('weather-timeline-file');
+    this.forecast = document.getElementById('weather-forecast');
+    
+    this.currentWeather = null; // Set from settings on load
+    this.defaultWeather = null; // Season-weighted pick used until one is chosen
+    this.autoWeather = false;
+    this.timeline = null; // [{ time, weather }] from a loaded file
     
-    this.currentWeather = 'clear';
+    this.onSettingsSaved = null; // Callback with the settings object after each save
+    
+    if (this.scheduler) {
+      // Saved so a reload resumes from it and other tabs follow along
+      this.scheduler.onWeatherChange = (weather) => {
+        this.setWeather(weather);
+        this.updateButtonStates(weather);
+        this.saveCurrentSettings();
+      };
+      this.scheduler.onForecastChange = (forecast) => this.renderForecast(forecast);
+    }
     
     this.setupEventListeners();
     this.loadSettings();
@@ -23,15 +56,36 @@ export class WeatherUI {
    * Setup weather control event listeners
    */
   setupEventListeners() {
-    // Weather button clicks
+    // Weather button clicks (a choice by hand pauses auto-weather)
     this.weatherButtons.forEach(button => {
       button.addEventListener('click', () => {
         const weather = button.dataset.weather;
         this.setWeather(weather);
         this.updateButtonStates(weather);
+        this.setAutoWeather(false);
         this.saveCurrentSettings();
       });
     });
+    
+    this.autoButton.addEventListener('click', () => {
+      this.setAutoWeather(!this.autoWeather);
+      this.saveCurrentSettings();
+    });
+    
+    // The file picker is hidden; the button opens it
+    this.timelineButton.addEventListener('click', () => this.timelineInput.click());
+    this.timelineInput.addEventListener('change', () => {
+      const file = this.timelineInput.files[0];
+      if (file) {
+        this.loadTimelineFile(file);
+      }
+      this.timelineInput.value = '';
+    });
+    
+    this.timelineClearButton.addEventListener('click', () => {
+      this.setTimeline(null);
+      this.saveCurrentSettings();
+    });
   }
   
   /**
@@ -56,6 +110,58 @@ export class WeatherUI {
     }
   }
   
+  /**
+   * Turn auto-weather on (carrying on from the current weather) or off
+   */
+  setAutoWeather(enabled) {
+    this.autoWeather = enabled;
+    this.autoButton.classList.toggle('active', enabled);
+    if (!this.scheduler) return;
+    
+    if (enabled && !this.scheduler.enabled) {
+      this.scheduler.start(this.currentWeather);
+    } else if (!enabled && this.scheduler.enabled) {
+      this.scheduler.stop();
+    }
+  }
+  
+  /**
+   * Follow a timeline in auto mode (null to go back to random weather)
+   */
+  setTimeline(entries) {
+    this.timeline = entries && entries.length > 0 ? entries : null;
+    this.timelineButton.classList.toggle('active', Boolean(this.timeline));
+    this.timelineClearButton.classList.toggle('hidden', !this.timeline);
+    
+    if (this.scheduler) {
+      this.scheduler.setTimeline(this.timeline);
+      this.renderForecast(this.scheduler.getForecast());
+    }
+  }
+  
+  /**
+   * Read a JSON or CSV timeline file and switch auto-weather to it
+   */
+  async loadTimelineFile(file) {
+    try {
+      const { entries, invalid } = parseWeatherTimeline(await file.text(), WEATHER_TYPES);
+      if (invalid.length > 0) {
+        console.warn('Invalid weather timeline entries skipped:', invalid);
+      }
+      if (entries.length === 0) {
+        this.showError('No usable entries in the weather timeline');
+        return;
+      }
+      
+      this.setTimeline(entries);
+      this.setAutoWeather(true);
+      this.saveCurrentSettings();
+    } catch (error) {
+      console.error('Error reading weather timeline:', error);
+      this.showError(`Could not read the timeline: ${error.message}`);
+    }
+  }
+  
   /**
    * Update button active states
    */
@@ -69,25 +175,98 @@ export class WeatherUI {
     });
   }
   
+  /**
+   * Show the current and next weather while auto-weather is on
+   */
+  renderForecast(forecast) {
+    this.forecast.classList.remove('error');
+    if (!forecast.enabled) {
+      this.forecast.classList.add('hidden');
+      return;
+    }
+    
+    let text = `Now: ${WEATHER_LABELS[forecast.current] || forecast.current}`;
+    if (forecast.next) {
+      const time = forecast.nextAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      // Random spells are counted in frames, so their time is approximate
+      const approx = forecast.source === 'random' ? '~' : '';
+      text += ` · Next: ${WEATHER_LABELS[forecast.next] || forecast.next} at ${approx}${time}`;
+    } else if (forecast.source === 'timeline') {
+      text += ' · End of timeline';
+    }
+    
+    this.forecast.textContent = text;
+    this.forecast.classList.remove('hidden');
+  }
+  
+  /**
+   * Show a problem in the forecast line
+   */
+  showError(text) {
+    this.forecast.textContent = text;
+    this.forecast.classList.add('error');
+    this.forecast.classList.remove('hidden');
+  }
+  
   /**
    * Load settings from storage
    */
   loadSettings() {
-    const settings = getSettings();
+    this.applySettings(getSettings());
+  }
+  
+  /**
+   * Apply a settings object without saving it (e.g. from another tab)
+   */
+  applySettings(settings) {
+    const weather = settings.weather || this.getDefaultWeather();
     
-    if (settings.weather) {
-      this.setWeather(settings.weather);
-      this.updateButtonStates(settings.weather);
+    if (weather !== this.currentWeather) {
+      this.setWeather(weather);
+      this.updateButtonStates(weather);
+      
+      // Another tab's auto mode moved on; carry on from its weather
+      if (this.scheduler && this.scheduler.enabled && settings.autoWeather) {
+        this.scheduler.start(weather);
+      }
+    }
+    
+    // Resetting an unchanged timeline would reroll the forecast
+    const timeline = Array.isArray(settings.weatherTimeline)
+      ? normalizeTimeline(settings.weatherTimeline, WEATHER_TYPES).entries
+      : null;
+    if (JSON.stringify(timeline) !== JSON.stringify(this.timeline)) {
+      this.setTimeline(timeline);
     }
+    this.setAutoWeather(Boolean(settings.autoWeather));
+  }
+  
+  /**
+   * Weather to show before one has been chosen, weighted by the season
+   * Picked once, so it doesn't change when other settings are saved
+   */
+  getDefaultWeather() {
+    if (!this.defaultWeather) {
+      this.defaultWeather = this.seasons ? this.seasons.pickWeather() : 'clear';
+    }
+    return this.defaultWeather;
   }
   
   /**
    * Save current settings
    */
   saveCurrentSettings() {
-    saveSettings({
-      weather: this.currentWeather
-    });
+    const settings = {
+      ...getSettings(),
+      weather: this.currentWeather,
+      autoWeather: this.autoWeather,
+      weatherTimeline: this.timeline
+    };
+    saveSettings(settings);
+    
+    if (this.onSettingsSaved) {
+      this.onSettingsSaved(settings);
+    }
   }
   
   /**
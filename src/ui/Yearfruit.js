@@ -1,29 +1,46 @@
 /**
  * Yearfruit.js - Yearfruit Display
- * Shows the current year's apple with tier indicator based on message count
+ * Shows the current year's apple with tier indicator based on message count,
+ * and hangs one fruit per year in the canopy (see scene/Fruits.js)
  */
 
-import { getMessagesForYear, calculateTier, getMessageCount } from '../utils/storage.js';
+import { calculateTier, getMessageCountsByYear } from '../utils/storage.js';
 
 export class Yearfruit {
-  constructor() {
+  constructor(orchard = null) {
+    this.orchard = orchard;
+    
     this.appleElement = document.getElementById('yearfruit-apple');
     this.yearElement = document.getElementById('yearfruit-year');
     this.tierElement = document.getElementById('yearfruit-tier');
     this.countElement = document.getElementById('yearfruit-count');
+    this.progressElement = document.getElementById('yearfruit-progress');
     
     this.currentYear = new Date().getFullYear();
+    this.updateTimeout = null;
     
     this.update();
   }
   
+  /**
+   * Coalesce a burst of message changes into one update
+   */
+  scheduleUpdate() {
+    clearTimeout(this.updateTimeout);
+    this.updateTimeout = setTimeout(() => this.update(), 300);
+  }
+  
   /**
    * Update yearfruit display
    */
-  update() {
-    const yearMessages = getMessagesForYear(this.currentYear);
-    const count = yearMessages.length;
+  async update() {
+    // The year rolls over while the tree is open
+    this.currentYear = new Date().getFullYear();
+    
+    const counts = await getMessageCountsByYear();
+    const count = counts.get(this.currentYear) || 0;
     const tier = calculateTier(count);
+    const progress = this.getProgressForCount(count);
     
     // Update year
     this.yearElement.textContent = this.currentYear;
@@ -35,6 +52,11 @@ export class Yearfruit {
     // Update count
     this.countElement.textContent = this.formatCount(count);
     
+    // Update progress to next tier
+    this.progressElement.textContent = progress.nextTier
+      ? `${Math.floor(progress.progress * 100)}% to ${progress.nextTier}`
+      : 'Highest tier';
+    
     // Update apple emoji based on tier
     this.appleElement.textContent = tier.emoji;
     
@@ -43,6 +65,33 @@ export class Yearfruit {
     
     // Animate on update
     this.animateUpdate();
+    
+    this.updateOrchard(counts, tier, progress);
+  }
+  
+  /**
+   * Hang a fruit for every year with messages (and always the current one)
+   */
+  updateOrchard(counts, currentTier, progress) {
+    if (!this.orchard) return;
+    
+    const years = new Set(counts.keys());
+    years.add(this.currentYear);
+    
+    years.forEach(year => {
+      const count = counts.get(year) || 0;
+      const isCurrent = year === this.currentYear;
+      const tier = isCurrent ? currentTier : calculateTier(count);
+      
+      this.orchard.setFruit(year, {
+        tier: tier.tier,
+        color: tier.color,
+        count,
+        progress: isCurrent ? progress.progress : null
+      }, isCurrent);
+    });
+    
+    this.orchard.retainYears(years);
   }
   
   /**
@@ -83,10 +132,17 @@ export class Yearfruit {
   }
   
   /**
-   * Get progress to next tier
+   * Get progress to next tier for a year (tiers are earned per year)
+   */
+  async getProgressToNextTier(year = this.currentYear) {
+    const counts = await getMessageCountsByYear();
+    return this.getProgressForCount(counts.get(year) || 0);
+  }
+  
+  /**
+   * Get progress to next tier for a message count
    */
-  getProgressToNextTier() {
-    const count = getMessageCount();
+  getProgressForCount(count) {
     const tiers = this.getTierInfo();
     
     for (let i = 0; i < tiers.length - 1; i++) {
@@ -0,0 +1,245 @@
+/**
+ * IndexedDBAdapter.js - IndexedDB storage backend
+ * Stores one record per message, keyed by message_id, with indexes for
+ * userName, timestamp and treePart so lookups don't scan everything
+ */
+
+const DB_NAME = 'infinite_messaging_tree';
+const DB_VERSION = 4;
+const MESSAGE_STORE = 'messages';
+const QUARANTINE_STORE = 'quarantine';
+const TOMBSTONE_STORE = 'tombstones';
+const META_STORE = 'meta';
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export class IndexedDBAdapter {
+  constructor(dbName = DB_NAME) {
+    this.dbName = dbName;
+    this.db = null;
+  }
+
+  /**
+   * Open (and create/upgrade) the database
+   */
+  open() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+
+        if (!db.objectStoreNames.contains(MESSAGE_STORE)) {
+          const store = db.createObjectStore(MESSAGE_STORE, { keyPath: 'message_id' });
+          store.createIndex('message_id', 'message_id', { unique: true });
+          store.createIndex('userName', 'userName', { unique: false });
+          store.createIndex('timestamp', 'timestamp', { unique: false });
+          store.createIndex('treePart', 'treePart', { unique: false });
+        }
+
+        // v2: records that failed schema migration
+        if (!db.objectStoreNames.contains(QUARANTINE_STORE)) {
+          db.createObjectStore(QUARANTINE_STORE, { autoIncrement: true });
+        }
+
+        // v3: deletion tombstones, so deleted messages stay deleted
+        if (!db.objectStoreNames.contains(TOMBSTONE_STORE)) {
+          db.createObjectStore(TOMBSTONE_STORE, { keyPath: 'message_id' });
+        }
+
+        // v4: facts about the stored data (e.g. its schema version), kept with
+        // it so a recreated database starts over
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE);
+        }
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this);
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB open blocked by another tab'));
+    });
+  }
+
+  /**
+   * Get the message object store for a transaction
+   */
+  store(mode = 'readonly', storeName = MESSAGE_STORE) {
+    return this.db.transaction(storeName, mode).objectStore(storeName);
+  }
+
+  /**
+   * Get all messages (ordered by message_id)
+   */
+  async getAll() {
+    return promisify(this.store().getAll());
+  }
+
+  /**
+   * Insert or replace a message
+   */
+  async put(message) {
+    return this.putMany([message]);
+  }
+
+  /**
+   * Insert or replace several messages in a single transaction
+   */
+  putMany(messages) {
+    return this.writeMany(MESSAGE_STORE, store => {
+      messages.forEach(message => store.put(message));
+    });
+  }
+
+  /**
+   * Run writes against one store in a single transaction
+   */
+  writeMany(storeName, write) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeName, 'readwrite');
+      write(transaction.objectStore(storeName));
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Delete several messages by ID
+   */
+  deleteMany(messageIds) {
+    return this.writeMany(MESSAGE_STORE, store => {
+      messageIds
+        .filter(messageId => messageId !== undefined && messageId !== null)
+        .forEach(messageId => store.delete(messageId));
+    });
+  }
+
+  /**
+   * Add records that failed schema migration to the quarantine store
+   */
+  quarantine(entries) {
+    return this.writeMany(QUARANTINE_STORE, store => {
+      entries.forEach(entry => store.add(entry));
+    });
+  }
+
+  /**
+   * Get quarantined records
+   */
+  async getQuarantined() {
+    return promisify(this.store('readonly', QUARANTINE_STORE).getAll());
+  }
+
+  /**
+   * Get a message by its ID
+   */
+  async getById(messageId) {
+    const message = await promisify(this.store().get(messageId));
+    return message || null;
+  }
+
+  /**
+   * Get messages whose indexed field equals a value
+   */
+  async getByIndex(indexName, value) {
+    return promisify(this.store().index(indexName).getAll(value));
+  }
+
+  /**
+   * Get messages with timestamp in [start, end) (ISO strings)
+   */
+  async getByTimestampRange(start, end) {
+    const range = IDBKeyRange.bound(start, end, false, true);
+    return promisify(this.store().index('timestamp').getAll(range));
+  }
+
+  /**
+   * Count messages with an exact index value
+   */
+  async countByIndex(indexName, value) {
+    return promisify(this.store().index(indexName).count(value));
+  }
+
+  /**
+   * Count messages per index value by walking index keys only
+   * (records are never deserialized, so this stays fast on large trees)
+   * @returns {Promise<Map>} - index value -> count
+   */
+  getIndexKeyCounts(indexName) {
+    return new Promise((resolve, reject) => {
+      const counts = new Map();
+      const request = this.store().index(indexName).openKeyCursor();
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(counts);
+          return;
+        }
+        counts.set(cursor.key, (counts.get(cursor.key) || 0) + 1);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Insert or replace deletion tombstones
+   */
+  putTombstones(tombstones) {
+    return this.writeMany(TOMBSTONE_STORE, store => {
+      tombstones.forEach(tombstone => store.put(tombstone));
+    });
+  }
+
+  /**
+   * Get all deletion tombstones
+   */
+  async getTombstones() {
+    return promisify(this.store('readonly', TOMBSTONE_STORE).getAll());
+  }
+
+  /**
+   * Schema version the stored messages were last migrated to
+   * @returns {Promise<number>} - 0 if they never were
+   */
+  async getSchemaVersion() {
+    const version = await promisify(this.store('readonly', META_STORE).get('schemaVersion'));
+    return Number(version) || 0;
+  }
+
+  /**
+   * Record the schema version the stored messages were migrated to
+   */
+  setSchemaVersion(version) {
+    return this.writeMany(META_STORE, store => {
+      store.put(version, 'schemaVersion');
+    });
+  }
+
+  /**
+   * Count stored messages
+   */
+  async count() {
+    return promisify(this.store().count());
+  }
+
+  /**
+   * Remove every message
+   */
+  async clear() {
+    return promisify(this.store('readwrite').clear());
+  }
+}
@@ -0,0 +1,223 @@
+/**
+ * LocalStorageAdapter.js - localStorage storage backend
+ * Fallback adapter for browsers without IndexedDB (e.g. some private modes)
+ * Keeps the whole message list in one JSON blob, cached in memory for reads.
+ * Other tabs write the same blob, so the cache is dropped when they do and
+ * every write starts from a fresh read
+ */
+
+export class LocalStorageAdapter {
+  constructor(storageKey) {
+    this.storageKey = storageKey;
+    this.quarantineKey = `${storageKey}_quarantine`;
+    this.tombstonesKey = `${storageKey}_tombstones`;
+    this.schemaKey = `${storageKey}_schema`;
+    this.cache = null;
+
+    // Another tab wrote the blob (or cleared storage): read it again next time
+    window.addEventListener('storage', (event) => {
+      if (event.key === this.storageKey || event.key === null) {
+        this.cache = null;
+      }
+    });
+  }
+
+  /**
+   * Open the backend (reads the blob once)
+   */
+  async open() {
+    this.readAll();
+    return this;
+  }
+
+  /**
+   * Read and cache the message list
+   */
+  readAll() {
+    if (this.cache) return this.cache;
+
+    try {
+      const data = localStorage.getItem(this.storageKey);
+      const parsed = data ? JSON.parse(data) : [];
+      this.cache = Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      console.error('Error reading messages from localStorage:', error);
+      this.cache = [];
+    }
+    return this.cache;
+  }
+
+  /**
+   * Re-read the message list, for read-modify-writes
+   */
+  reload() {
+    this.cache = null;
+    return this.readAll();
+  }
+
+  /**
+   * Write the cached message list back to localStorage
+   */
+  writeAll() {
+    localStorage.setItem(this.storageKey, JSON.stringify(this.cache));
+  }
+
+  /**
+   * Get all messages
+   */
+  async getAll() {
+    return [...this.readAll()];
+  }
+
+  /**
+   * Insert or replace a message (keyed by message_id)
+   */
+  async put(message) {
+    return this.putMany([message]);
+  }
+
+  /**
+   * Insert or replace several messages in one write
+   */
+  async putMany(messages) {
+    const list = this.reload();
+    const indexById = new Map(list.map((m, i) => [m.message_id, i]));
+
+    messages.forEach(message => {
+      const index = indexById.get(message.message_id);
+      if (index === undefined) {
+        indexById.set(message.message_id, list.length);
+        list.push(message);
+      } else {
+        list[index] = message;
+      }
+    });
+
+    this.writeAll();
+  }
+
+  /**
+   * Get a message by its ID
+   */
+  async getById(messageId) {
+    return this.readAll().find(m => m && m.message_id === messageId) || null;
+  }
+
+  /**
+   * Get messages whose indexed field equals a value
+   */
+  async getByIndex(indexName, value) {
+    return this.readAll().filter(m => m[indexName] === value);
+  }
+
+  /**
+   * Get messages with timestamp in [start, end) (ISO strings)
+   */
+  async getByTimestampRange(start, end) {
+    return this.readAll().filter(m => m.timestamp >= start && m.timestamp < end);
+  }
+
+  /**
+   * Count messages with an exact field value
+   */
+  async countByIndex(indexName, value) {
+    return this.readAll().filter(m => m[indexName] === value).length;
+  }
+
+  /**
+   * Count messages per field value
+   * @returns {Promise<Map>} - field value -> count
+   */
+  async getIndexKeyCounts(indexName) {
+    const counts = new Map();
+    this.readAll().forEach(m => {
+      if (m[indexName] !== undefined) {
+        counts.set(m[indexName], (counts.get(m[indexName]) || 0) + 1);
+      }
+    });
+    return counts;
+  }
+
+  /**
+   * Count stored messages
+   */
+  async count() {
+    return this.readAll().length;
+  }
+
+  /**
+   * Delete several messages by ID
+   */
+  async deleteMany(messageIds) {
+    const ids = new Set(messageIds);
+    this.cache = this.reload().filter(m => !ids.has(m && m.message_id));
+    this.writeAll();
+  }
+
+  /**
+   * Read a secondary JSON list (quarantine, tombstones)
+   */
+  readList(key) {
+    try {
+      const data = localStorage.getItem(key);
+      return data ? JSON.parse(data) : [];
+    } catch (error) {
+      console.error(`Error reading ${key} from localStorage:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Add records that failed schema migration to the quarantine list
+   */
+  async quarantine(entries) {
+    const existing = this.readList(this.quarantineKey);
+    localStorage.setItem(this.quarantineKey, JSON.stringify([...existing, ...entries]));
+  }
+
+  /**
+   * Get quarantined records
+   */
+  async getQuarantined() {
+    return this.readList(this.quarantineKey);
+  }
+
+  /**
+   * Insert or replace deletion tombstones (keyed by message_id)
+   */
+  async putTombstones(tombstones) {
+    const byId = new Map(this.readList(this.tombstonesKey).map(t => [t.message_id, t]));
+    tombstones.forEach(tombstone => byId.set(tombstone.message_id, tombstone));
+    localStorage.setItem(this.tombstonesKey, JSON.stringify(Array.from(byId.values())));
+  }
+
+  /**
+   * Get all deletion tombstones
+   */
+  async getTombstones() {
+    return this.readList(this.tombstonesKey);
+  }
+
+  /**
+   * Schema version the stored messages were last migrated to
+   * @returns {Promise<number>} - 0 if they never were
+   */
+  async getSchemaVersion() {
+    return Number(localStorage.getItem(this.schemaKey)) || 0;
+  }
+
+  /**
+   * Record the schema version the stored messages were migrated to
+   */
+  async setSchemaVersion(version) {
+    localStorage.setItem(this.schemaKey, String(version));
+  }
+
+  /**
+   * Remove every message
+   */
+  async clear() {
+    this.cache = [];
+    localStorage.removeItem(this.storageKey);
+  }
+}
@@ -0,0 +1,198 @@
+/**
+ * Archive export/import for backing up a tree and moving it between machines
+ *
+ * JSON:   { format, version, exportedAt, settings, messages: [...], tombstones: [...] }
+ * NDJSON: first line is the header { format, version, exportedAt, settings },
+ *         then one message or tombstone ({ deleted: true }) per line
+ *
+ * v1 archives have no tombstones and are still accepted
+ */
+
+import {
+  getAllMessages, saveMessages, getTombstones, applyTombstones, getSettings, saveSettings
+} from './storage.js';
+import { validateMessage, validateTombstone } from './validation.js';
+import { upgradeMessage } from './schema.js';
+
+export const ARCHIVE_FORMAT = 'infinite-messaging-tree-archive';
+export const ARCHIVE_VERSION = 2;
+
+/**
+ * Build the archive header
+ */
+function createHeader() {
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: getSettings()
+  };
+}
+
+/**
+ * Export all messages and settings
+ * @param {'json'|'ndjson'} format - Output format
+ * @returns {Promise<string>} - Archive text
+ */
+export async function exportArchive(format = 'json') {
+  const header = createHeader();
+  const messages = await getAllMessages();
+  const tombstones = await getTombstones();
+
+  if (format === 'ndjson') {
+    return [header, ...messages, ...tombstones].map(record => JSON.stringify(record)).join('\n') + '\n';
+  }
+
+  return JSON.stringify({ ...header, messages, tombstones }, null, 2);
+}
+
+/**
+ * Parse archive text in either format
+ * @param {string} text - Archive contents
+ * @returns {{header: Object, records: Array, tombstones: Array}}
+ * @throws {Error} - When the text is not a supported archive
+ */
+export function parseArchive(text) {
+  const trimmed = text.trim();
+  let header;
+  let records;
+  let tombstones;
+
+  try {
+    // A JSON archive is a single object; NDJSON has several lines
+    const parsed = JSON.parse(trimmed);
+    header = parsed;
+    records = Array.isArray(parsed.messages) ? parsed.messages : [];
+    tombstones = Array.isArray(parsed.tombstones) ? parsed.tombstones : [];
+  } catch (error) {
+    const lines = trimmed.split('\n').filter(line => line.trim());
+    try {
+      header = JSON.parse(lines[0]);
+    } catch (headerError) {
+      throw new Error('Archive is not valid JSON or NDJSON');
+    }
+    const body = lines.slice(1).map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (lineError) {
+        return null; // Reported as invalid below
+      }
+    });
+    records = body.filter(record => !(record && record.deleted));
+    tombstones = body.filter(record => record && record.deleted);
+  }
+
+  if (!header || header.format !== ARCHIVE_FORMAT) {
+    throw new Error('Not an Infinite Messaging Tree archive');
+  }
+  if (typeof header.version !== 'number' || header.version > ARCHIVE_VERSION) {
+    throw new Error(`Unsupported archive version: ${header.version}`);
+  }
+
+  return { header, records, tombstones };
+}
+
+/**
+ * Serialize a value with sorted keys so field order doesn't matter
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Import an archive, merging by message_id
+ * - Tombstones are applied first, and deleted messages are never re-added
+ * - A newer edit by the same author replaces the local copy
+ * - Any other record with a known ID but different content is reported as a
+ *   conflict and not written (the local copy wins)
+ * @param {string} text - Archive contents
+ * @param {Object} options
+ * @param {boolean} options.importSettings - Also apply the archived settings
+ * @returns {Promise<{added: Array, updated: Array, removed: Array, duplicates: number,
+ *   deleted: number, conflicts: Array, invalid: Array, settings: Object|null}>}
+ *   `removed` holds the IDs of local messages deleted by the archive's tombstones
+ */
+export async function importArchive(text, { importSettings = false } = {}) {
+  const { header, records, tombstones } = parseArchive(text);
+
+  const existing = new Map((await getAllMessages()).map(m => [m.message_id, m]));
+  const deletedIds = new Set((await getTombstones()).map(t => t.message_id));
+
+  const newTombstones = tombstones.filter(t =>
+    validateTombstone(t).length === 0 && !deletedIds.has(t.message_id)
+  );
+  const removed = newTombstones
+    .map(t => t.message_id)
+    .filter(messageId => existing.has(messageId));
+  newTombstones.forEach(t => deletedIds.add(t.message_id));
+
+  if (newTombstones.length > 0 && !(await applyTombstones(newTombstones))) {
+    throw new Error('Failed to apply imported deletions');
+  }
+
+  const added = [];
+  const updated = [];
+  const conflicts = [];
+  const invalid = [];
+  let duplicates = 0;
+  let deleted = 0;
+
+  records.forEach((rawRecord, index) => {
+    // Older archives may hold pre-versioned records; upgrade before checking
+    const { message: record, reason } = upgradeMessage(rawRecord);
+    const errors = record ? validateMessage(record) : [reason];
+    if (errors.length > 0) {
+      invalid.push({ index, message_id: rawRecord && rawRecord.message_id, errors });
+      return;
+    }
+
+    if (deletedIds.has(record.message_id)) {
+      deleted++;
+      return;
+    }
+
+    const current = existing.get(record.message_id);
+    if (!current) {
+      existing.set(record.message_id, record);
+      added.push(record);
+    } else if (stableStringify(current) === stableStringify(record)) {
+      duplicates++;
+    } else if (isNewerEdit(current, record)) {
+      existing.set(record.message_id, record);
+      updated.push(record);
+    } else {
+      conflicts.push({ message_id: record.message_id, existing: current, incoming: record });
+    }
+  });
+
+  const toSave = [...added, ...updated];
+  if (toSave.length > 0 && !(await saveMessages(toSave))) {
+    throw new Error('Failed to save imported messages');
+  }
+
+  let settings = null;
+  if (importSettings && header.settings && typeof header.settings === 'object') {
+    settings = { ...getSettings(), ...header.settings };
+    saveSettings(settings);
+  }
+
+  return { added, updated, removed, duplicates, deleted, conflicts, invalid, settings };
+}
+
+/**
+ * Check whether an incoming record is a later edit of the same author's message
+ */
+function isNewerEdit(current, incoming) {
+  return Boolean(current.authorId) &&
+    incoming.authorId === current.authorId &&
+    incoming.treePart === current.treePart &&
+    stableStringify(incoming.position) === stableStringify(current.position) &&
+    (incoming.editedAt || '') > (current.editedAt || '');
+}
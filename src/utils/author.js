@@ -0,0 +1,58 @@
+/**
+ * Author identity for "your own messages"
+ * Each browser keeps a random secret key; messages carry only its SHA-256
+ * (authorId), so proving ownership to the sync server means sending the key
+ */
+
+const AUTHOR_KEY = 'infinite_messaging_tree_author_key';
+
+let authorIdPromise = null;
+
+/**
+ * Get (or create) this browser's secret author key
+ * @returns {string} - 64-char hex key
+ */
+export function getAuthorKey() {
+  let key = localStorage.getItem(AUTHOR_KEY);
+
+  if (!key) {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    key = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    localStorage.setItem(AUTHOR_KEY, key);
+  }
+
+  return key;
+}
+
+/**
+ * Hash an author key into its public author ID
+ * @param {string} key - Secret author key
+ * @returns {Promise<string>} - SHA-256 hex digest
+ */
+export async function hashAuthorKey(key) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Get this browser's public author ID (cached)
+ * @returns {Promise<string|null>} - null outside a secure context (no crypto.subtle)
+ */
+export function getAuthorId() {
+  if (!authorIdPromise) {
+    authorIdPromise = crypto.subtle
+      ? hashAuthorKey(getAuthorKey())
+      : Promise.resolve(null);
+  }
+  return authorIdPromise;
+}
+
+/**
+ * Check whether a message was written from this browser
+ * @param {Object} message - Message object
+ * @returns {Promise<boolean>}
+ */
+export async function isOwnMessage(message) {
+  const authorId = await getAuthorId();
+  return Boolean(authorId) && message.authorId === authorId;
+}
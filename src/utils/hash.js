@@ -3,6 +3,8 @@
  * Uses a simple but effective hash algorithm
  */
 
+import { getTreeModel } from './treeModel.js';
+
 /**
  * Generate a hash code from a string
  * @param {string} str - Input string to hash
@@ -34,19 +36,21 @@ export function seededRandom(seed) {
 /**
  * Tree parts for message placement
  */
-const TREE_PARTS = ['trunk', 'branch', 'leaf', 'root'];
+export const TREE_PARTS = ['trunk', 'branch', 'leaf', 'root'];
 
 /** Default tree part for fallback */
 export const DEFAULT_TREE_PART = 'trunk';
 
 /**
- * Get deterministic message placement on tree
- * Messages are placed ON tree geometry, not as separate objects
+ * Get deterministic message placement on tree (placement v1, see placement.js)
+ * Messages are placed ON tree geometry, not as separate objects: the point
+ * is picked on the seeded tree model's surface (see treeModel.js)
  * @param {string} userName - User's name
  * @param {string} messageId - Unique message identifier
- * @returns {{treePart: string, position: {x, y, z}, glowIntensity: number}}
+ * @param {TreeModel} model - Tree to place on (defaults to the current stage)
+ * @returns {{treePart: string, position: {x, y, z}, normal: {x, y, z}, glowIntensity: number}}
  */
-export function getMessagePlacement(userName, messageId) {
+export function getMessagePlacement(userName, messageId, model = getTreeModel()) {
   const seed = hashCode(userName + messageId);
   const rand = seededRandom(seed);
   
@@ -54,12 +58,35 @@ export function getMessagePlacement(userName, messageId) {
   const partIndex = seed % TREE_PARTS.length;
   const treePart = TREE_PARTS[partIndex];
   
-  // Get position based on tree part
-  const position = getPositionForTreePart(treePart, rand, seed);
+  // Snap onto the actual surface of that part
+  const { position, normal } = model.place(treePart, rand);
   
   // Random glow intensity (0.5 - 1.0)
   const glowIntensity = 0.5 + rand() * 0.5;
   
+  return {
+    treePart,
+    position,
+    normal,
+    glowIntensity
+  };
+}
+
+/**
+ * Placement as computed before the tree had a surface model (placement v0)
+ * Kept so records from before schema v1 migrate to the spot they always had
+ * @param {string} userName - User's name
+ * @param {string} messageId - Unique message identifier
+ * @returns {{treePart: string, position: {x, y, z}, glowIntensity: number}}
+ */
+export function getLegacyPlacement(userName, messageId) {
+  const seed = hashCode(userName + messageId);
+  const rand = seededRandom(seed);
+  
+  const treePart = TREE_PARTS[seed % TREE_PARTS.length];
+  const position = getPositionForTreePart(treePart, rand, seed);
+  const glowIntensity = 0.5 + rand() * 0.5;
+  
   return {
     treePart,
     position,
@@ -68,7 +95,41 @@ export function getMessagePlacement(userName, messageId) {
 }
 
 /**
- * Get 3D position based on tree part
+ * Get deterministic placement for a reply, close to its parent inscription
+ * Replies stay on the parent's tree part and sprout a short twig away from it,
+ * then snap back onto that part's surface
+ * @param {string} userName - Reply author's name
+ * @param {string} messageId - Reply message identifier
+ * @param {Object} parent - Parent message (with treePart and position)
+ * @param {TreeModel} model - Tree to place on (defaults to the current stage)
+ * @returns {{treePart: string, position: {x, y, z}, normal: {x, y, z}, glowIntensity: number}}
+ */
+export function getReplyPlacement(userName, messageId, parent, model = getTreeModel()) {
+  const seed = hashCode(userName + messageId + parent.message_id);
+  const rand = seededRandom(seed);
+  
+  // Grow outward from the trunk axis, with some random spread
+  const outward = Math.atan2(parent.position.z, parent.position.x);
+  const angle = outward + (rand() - 0.5) * Math.PI * 0.8;
+  const distance = 0.4 + rand() * 0.4;
+  const lift = parent.treePart === 'root' ? rand() * 0.1 : 0.1 + rand() * 0.3;
+  
+  const { position, normal } = model.snapToPart(parent.treePart, {
+    x: parent.position.x + Math.cos(angle) * distance,
+    y: parent.position.y + lift,
+    z: parent.position.z + Math.sin(angle) * distance
+  });
+  
+  return {
+    treePart: parent.treePart,
+    position,
+    normal,
+    glowIntensity: 0.5 + rand() * 0.5
+  };
+}
+
+/**
+ * Get 3D position based on tree part (legacy formulas, see getLegacyPlacement)
  */
 function getPositionForTreePart(treePart, rand, seed) {
   switch (treePart) {
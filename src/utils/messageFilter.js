@@ -0,0 +1,88 @@
+/**
+ * Message filter criteria for dimming the tree
+ * Criteria: { userName, treePart, from, to, text, hour } - all optional strings;
+ * dates are YYYY-MM-DD (local, both ends inclusive), hour is a local hour "0"-"23"
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a YYYY-MM-DD date as local midnight
+ * @returns {number|null} - Epoch milliseconds
+ */
+function parseLocalDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])).getTime();
+}
+
+/**
+ * Drop empty fields from criteria
+ * @param {Object} criteria
+ * @returns {Object} - Only the fields that narrow the filter
+ */
+export function normalizeCriteria(criteria = {}) {
+  const normalized = {};
+  ['userName', 'treePart', 'from', 'to', 'text', 'hour'].forEach(key => {
+    const raw = typeof criteria[key] === 'number' ? String(criteria[key]) : criteria[key];
+    const value = typeof raw === 'string' ? raw.trim() : '';
+    if (value) normalized[key] = value;
+  });
+  return normalized;
+}
+
+/**
+ * Check whether criteria would filter anything
+ */
+export function isEmptyCriteria(criteria) {
+  return Object.keys(normalizeCriteria(criteria)).length === 0;
+}
+
+/**
+ * Build a predicate from filter criteria
+ * @param {Object} criteria
+ * @returns {Function|null} - (message) => boolean, or null when nothing is filtered
+ */
+export function createMessageFilter(criteria) {
+  const { userName, treePart, from, to, text, hour } = normalizeCriteria(criteria);
+  if (isEmptyCriteria(criteria)) return null;
+
+  const user = userName && userName.toLowerCase();
+  const needle = text && text.toLowerCase();
+  const start = parseLocalDate(from);
+  const end = parseLocalDate(to);
+  const hourOfDay = hour !== undefined ? Number(hour) : null;
+
+  return (message) => {
+    if (user && message.userName.toLowerCase() !== user) return false;
+    if (treePart && message.treePart !== treePart) return false;
+
+    const time = Date.parse(message.timestamp);
+    if (start !== null && !(time >= start)) return false;
+    if (end !== null && !(time < end + DAY_MS)) return false;
+    if (hourOfDay !== null && new Date(time).getHours() !== hourOfDay) return false;
+
+    if (needle &&
+        !message.message.toLowerCase().includes(needle) &&
+        !message.userName.toLowerCase().includes(needle)) {
+      return false;
+    }
+    return true;
+  };
+}
+
+/**
+ * Describe criteria in a few words, e.g. "alice · root · from 2026-01-01"
+ */
+export function describeCriteria(criteria) {
+  const { userName, treePart, from, to, text, hour } = normalizeCriteria(criteria);
+  const parts = [];
+  if (userName) parts.push(userName);
+  if (treePart) parts.push(treePart);
+  if (from && to) parts.push(from === to ? from : `${from} – ${to}`);
+  else if (from) parts.push(`from ${from}`);
+  else if (to) parts.push(`until ${to}`);
+  if (hour !== undefined) parts.push(`${hour.padStart(2, '0')}:00–${hour.padStart(2, '0')}:59`);
+  if (text) parts.push(`“${text}”`);
+  return parts.join(' · ');
+}
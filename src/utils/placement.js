@@ -0,0 +1,235 @@
+/**
+ * Versioned message placement
+ *
+ *   v0 - legacy formulas (getLegacyPlacement in hash.js)
+ *   v1 - surface model, sin-based random (getMessagePlacement in hash.js)
+ *   v2 - murmur-style hash + mulberry32, area-weighted sampling, minimum
+ *        spacing against inscriptions already on the tree
+ *
+ * A version's output must never change once released: new behaviour gets a
+ * new version, and placementVectors.js pins every version's output
+ */
+
+import { TREE_PARTS } from './hash.js';
+import { getTreeModel, INSCRIPTION_OFFSET } from './treeModel.js';
+
+export const PLACEMENT_VERSION = 2;
+
+// Closest two inscriptions may sit (inscriptions are ~0.5 across)
+export const MIN_SPACING = 0.5;
+
+// Candidate spots tried on the chosen part, then on any part, before
+// settling for the roomiest one
+const CANDIDATES = 16;
+
+// Replies sprout this far from their parent
+const REPLY_DISTANCE = { min: 0.5, max: 0.9 };
+
+/**
+ * 32-bit string hash (MurmurHash3-style mixing with an fmix32 finalizer)
+ * @param {string} str
+ * @returns {number} - Unsigned 32-bit hash
+ */
+export function hashString(str) {
+  let h = 1779033703 ^ str.length;
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Mulberry32 pseudo-random generator
+ * @param {number} seed - 32-bit seed
+ * @returns {function} - Function that returns pseudo-random numbers [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Which placement version produced a message
+ * Records from before versioning are told apart by whether they carry a normal
+ */
+export function getPlacementVersion(message) {
+  if (Number.isInteger(message.placementVersion)) {
+    return message.placementVersion;
+  }
+  return message.normal ? 1 : 0;
+}
+
+/**
+ * Uniform grid over occupied positions for spacing checks
+ */
+class SpacingGrid {
+  constructor(positions, cellSize) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+    positions.forEach(position => {
+      const key = this.keyOf(position);
+      if (!this.cells.has(key)) {
+        this.cells.set(key, []);
+      }
+      this.cells.get(key).push(position);
+    });
+  }
+
+  keyOf({ x, y, z }) {
+    const size = this.cellSize;
+    return `${Math.floor(x / size)},${Math.floor(y / size)},${Math.floor(z / size)}`;
+  }
+
+  /**
+   * Distance to the nearest occupied position, capped at one cell
+   */
+  clearance(point) {
+    const size = this.cellSize;
+    const cx = Math.floor(point.x / size);
+    const cy = Math.floor(point.y / size);
+    const cz = Math.floor(point.z / size);
+    let nearest = size;
+
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          (this.cells.get(`${cx + dx},${cy + dy},${cz + dz}`) || []).forEach(other => {
+            const distance = Math.hypot(point.x - other.x, point.y - other.y, point.z - other.z);
+            nearest = Math.min(nearest, distance);
+          });
+        }
+      }
+    }
+    return nearest;
+  }
+}
+
+/**
+ * Pick a curve with probability proportional to its length
+ */
+function pickByLength(curves, rand) {
+  const lengths = curves.map(curve => {
+    const [start, , , end] = curve.points;
+    return Math.hypot(end.x - start.x, end.y - start.y, end.z - start.z);
+  });
+  let target = rand() * lengths.reduce((sum, length) => sum + length, 0);
+  for (let i = 0; i < curves.length; i++) {
+    target -= lengths[i];
+    if (target < 0) return curves[i];
+  }
+  return curves[curves.length - 1];
+}
+
+/**
+ * A candidate spot on a tree part, spread evenly over its surface area
+ * @returns {{position: {x, y, z}, normal: {x, y, z}}}
+ */
+function sampleSurface(model, treePart, rand) {
+  switch (treePart) {
+    case 'trunk': {
+      // The trunk is wider at the base, so it gets proportionally more
+      const angle = rand() * Math.PI * 2;
+      const u = rand();
+      const bottom = model.trunkRadiusAt(1);
+      const top = model.trunkRadiusAt(7);
+      const y = 1 + 6 * (Math.sqrt(bottom * bottom * (1 - u) + top * top * u) - bottom) / (top - bottom);
+      return model.trunkSurfaceAt(angle, y, INSCRIPTION_OFFSET);
+    }
+    case 'branch': {
+      const branch = pickByLength(model.branches, rand);
+      return branch.surfaceAt(0.25 + rand() * 0.7, (rand() - 0.5) * Math.PI, INSCRIPTION_OFFSET);
+    }
+    case 'leaf': {
+      const theta = rand() * Math.PI * 2;
+      const phi = Math.acos(1 - 2 * rand());
+      const depth = model.canopy.minDepth + rand() * (1 - model.canopy.minDepth);
+      return model.canopySurfaceAt(theta, phi, depth);
+    }
+    case 'root': {
+      const root = pickByLength(model.roots, rand);
+      return model.rootSurfaceAt(root, 0.2 + rand() * 0.75, (rand() - 0.5) * Math.PI * 0.6);
+    }
+    default:
+      return model.trunkSurfaceAt(0, 5, INSCRIPTION_OFFSET);
+  }
+}
+
+/**
+ * A candidate spot next to a parent inscription, on the parent's tree part
+ */
+function sampleNearParent(model, parent, rand) {
+  const outward = Math.atan2(parent.position.z, parent.position.x);
+  const angle = outward + (rand() - 0.5) * Math.PI;
+  const distance = REPLY_DISTANCE.min + rand() * (REPLY_DISTANCE.max - REPLY_DISTANCE.min);
+  const lift = (rand() - 0.3) * distance;
+
+  return model.snapToPart(parent.treePart, {
+    x: parent.position.x + Math.cos(angle) * distance,
+    y: parent.position.y + lift,
+    z: parent.position.z + Math.sin(angle) * distance
+  });
+}
+
+/**
+ * Place a message on the tree (placement v2)
+ * Same inputs always give the same spot; candidates are tried in order and
+ * the first one clear of every occupied position wins. A crowded part spills
+ * over onto the others; if everything is crowded the roomiest candidate wins
+ * @param {string} userName - Author's name
+ * @param {string} messageId - Unique message identifier
+ * @param {Object} options
+ * @param {Object} [options.parent] - Parent message for replies
+ * @param {Array<{x, y, z}>} [options.occupied] - Positions already taken
+ * @param {TreeModel} [options.model] - Tree to place on (defaults to the current stage)
+ * @returns {{treePart: string, position: {x, y, z}, normal: {x, y, z}, glowIntensity: number, placementVersion: number}}
+ */
+export function placeMessage(userName, messageId, { parent = null, occupied = [], model = getTreeModel() } = {}) {
+  // Separator keeps ("ab", "c") and ("a", "bc") apart
+  const rand = createRandom(hashString(`${userName}\u0000${messageId}`));
+
+  const pickPart = () => TREE_PARTS[Math.floor(rand() * TREE_PARTS.length)];
+  const treePart = parent ? parent.treePart : pickPart();
+  const glowIntensity = 0.5 + rand() * 0.5;
+
+  const grid = new SpacingGrid(occupied, MIN_SPACING * 2);
+  const attempts = parent ? CANDIDATES : CANDIDATES * 2;
+  let best = null;
+  let bestClearance = -1;
+
+  for (let i = 0; i < attempts; i++) {
+    let candidate;
+    if (parent) {
+      candidate = { treePart, ...sampleNearParent(model, parent, rand) };
+    } else {
+      const part = i < CANDIDATES ? treePart : pickPart();
+      candidate = { treePart: part, ...sampleSurface(model, part, rand) };
+    }
+    const clearance = grid.clearance(candidate.position);
+
+    if (clearance >= MIN_SPACING) {
+      best = candidate;
+      break;
+    }
+    if (clearance > bestClearance) {
+      best = candidate;
+      bestClearance = clearance;
+    }
+  }
+
+  return {
+    treePart: best.treePart,
+    position: best.position,
+    normal: best.normal,
+    glowIntensity,
+    placementVersion: PLACEMENT_VERSION
+  };
+}
@@ -0,0 +1,188 @@
+/**
+ * Golden placement vectors
+ * Pin the exact output of every placement version (see placement.js). A
+ * mismatch means a released version changed and stored inscriptions would no
+ * longer match a fresh computation: restore the old behaviour and ship the
+ * new one as a new PLACEMENT_VERSION instead of updating these numbers
+ *
+ * Checked by `npm run test:placement` (scripts/checkPlacementVectors.js)
+ */
+
+import { getLegacyPlacement, getMessagePlacement, getReplyPlacement } from './hash.js';
+import { placeMessage } from './placement.js';
+import { createTreeModel, TREE_SEED } from './treeModel.js';
+
+// Expected values are rounded to 6 decimals
+const TOLERANCE = 1e-6;
+
+export const PLACEMENT_VECTORS = [
+  {
+    version: 0,
+    userName: 'Willow',
+    messageId: 'msg_lqz8k2_a1b2c3d4e',
+    expected: {
+      treePart: 'trunk',
+      position: { x: -0.939642, y: 6.77141, z: 0.110113 },
+      glowIntensity: 0.67551
+    }
+  },
+  {
+    version: 0,
+    userName: 'Old Oak',
+    messageId: 'msg_lr01f9_zz9y8x7w6',
+    expected: {
+      treePart: 'branch',
+      position: { x: 1.925733, y: 5.296207, z: -0.232459 },
+      glowIntensity: 0.542655
+    }
+  },
+  {
+    version: 1,
+    stage: 0,
+    userName: 'Willow',
+    messageId: 'msg_lqz8k2_a1b2c3d4e',
+    expected: {
+      treePart: 'trunk',
+      position: { x: 1.261197, y: 3.106115, z: -0.307805 },
+      normal: { x: 0.967788, y: 0.087167, z: -0.236196 },
+      glowIntensity: 0.56011
+    }
+  },
+  {
+    version: 1,
+    stage: 3,
+    userName: 'Old Oak',
+    messageId: 'msg_lr01f9_zz9y8x7w6',
+    expected: {
+      treePart: 'branch',
+      position: { x: 0.95211, y: 7.20641, z: 0.39318 },
+      normal: { x: 0.404889, y: 0.21132, z: -0.889611 },
+      glowIntensity: 0.974402
+    }
+  },
+  {
+    version: 1,
+    stage: 0,
+    userName: 'Fern',
+    messageId: 'msg_lr02aa_q1w2e3r4t',
+    parent: { message_id: 'msg_lqz8k2_a1b2c3d4e', treePart: 'branch', position: { x: 2.1, y: 7.2, z: 0.4 } },
+    expected: {
+      treePart: 'branch',
+      position: { x: 2.652889, y: 7.54128, z: 0.15277 },
+      normal: { x: -0.664357, y: 0.74553, z: 0.053062 },
+      glowIntensity: 0.585276
+    }
+  },
+  {
+    version: 2,
+    stage: 0,
+    userName: 'Willow',
+    messageId: 'msg_lqz8k2_a1b2c3d4e',
+    expected: {
+      treePart: 'root',
+      position: { x: -1.24837, y: 0.052856, z: -1.248657 },
+      normal: { x: -0.147776, y: 0.977913, z: -0.14781 },
+      glowIntensity: 0.504525
+    }
+  },
+  {
+    version: 2,
+    stage: 3,
+    userName: 'Old Oak',
+    messageId: 'msg_lr01f9_zz9y8x7w6',
+    expected: {
+      treePart: 'branch',
+      position: { x: -2.48168, y: 6.587564, z: -0.876607 },
+      normal: { x: 0.693182, y: 0.634623, z: -0.341691 },
+      glowIntensity: 0.832474
+    }
+  },
+  {
+    version: 2,
+    stage: 0,
+    userName: 'Willow',
+    messageId: 'msg_lqz8k2_a1b2c3d4e',
+    occupied: [{ x: -1.24837, y: 0.052856, z: -1.248657 }],
+    expected: {
+      treePart: 'root',
+      position: { x: -0.170305, y: 0.084237, z: 2.535678 },
+      normal: { x: -0.007891, y: 0.993043, z: 0.117491 },
+      glowIntensity: 0.504525
+    }
+  },
+  {
+    version: 2,
+    stage: 0,
+    userName: 'Fern',
+    messageId: 'msg_lr02aa_q1w2e3r4t',
+    parent: { message_id: 'msg_lqz8k2_a1b2c3d4e', treePart: 'branch', position: { x: 2.1, y: 7.2, z: 0.4 } },
+    expected: {
+      treePart: 'branch',
+      position: { x: 2.836702, y: 7.323517, z: 0.339309 },
+      normal: { x: 0.205768, y: -0.285302, z: 0.936089 },
+      glowIntensity: 0.887821
+    }
+  }
+];
+
+/**
+ * Run one vector through the placement version it names
+ */
+function computeVector(vector) {
+  const { version, stage = 0, userName, messageId, parent, occupied } = vector;
+  const model = createTreeModel(TREE_SEED, stage);
+
+  switch (version) {
+    case 0:
+      return getLegacyPlacement(userName, messageId);
+    case 1:
+      return parent
+        ? getReplyPlacement(userName, messageId, parent, model)
+        : getMessagePlacement(userName, messageId, model);
+    case 2:
+      return placeMessage(userName, messageId, { parent, occupied, model });
+    default:
+      return null;
+  }
+}
+
+/**
+ * Compare two placements field by field
+ * @returns {Array<string>} - Differences
+ */
+function diffPlacement(expected, actual) {
+  if (!actual) return ['unknown placement version'];
+
+  const differences = [];
+  if (actual.treePart !== expected.treePart) {
+    differences.push(`treePart ${actual.treePart} != ${expected.treePart}`);
+  }
+  ['position', 'normal'].forEach(field => {
+    if (!expected[field]) return;
+    ['x', 'y', 'z'].forEach(axis => {
+      const value = actual[field] ? actual[field][axis] : NaN;
+      if (!(Math.abs(value - expected[field][axis]) <= TOLERANCE)) {
+        differences.push(`${field}.${axis} ${value} != ${expected[field][axis]}`);
+      }
+    });
+  });
+  if (!(Math.abs(actual.glowIntensity - expected.glowIntensity) <= TOLERANCE)) {
+    differences.push(`glowIntensity ${actual.glowIntensity} != ${expected.glowIntensity}`);
+  }
+  return differences;
+}
+
+/**
+ * Check every golden vector
+ * @returns {Array<string>} - One line per mismatching vector (empty when all pass)
+ */
+export function checkPlacementVectors() {
+  const failures = [];
+  PLACEMENT_VECTORS.forEach((vector, index) => {
+    const differences = diffPlacement(vector.expected, computeVector(vector));
+    if (differences.length > 0) {
+      failures.push(`v${vector.version} vector ${index} (${vector.userName}/${vector.messageId}): ${differences.join('; ')}`);
+    }
+  });
+  return failures;
+}
@@ -0,0 +1,49 @@
+/**
+ * Hash routes for shareable links
+ *   #/m/<message_id>  - a single inscription
+ *   #/user/<name>     - everything one person has written
+ */
+
+const MESSAGE_PREFIX = '#/m/';
+const USER_PREFIX = '#/user/';
+
+/**
+ * Parse a location hash into a route
+ * @param {string} hash - e.g. window.location.hash
+ * @returns {{type: 'message', messageId: string}|{type: 'user', userName: string}|null}
+ */
+export function parseRoute(hash) {
+  try {
+    if (hash.startsWith(MESSAGE_PREFIX) && hash.length > MESSAGE_PREFIX.length) {
+      return { type: 'message', messageId: decodeURIComponent(hash.slice(MESSAGE_PREFIX.length)) };
+    }
+    if (hash.startsWith(USER_PREFIX) && hash.length > USER_PREFIX.length) {
+      return { type: 'user', userName: decodeURIComponent(hash.slice(USER_PREFIX.length)) };
+    }
+  } catch (error) {
+    console.warn('Ignoring malformed link:', hash);
+  }
+  return null;
+}
+
+/**
+ * Build the hash for a message
+ */
+export function formatMessageRoute(messageId) {
+  return MESSAGE_PREFIX + encodeURIComponent(messageId);
+}
+
+/**
+ * Build the hash for a user
+ */
+export function formatUserRoute(userName) {
+  return USER_PREFIX + encodeURIComponent(userName);
+}
+
+/**
+ * Build an absolute, shareable link to a message
+ */
+export function getMessageLink(messageId) {
+  const { origin, pathname, search } = window.location;
+  return origin + pathname + search + formatMessageRoute(messageId);
+}
@@ -0,0 +1,76 @@
+/**
+ * Message schema versions and migrations
+ * Every stored message carries `schemaVersion`; records without one are v0
+ *
+ * v0: { message_id, userName, message, timestamp, treePart?, position?, glowIntensity? }
+ * v1: placement fields always present, plus schemaVersion
+ */
+
+import { getLegacyPlacement } from './hash.js';
+
+export const CURRENT_SCHEMA_VERSION = 1;
+
+/**
+ * Migrations keyed by the version they upgrade FROM
+ * Each one takes a record at that version and returns the next version
+ */
+const MIGRATIONS = {
+  0: (record) => {
+    // Older records may lack placement; derive it the way the app did back then
+    const needsPlacement = !record.treePart || !record.position ||
+      typeof record.glowIntensity !== 'number';
+    const placement = needsPlacement
+      ? getLegacyPlacement(record.userName, record.message_id)
+      : null;
+
+    return {
+      ...record,
+      treePart: record.treePart || placement.treePart,
+      position: record.position || placement.position,
+      glowIntensity: typeof record.glowIntensity === 'number'
+        ? record.glowIntensity
+        : placement.glowIntensity,
+      schemaVersion: 1
+    };
+  }
+};
+
+/**
+ * Check the fields no migration can recreate
+ */
+function getCorruptionReason(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) return 'not an object';
+  if (typeof record.message_id !== 'string' || !record.message_id) return 'missing message_id';
+  if (typeof record.userName !== 'string' || !record.userName) return 'missing userName';
+  if (typeof record.message !== 'string') return 'missing message text';
+  if (typeof record.timestamp !== 'string' || Number.isNaN(Date.parse(record.timestamp))) {
+    return 'missing or unreadable timestamp';
+  }
+  return null;
+}
+
+/**
+ * Upgrade a record to the current schema version
+ * @param {Object} record - Stored or received message record
+ * @returns {{message: Object|null, changed: boolean, reason: string|null}}
+ *   `message` is null (with a `reason`) when the record is corrupt or from an
+ *   unknown (newer) version
+ */
+export function upgradeMessage(record) {
+  const corruption = getCorruptionReason(record);
+  if (corruption) {
+    return { message: null, changed: false, reason: corruption };
+  }
+
+  const version = record.schemaVersion === undefined ? 0 : record.schemaVersion;
+  if (!Number.isInteger(version) || version < 0 || version > CURRENT_SCHEMA_VERSION) {
+    return { message: null, changed: false, reason: `unknown schema version: ${record.schemaVersion}` };
+  }
+
+  let message = record;
+  for (let v = version; v < CURRENT_SCHEMA_VERSION; v++) {
+    message = MIGRATIONS[v](message);
+  }
+
+  return { message, changed: version !== CURRENT_SCHEMA_VERSION, reason: null };
+}
@@ -0,0 +1,270 @@
+/**
+ * In-memory search index over message text, author, tree part and date
+ *
+ * Query syntax: free words plus optional filters, e.g.
+ *   hello "first light" user:alice part:root after:2026-01-01 before:2026-02-01
+ * Quoted values keep spaces (user:"Old Oak"); filters narrow, words rank
+ */
+
+import { TREE_PARTS } from './hash.js';
+
+const FILTER_KEYS = ['user', 'part', 'after', 'before', 'id'];
+
+// Weight of a word match per field
+const FIELD_WEIGHTS = {
+  message: 1,
+  userName: 2
+};
+
+/**
+ * Split text into lowercase word tokens
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function tokenize(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Parse a query string into words, phrases and filters
+ * @param {string} query - Raw query
+ * @returns {{words: Array<string>, phrases: Array<string>, filters: Object, errors: Array<string>}}
+ */
+export function parseQuery(query) {
+  const words = [];
+  const phrases = [];
+  const filters = {};
+  const errors = [];
+
+  // key:"quoted value" | key:value | "quoted phrase" | word
+  const pattern = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    const key = (match[1] || match[3] || '').toLowerCase();
+    const value = match[1] ? match[2] : match[4];
+
+    if (key && FILTER_KEYS.includes(key)) {
+      const error = applyFilter(filters, key, value.trim());
+      if (error) errors.push(error);
+    } else if (match[5] !== undefined) {
+      const phrase = match[5].trim().toLowerCase();
+      if (phrase) {
+        phrases.push(phrase);
+        words.push(...tokenize(phrase));
+      }
+    } else {
+      // Unknown "key:value" pairs are searched as plain text
+      words.push(...tokenize(match[0]));
+    }
+  }
+
+  return { words, phrases, filters, errors };
+}
+
+/**
+ * Validate and store a single filter value
+ * @returns {string|null} - Error text, or null when accepted
+ */
+function applyFilter(filters, key, value) {
+  if (!value) return `${key}: needs a value`;
+
+  switch (key) {
+    case 'user':
+    case 'id':
+      filters[key] = value.toLowerCase();
+      return null;
+    case 'part': {
+      const part = value.toLowerCase();
+      if (!TREE_PARTS.includes(part)) {
+        return `part: must be one of ${TREE_PARTS.join(', ')}`;
+      }
+      filters.part = part;
+      return null;
+    }
+    case 'after':
+    case 'before': {
+      const time = parseDate(value);
+      if (time === null) return `${key}: "${value}" is not a date`;
+      filters[key] = time;
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a date filter; bare dates (YYYY-MM-DD) are local midnight
+ * @returns {number|null} - Epoch milliseconds
+ */
+function parseDate(value) {
+  const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const time = dateOnly
+    ? new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3])).getTime()
+    : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+export class SearchIndex {
+  constructor() {
+    this.documents = new Map(); // messageId -> indexed document
+    this.terms = new Map(); // term -> Map(messageId -> weight)
+  }
+
+  /**
+   * Index a message (re-indexes if already present)
+   */
+  add(message) {
+    this.remove(message.message_id);
+
+    const weights = new Map();
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      tokenize(message[field]).forEach(term => {
+        weights.set(term, (weights.get(term) || 0) + weight);
+      });
+    });
+
+    weights.forEach((weight, term) => {
+      if (!this.terms.has(term)) {
+        this.terms.set(term, new Map());
+      }
+      this.terms.get(term).set(message.message_id, weight);
+    });
+
+    this.documents.set(message.message_id, {
+      message,
+      terms: Array.from(weights.keys()),
+      text: String(message.message || '').toLowerCase(),
+      userName: String(message.userName || '').toLowerCase(),
+      time: Date.parse(message.timestamp)
+    });
+  }
+
+  /**
+   * Re-index an edited message
+   */
+  update(message) {
+    this.add(message);
+  }
+
+  /**
+   * Drop a message from the index
+   */
+  remove(messageId) {
+    const doc = this.documents.get(messageId);
+    if (!doc) return;
+
+    doc.terms.forEach(term => {
+      const postings = this.terms.get(term);
+      postings.delete(messageId);
+      if (postings.size === 0) {
+        this.terms.delete(term);
+      }
+    });
+    this.documents.delete(messageId);
+  }
+
+  /**
+   * Number of indexed messages
+   */
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Search the index
+   * @param {string} query - Query string (see module comment)
+   * @param {number} limit - Maximum results
+   * @returns {{results: Array<{message: Object, score: number}>, errors: Array<string>}}
+   *   Ranked by score, newest first on ties
+   */
+  search(query, limit = 50) {
+    const { words, phrases, filters, errors } = parseQuery(query);
+    if (errors.length > 0) {
+      return { results: [], errors };
+    }
+
+    const hasFilters = Object.keys(filters).length > 0;
+    if (words.length === 0 && !hasFilters) {
+      return { results: [], errors: [] };
+    }
+
+    // Each word must match (the last one as a prefix, for search-as-you-type)
+    let scores = null;
+    words.forEach((word, index) => {
+      const matches = this.matchTerm(word, index === words.length - 1);
+      if (scores === null) {
+        scores = matches;
+        return;
+      }
+      const next = new Map();
+      scores.forEach((score, messageId) => {
+        if (matches.has(messageId)) {
+          next.set(messageId, score + matches.get(messageId));
+        }
+      });
+      scores = next;
+    });
+
+    if (scores === null) {
+      scores = new Map(Array.from(this.documents.keys(), messageId => [messageId, 0]));
+    }
+
+    const results = [];
+    scores.forEach((score, messageId) => {
+      const doc = this.documents.get(messageId);
+      if (!this.matchesFilters(doc, filters)) return;
+      if (!phrases.every(phrase => doc.text.includes(phrase) || doc.userName.includes(phrase))) return;
+
+      // Exact phrase hits rank above scattered words
+      results.push({ message: doc.message, score: score + phrases.length * 3, time: doc.time });
+    });
+
+    results.sort((a, b) => b.score - a.score || b.time - a.time);
+
+    return {
+      results: results.slice(0, limit).map(({ message, score }) => ({ message, score })),
+      errors: []
+    };
+  }
+
+  /**
+   * Score every message containing a term
+   * @returns {Map<string, number>} - messageId -> score
+   */
+  matchTerm(word, allowPrefix) {
+    const matches = new Map();
+
+    const addPostings = (postings, factor) => {
+      postings.forEach((weight, messageId) => {
+        matches.set(messageId, Math.max(matches.get(messageId) || 0, weight * factor));
+      });
+    };
+
+    if (this.terms.has(word)) {
+      addPostings(this.terms.get(word), 1);
+    }
+    if (allowPrefix) {
+      this.terms.forEach((postings, term) => {
+        if (term !== word && term.startsWith(word)) {
+          addPostings(postings, 0.5);
+        }
+      });
+    }
+
+    return matches;
+  }
+
+  /**
+   * Check a document against the query filters
+   */
+  matchesFilters(doc, filters) {
+    const { message } = doc;
+    if (filters.user && doc.userName !== filters.user) return false;
+    if (filters.part && message.treePart !== filters.part) return false;
+    if (filters.id && !message.message_id.toLowerCase().startsWith(filters.id)) return false;
+    if (filters.after !== undefined && !(doc.time >= filters.after)) return false;
+    if (filters.before !== undefined && !(doc.time < filters.before)) return false;
+    return true;
+  }
+}
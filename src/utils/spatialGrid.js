@@ -0,0 +1,204 @@
+/**
+ * Uniform grid of small spheres for picking with a ray
+ * Each item is filed in every cell its sphere touches, so a ray only tests
+ * the items in the cells it passes through, however many items there are
+ */
+
+export class SpatialGrid {
+  /**
+   * @param {number} cellSize - Edge length of a grid cell
+   * @param {number} radius - Radius of every item's sphere
+   * @param {number} margin - How far a sphere may be moved from where it was
+   *   inserted (see raycast's `getCenter`)
+   */
+  constructor(cellSize, radius, margin = 0) {
+    this.cellSize = cellSize;
+    this.radius = radius;
+    this.margin = margin;
+    this.cells = new Map(); // cell key -> Set of items
+    this.entries = new Map(); // item -> { center, keys }
+    this.min = null; // Lowest cell coordinates ever used
+    this.max = null; // Highest cell coordinates ever used
+  }
+
+  /**
+   * Number of items in the grid
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Add an item, or move it if it is already in the grid
+   * @param {*} item
+   * @param {{x: number, y: number, z: number}} center
+   */
+  insert(item, center) {
+    this.remove(item);
+
+    const size = this.cellSize;
+    const r = this.radius + this.margin;
+    const from = [center.x - r, center.y - r, center.z - r].map(v => Math.floor(v / size));
+    const to = [center.x + r, center.y + r, center.z + r].map(v => Math.floor(v / size));
+    const keys = [];
+
+    for (let x = from[0]; x <= to[0]; x++) {
+      for (let y = from[1]; y <= to[1]; y++) {
+        for (let z = from[2]; z <= to[2]; z++) {
+          const key = `${x},${y},${z}`;
+          if (!this.cells.has(key)) {
+            this.cells.set(key, new Set());
+          }
+          this.cells.get(key).add(item);
+          keys.push(key);
+        }
+      }
+    }
+
+    this.entries.set(item, { center: { x: center.x, y: center.y, z: center.z }, keys });
+    this.min = this.min ? this.min.map((v, i) => Math.min(v, from[i])) : from;
+    this.max = this.max ? this.max.map((v, i) => Math.max(v, to[i])) : to;
+  }
+
+  /**
+   * Drop an item (no-op if it isn't in the grid)
+   */
+  remove(item) {
+    const entry = this.entries.get(item);
+    if (!entry) return;
+
+    entry.keys.forEach(key => {
+      const cell = this.cells.get(key);
+      cell.delete(item);
+      if (cell.size === 0) {
+        this.cells.delete(key);
+      }
+    });
+    this.entries.delete(item);
+  }
+
+  /**
+   * Check whether an item is in the grid
+   */
+  has(item) {
+    return this.entries.has(item);
+  }
+
+  /**
+   * Nearest item whose sphere the ray hits
+   * Walks the cells along the ray front to back and stops at the first cell
+   * that settles the nearest hit
+   * @param {{x, y, z}} origin
+   * @param {{x, y, z}} direction - Need not be normalized
+   * @param {Object} options
+   * @param {number} [options.maxDistance] - Ignore hits further than this
+   * @param {Function} [options.accept] - (item) => boolean; rejected items are skipped
+   * @param {Function} [options.getCenter] - (item, center) => where the item's
+   *   sphere is now, at most `margin` from the inserted center
+   * @returns {{item: *, distance: number, point: {x, y, z}}|null}
+   */
+  raycast(origin, direction, { maxDistance = Infinity, accept = () => true, getCenter = null } = {}) {
+    if (!this.min) return null;
+
+    const length = Math.hypot(direction.x, direction.y, direction.z);
+    if (length === 0) return null;
+
+    const size = this.cellSize;
+    const o = [origin.x, origin.y, origin.z];
+    const d = [direction.x / length, direction.y / length, direction.z / length];
+
+    // Clip the ray to the cells ever used
+    let tNear = 0;
+    let tFar = maxDistance;
+    for (let axis = 0; axis < 3; axis++) {
+      const low = this.min[axis] * size;
+      const high = (this.max[axis] + 1) * size;
+      if (d[axis] === 0) {
+        if (o[axis] < low || o[axis] > high) return null;
+        continue;
+      }
+      let t1 = (low - o[axis]) / d[axis];
+      let t2 = (high - o[axis]) / d[axis];
+      if (t1 > t2) [t1, t2] = [t2, t1];
+      tNear = Math.max(tNear, t1);
+      tFar = Math.min(tFar, t2);
+      if (tNear > tFar) return null;
+    }
+
+    // Cell the clipped ray starts in, and how far to each next cell boundary
+    const cell = [];
+    const step = [];
+    const tMax = [];
+    const tDelta = [];
+    for (let axis = 0; axis < 3; axis++) {
+      const start = o[axis] + d[axis] * tNear;
+      cell[axis] = Math.min(this.max[axis], Math.max(this.min[axis], Math.floor(start / size)));
+      step[axis] = Math.sign(d[axis]);
+      if (d[axis] === 0) {
+        tMax[axis] = Infinity;
+        tDelta[axis] = Infinity;
+      } else {
+        const boundary = (cell[axis] + (d[axis] > 0 ? 1 : 0)) * size;
+        tMax[axis] = (boundary - o[axis]) / d[axis];
+        tDelta[axis] = size / Math.abs(d[axis]);
+      }
+    }
+
+    const tested = new Set();
+    let best = null;
+
+    for (;;) {
+      const items = this.cells.get(`${cell[0]},${cell[1]},${cell[2]}`);
+      if (items) {
+        items.forEach(item => {
+          if (tested.has(item)) return;
+          tested.add(item);
+          if (!accept(item)) return;
+
+          const { center } = this.entries.get(item);
+          const distance = this.intersectSphere(o, d, getCenter ? getCenter(item, center) : center);
+          if (distance !== null && distance <= maxDistance && (!best || distance < best.distance)) {
+            best = { item, distance };
+          }
+        });
+      }
+
+      // Anything hit before this cell's far side can't be beaten further on
+      const cellExit = Math.min(tMax[0], tMax[1], tMax[2]);
+      if ((best && best.distance <= cellExit) || cellExit > tFar) break;
+
+      const axis = tMax[0] === cellExit ? 0 : (tMax[1] === cellExit ? 1 : 2);
+      cell[axis] += step[axis];
+      tMax[axis] += tDelta[axis];
+      if (cell[axis] < this.min[axis] || cell[axis] > this.max[axis]) break;
+    }
+
+    if (!best) return null;
+    return {
+      item: best.item,
+      distance: best.distance,
+      point: {
+        x: o[0] + d[0] * best.distance,
+        y: o[1] + d[1] * best.distance,
+        z: o[2] + d[2] * best.distance
+      }
+    };
+  }
+
+  /**
+   * Distance along a normalized ray to where it enters an item's sphere
+   * @returns {number|null} - null on a miss (0 when starting inside)
+   */
+  intersectSphere(o, d, center) {
+    const ox = o[0] - center.x;
+    const oy = o[1] - center.y;
+    const oz = o[2] - center.z;
+    const b = ox * d[0] + oy * d[1] + oz * d[2];
+    const c = ox * ox + oy * oy + oz * oz - this.radius * this.radius;
+    if (c <= 0) return 0;
+
+    const discriminant = b * b - c;
+    if (discriminant < 0 || b > 0) return null;
+    return -b - Math.sqrt(discriminant);
+  }
+}
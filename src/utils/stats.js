@@ -0,0 +1,120 @@
+/**
+ * Tree activity statistics, computed from storage indexes
+ * Only index keys are walked (timestamps, names, parts), never whole
+ * records, so this stays quick with hundreds of thousands of messages
+ */
+
+import { getIndexCounts, countMessagesByIndex, getMessageCount } from './storage.js';
+import { TREE_PARTS } from './hash.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a date as a local YYYY-MM-DD key
+ */
+export function toDateKey(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Local midnight of the Monday starting a date's week
+ */
+function startOfWeek(date) {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+}
+
+/**
+ * Compute dashboard statistics
+ * @param {Object} options
+ * @param {number} options.days - Days in the per-day chart
+ * @param {number} options.weeks - Weeks in the per-week chart
+ * @param {number} options.topCount - Contributors to list
+ * @param {Date} options.now - "Today" (for tests and replays)
+ * @returns {Promise<{total: number, perDay: Array, perWeek: Array, parts: Array,
+ *   contributors: Array, hours: Array<number>}>}
+ *   perDay: [{date, count}], perWeek: [{from, to, count}] (oldest first),
+ *   parts: [{part, count}], contributors: [{userName, count}] (busiest first),
+ *   hours: 24 counts by local hour of day
+ */
+export async function computeStats({ days = 30, weeks = 12, topCount = 8, now = new Date() } = {}) {
+  const [total, timestamps, names, partCounts] = await Promise.all([
+    getMessageCount(),
+    getIndexCounts('timestamp'),
+    getIndexCounts('userName'),
+    Promise.all(TREE_PARTS.map(part => countMessagesByIndex('treePart', part)))
+  ]);
+
+  // Empty buckets for the charted ranges
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const perDay = [];
+  const dayIndex = new Map();
+  for (let i = days - 1; i >= 0; i--) {
+    const date = new Date(today);
+    date.setDate(today.getDate() - i);
+    dayIndex.set(toDateKey(date), perDay.length);
+    perDay.push({ date: toDateKey(date), count: 0 });
+  }
+
+  const thisWeek = startOfWeek(now);
+  const perWeek = [];
+  for (let i = weeks - 1; i >= 0; i--) {
+    const from = new Date(thisWeek);
+    from.setDate(thisWeek.getDate() - i * 7);
+    const to = new Date(from);
+    to.setDate(from.getDate() + 6);
+    perWeek.push({ from: toDateKey(from), to: toDateKey(to), count: 0, start: from.getTime() });
+  }
+  const firstWeek = perWeek.length > 0 ? perWeek[0].start : Infinity;
+
+  // One pass over the timestamp index fills days, weeks and hours
+  const hours = new Array(24).fill(0);
+  timestamps.forEach((count, timestamp) => {
+    const date = new Date(timestamp);
+    if (Number.isNaN(date.getTime())) return;
+
+    hours[date.getHours()] += count;
+
+    const day = dayIndex.get(toDateKey(date));
+    if (day !== undefined) {
+      perDay[day].count += count;
+    }
+
+    const week = Math.floor((startOfWeek(date).getTime() - firstWeek) / (7 * DAY_MS) + 0.5);
+    if (week >= 0 && week < perWeek.length) {
+      perWeek[week].count += count;
+    }
+  });
+
+  // Names differing only in case are one contributor, as in the user filter;
+  // the group shows its most used spelling
+  const groups = new Map();
+  names.forEach((count, userName) => {
+    const key = userName.toLowerCase();
+    const group = groups.get(key);
+    if (!group) {
+      groups.set(key, { userName, count, spellingCount: count });
+      return;
+    }
+    group.count += count;
+    if (count > group.spellingCount) {
+      group.userName = userName;
+      group.spellingCount = count;
+    }
+  });
+
+  const contributors = Array.from(groups.values(), ({ userName, count }) => ({ userName, count }))
+    .sort((a, b) => b.count - a.count || a.userName.localeCompare(b.userName))
+    .slice(0, topCount);
+
+  return {
+    total,
+    perDay,
+    perWeek: perWeek.map(({ from, to, count }) => ({ from, to, count })),
+    parts: TREE_PARTS.map((part, i) => ({ part, count: partCounts[i] })),
+    contributors,
+    hours
+  };
+}
@@ -1,69 +1,395 @@
 /**
- * LocalStorage helpers for message persistence
+ * Storage helpers for message and settings persistence
+ * Messages go through a pluggable async adapter (IndexedDB by default);
+ * settings stay in localStorage
  */
 
+import { IndexedDBAdapter } from './adapters/IndexedDBAdapter.js';
+import { LocalStorageAdapter } from './adapters/LocalStorageAdapter.js';
+import { CURRENT_SCHEMA_VERSION, upgradeMessage } from './schema.js';
+import { validateMessage } from './validation.js';
+
 const STORAGE_KEY = 'infinite_messaging_tree_messages';
 const SETTINGS_KEY = 'infinite_messaging_tree_settings';
 
+// Where older versions kept one schema marker for every backend
+const LEGACY_SCHEMA_KEY = 'infinite_messaging_tree_schema_version';
+
+/**
+ * Storage adapter interface (all methods async):
+ *   open()                          -> adapter
+ *   getAll()                        -> Array<message>
+ *   put(message) / putMany(array)   -> insert or replace by message_id
+ *   getById(messageId)              -> message | null
+ *   getByIndex(indexName, value)    -> Array<message> (userName, treePart)
+ *   getByTimestampRange(start, end) -> Array<message> in [start, end)
+ *   count()                         -> number
+ *   countByIndex(indexName, value)  -> number
+ *   getIndexKeyCounts(indexName)    -> Map<value, count> (walks index keys only)
+ *   deleteMany(messageIds)
+ *   putTombstones(array) / getTombstones()  -> deletion records
+ *   quarantine(entries)             -> store records that failed migration
+ *   getQuarantined()                -> Array<{record, reason, quarantinedAt}>
+ *   getSchemaVersion() / setSchemaVersion(number) -> version the stored data
+ *                                      was migrated to, kept with the data (0 if never)
+ *   clear()
+ */
+
+let adapterPromise = null;
+
+/**
+ * Get the active storage adapter (opened and migrated on first call)
+ * @returns {Promise<Object>} - Storage adapter
+ */
+export function getStorageAdapter() {
+  if (!adapterPromise) {
+    adapterPromise = createDefaultAdapter();
+  }
+  return adapterPromise;
+}
+
+/**
+ * Replace the storage adapter (e.g. for a custom backend)
+ * @param {Object} adapter - Object implementing the adapter interface
+ */
+export function setStorageAdapter(adapter) {
+  adapterPromise = Promise.resolve(adapter);
+}
+
+/**
+ * Prefer IndexedDB, falling back to localStorage when it is unavailable
+ */
+async function createDefaultAdapter() {
+  if (typeof indexedDB !== 'undefined') {
+    try {
+      const adapter = await new IndexedDBAdapter().open();
+      await migrateFromLocalStorage(adapter);
+      await runMigrations(adapter);
+      return adapter;
+    } catch (error) {
+      console.error('IndexedDB unavailable, falling back to localStorage:', error);
+    }
+  }
+
+  const adapter = await new LocalStorageAdapter(STORAGE_KEY).open();
+  await runMigrations(adapter);
+  return adapter;
+}
+
+/**
+ * Upgrade records to the current schema, splitting out the ones that can't be
+ * @param {Array} records - Raw records
+ * @returns {{messages: Array, upgraded: Array, quarantined: Array}}
+ *   `messages` is every usable record, `upgraded` the subset that changed
+ */
+function upgradeRecords(records) {
+  const messages = [];
+  const upgraded = [];
+  const quarantined = [];
+
+  records.forEach(record => {
+    const { message, changed, reason } = upgradeMessage(record);
+    const errors = message ? validateMessage(message) : [reason];
+
+    if (errors.length > 0) {
+      quarantined.push({ record, reason: errors.join('; '), quarantinedAt: new Date().toISOString() });
+      return;
+    }
+
+    messages.push(message);
+    if (changed) upgraded.push(message);
+  });
+
+  return { messages, upgraded, quarantined };
+}
+
+/**
+ * Upgrade every stored record once and persist the result
+ * Corrupt or unknown records move to the quarantine list so they can't
+ * break getAllMessages
+ */
+async function runMigrations(adapter) {
+  localStorage.removeItem(LEGACY_SCHEMA_KEY);
+  if (await adapter.getSchemaVersion() === CURRENT_SCHEMA_VERSION) return;
+
+  const { upgraded, quarantined } = upgradeRecords(await adapter.getAll());
+
+  if (upgraded.length > 0) {
+    await adapter.putMany(upgraded);
+    console.log(`Upgraded ${upgraded.length} messages to schema v${CURRENT_SCHEMA_VERSION}`);
+  }
+
+  if (quarantined.length > 0) {
+    await adapter.quarantine(quarantined);
+    await adapter.deleteMany(quarantined.map(entry => entry.record && entry.record.message_id));
+    console.warn(`Quarantined ${quarantined.length} unreadable messages`);
+  }
+
+  // New writes are upgraded on save, so one pass per schema version is enough.
+  // The version lives with the data: a cleared or recreated store runs again
+  await adapter.setSchemaVersion(CURRENT_SCHEMA_VERSION);
+}
+
 /**
- * Get all messages from localStorage
- * @returns {Array} - Array of message objects
+ * Move messages from the legacy localStorage blob into the adapter (one-time)
  */
-export function getAllMessages() {
+async function migrateFromLocalStorage(adapter) {
+  const data = localStorage.getItem(STORAGE_KEY);
+  if (!data) return;
+
+  let messages;
   try {
-    const data = localStorage.getItem(STORAGE_KEY);
-    return data ? JSON.parse(data) : [];
+    messages = JSON.parse(data);
   } catch (error) {
-    console.error('Error reading messages from localStorage:', error);
+    console.error('Legacy localStorage messages are unreadable, skipping migration:', error);
+    return;
+  }
+
+  if (Array.isArray(messages) && messages.length > 0) {
+    // Upgrade first: records without a message_id can't be keyed in IndexedDB
+    const { messages: usable, quarantined } = upgradeRecords(messages);
+    await adapter.putMany(usable);
+    if (quarantined.length > 0) {
+      await adapter.quarantine(quarantined);
+    }
+    console.log(`Migrated ${usable.length} messages from localStorage`);
+  }
+
+  // Only drop the blob once the records are safely committed
+  localStorage.removeItem(STORAGE_KEY);
+}
+
+/**
+ * Get all messages from storage
+ * @returns {Promise<Array>} - Array of message objects
+ */
+export async function getAllMessages() {
+  try {
+    const adapter = await getStorageAdapter();
+    return await adapter.getAll();
+  } catch (error) {
+    console.error('Error reading messages from storage:', error);
     return [];
   }
 }
 
+// Single saves run one at a time, so the edit check below can't interleave
+let saveQueue = Promise.resolve();
+
 /**
- * Save a new message to localStorage
+ * Save a message to storage (insert, or replace when editing)
+ * An older edit than the stored one is refused, so a late copy (e.g. from
+ * sync history) can't roll a message back
  * @param {Object} message - Message object to save
- * @returns {boolean} - Success status
+ * @returns {Promise<boolean>} - Success status
  */
 export function saveMessage(message) {
+  const result = saveQueue.then(() => saveIfNotOlder(message));
+  saveQueue = result;
+  return result;
+}
+
+/**
+ * Save a message unless storage already holds a newer edit of it
+ */
+async function saveIfNotOlder(message) {
   try {
-    const messages = getAllMessages();
-    messages.push(message);
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(messages));
+    if (message && typeof message.message_id === 'string') {
+      const adapter = await getStorageAdapter();
+      const stored = await adapter.getById(message.message_id);
+      if (stored && (stored.editedAt || '') > (message.editedAt || '')) {
+        throw new Error(`A newer edit of ${message.message_id} is already stored`);
+      }
+    }
+  } catch (error) {
+    console.error('Error saving messages to storage:', error);
+    return false;
+  }
+
+  return saveMessages([message]);
+}
+
+/**
+ * Save several messages in one write (insert or replace by message_id)
+ * Deleted (tombstoned) messages are refused so they can't be resurrected
+ * @param {Array} messages - Message objects to save
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function saveMessages(messages) {
+  try {
+    const { messages: usable, quarantined } = upgradeRecords(messages);
+    if (quarantined.length > 0) {
+      throw new Error(`${quarantined.length} messages do not match the schema`);
+    }
+
+    const adapter = await getStorageAdapter();
+    const tombstoned = new Set((await adapter.getTombstones()).map(t => t.message_id));
+    const deleted = usable.filter(m => tombstoned.has(m.message_id));
+    if (deleted.length > 0) {
+      throw new Error(`${deleted.length} messages have been deleted`);
+    }
+
+    await adapter.putMany(usable);
     return true;
   } catch (error) {
-    console.error('Error saving message to localStorage:', error);
+    console.error('Error saving messages to storage:', error);
     return false;
   }
 }
 
+/**
+ * Delete a message, leaving a tombstone so the deletion survives import and sync
+ * @param {string} messageId - The message ID to delete
+ * @returns {Promise<Object|null>} - The tombstone, or null on failure
+ */
+export async function deleteMessage(messageId) {
+  const tombstone = {
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    message_id: messageId,
+    deleted: true,
+    deletedAt: new Date().toISOString()
+  };
+
+  return (await applyTombstones([tombstone])) ? tombstone : null;
+}
+
+/**
+ * Apply deletion tombstones (from this tab, an import or the sync server)
+ * @param {Array} tombstones - Tombstone objects
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function applyTombstones(tombstones) {
+  try {
+    const adapter = await getStorageAdapter();
+    await adapter.deleteMany(tombstones.map(t => t.message_id));
+    await adapter.putTombstones(tombstones);
+    return true;
+  } catch (error) {
+    console.error('Error deleting messages from storage:', error);
+    return false;
+  }
+}
+
+/**
+ * Get all deletion tombstones
+ * @returns {Promise<Array>} - Tombstone objects
+ */
+export async function getTombstones() {
+  try {
+    const adapter = await getStorageAdapter();
+    return await adapter.getTombstones();
+  } catch (error) {
+    console.error('Error reading tombstones from storage:', error);
+    return [];
+  }
+}
+
 /**
  * Get a message by its ID
  * @param {string} messageId - The message ID to find
- * @returns {Object|null} - The message object or null if not found
+ * @returns {Promise<Object|null>} - The message object or null if not found
  */
-export function getMessageById(messageId) {
-  const messages = getAllMessages();
-  return messages.find(m => m.message_id === messageId) || null;
+export async function getMessageById(messageId) {
+  try {
+    const adapter = await getStorageAdapter();
+    return await adapter.getById(messageId);
+  } catch (error) {
+    console.error('Error reading message from storage:', error);
+    return null;
+  }
 }
 
 /**
  * Get message count
- * @returns {number} - Total number of messages
+ * @returns {Promise<number>} - Total number of messages
+ */
+export async function getMessageCount() {
+  try {
+    const adapter = await getStorageAdapter();
+    return await adapter.count();
+  } catch (error) {
+    console.error('Error counting messages in storage:', error);
+    return 0;
+  }
+}
+
+/**
+ * Get messages for a year (uses the timestamp index)
+ * @param {number} year - Calendar year, defaults to the current one
+ * @returns {Promise<Array>} - Array of messages from that year
  */
-export function getMessageCount() {
-  return getAllMessages().length;
+export async function getMessagesForYear(year = new Date().getFullYear()) {
+  const start = new Date(year, 0, 1).toISOString();
+  const end = new Date(year + 1, 0, 1).toISOString();
+
+  try {
+    const adapter = await getStorageAdapter();
+    return await adapter.getByTimestampRange(start, end);
+  } catch (error) {
+    console.error('Error reading messages for year from storage:', error);
+    return [];
+  }
 }
 
 /**
- * Get messages for current year
- * @returns {Array} - Array of messages from current year
+ * Count messages per index value (e.g. per userName or per timestamp)
+ * @param {string} indexName - 'userName', 'timestamp' or 'treePart'
+ * @returns {Promise<Map>} - index value -> count
  */
-export function getMessagesForYear(year = new Date().getFullYear()) {
-  const messages = getAllMessages();
-  return messages.filter(m => {
-    const msgYear = new Date(m.timestamp).getFullYear();
-    return msgYear === year;
+export async function getIndexCounts(indexName) {
+  try {
+    const adapter = await getStorageAdapter();
+    return await adapter.getIndexKeyCounts(indexName);
+  } catch (error) {
+    console.error(`Error counting messages by ${indexName} in storage:`, error);
+    return new Map();
+  }
+}
+
+/**
+ * Count messages with an exact index value (e.g. treePart 'root')
+ * @returns {Promise<number>}
+ */
+export async function countMessagesByIndex(indexName, value) {
+  try {
+    const adapter = await getStorageAdapter();
+    return await adapter.countByIndex(indexName, value);
+  } catch (error) {
+    console.error(`Error counting messages by ${indexName} in storage:`, error);
+    return 0;
+  }
+}
+
+/**
+ * Count messages per (local) calendar year
+ * @returns {Promise<Map<number, number>>} - year -> message count
+ */
+export async function getMessageCountsByYear() {
+  const counts = new Map();
+  const timestamps = await getIndexCounts('timestamp');
+
+  timestamps.forEach((count, timestamp) => {
+    const year = new Date(timestamp).getFullYear();
+    if (!Number.isNaN(year)) {
+      counts.set(year, (counts.get(year) || 0) + count);
+    }
   });
+
+  return counts;
+}
+
+/**
+ * Get records that failed schema migration
+ * @returns {Promise<Array>} - Entries of {record, reason, quarantinedAt}
+ */
+export async function getQuarantinedMessages() {
+  try {
+    const adapter = await getStorageAdapter();
+    return await adapter.getQuarantined();
+  } catch (error) {
+    console.error('Error reading quarantined messages from storage:', error);
+    return [];
+  }
 }
 
 /**
@@ -73,10 +399,10 @@ export function getMessagesForYear(year = new Date().getFullYear()) {
 export function getSettings() {
   try {
     const data = localStorage.getItem(SETTINGS_KEY);
-    return data ? JSON.parse(data) : { weather: 'clear', autoWeather: false };
+    return data ? JSON.parse(data) : { autoWeather: false };
   } catch (error) {
     console.error('Error reading settings from localStorage:', error);
-    return { weather: 'clear', autoWeather: false };
+    return { autoWeather: false };
   }
 }
 
@@ -114,6 +440,7 @@ export function calculateTier(count) {
 /**
  * Clear all messages (for development/testing)
  */
-export function clearAllMessages() {
-  localStorage.removeItem(STORAGE_KEY);
+export async function clearAllMessages() {
+  const adapter = await getStorageAdapter();
+  await adapter.clear();
 }
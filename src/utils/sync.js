@@ -0,0 +1,178 @@
+/**
+ * Sync client for the local sync server (server/index.js)
+ * HTTP for history, posting, edits and deletions; WebSocket for live pushes
+ * Enabled by setting VITE_SYNC_URL (e.g. http://localhost:3001)
+ */
+
+import { isValidMessage, validateTombstone } from './validation.js';
+import { upgradeMessage } from './schema.js';
+import { getAuthorKey } from './author.js';
+
+const RECONNECT_MIN_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+
+/**
+ * Get the configured sync server URL
+ * @returns {string|null} - Base URL or null when sync is off
+ */
+export function getSyncUrl() {
+  const url = import.meta.env.VITE_SYNC_URL;
+  return url ? url.replace(/\/$/, '') : null;
+}
+
+export class SyncClient {
+  constructor(baseUrl) {
+    this.baseUrl = baseUrl;
+    this.socket = null;
+    this.reconnectDelay = RECONNECT_MIN_DELAY;
+    this.reconnectTimer = null;
+
+    this.onMessage = null; // Callback for every message received from the server (new or edited)
+    this.onDelete = null; // Callback for every deletion tombstone received from the server
+  }
+
+  /**
+   * Fetch the full message history from the server
+   * @returns {Promise<{messages: Array, tombstones: Array}>} - Valid records (empty on failure)
+   */
+  async fetchHistory() {
+    try {
+      const response = await fetch(`${this.baseUrl}/api/messages`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      const { messages, tombstones } = await response.json();
+      return {
+        messages: (messages || [])
+          .map(record => upgradeMessage(record).message)
+          .filter(isValidMessage),
+        tombstones: (tombstones || []).filter(t => validateTombstone(t).length === 0)
+      };
+    } catch (error) {
+      console.warn('Could not fetch history from sync server:', error);
+      return { messages: [], tombstones: [] };
+    }
+  }
+
+  /**
+   * Post a newly grown message to the server
+   * @returns {Promise<boolean>} - Success status
+   */
+  async postMessage(message) {
+    try {
+      const response = await fetch(`${this.baseUrl}/api/messages`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(message)
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return true;
+    } catch (error) {
+      console.warn('Could not post message to sync server:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Send an edit of one of our own messages
+   * @returns {Promise<boolean>} - Success status
+   */
+  async updateMessage(message) {
+    return this.sendAuthorized('PUT', message.message_id, { message });
+  }
+
+  /**
+   * Delete one of our own messages
+   * @returns {Promise<boolean>} - Success status
+   */
+  async deleteMessage(messageId) {
+    return this.sendAuthorized('DELETE', messageId, {});
+  }
+
+  /**
+   * Send a request that proves authorship with this browser's author key
+   */
+  async sendAuthorized(method, messageId, body) {
+    try {
+      const response = await fetch(`${this.baseUrl}/api/messages/${encodeURIComponent(messageId)}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...body, authorKey: getAuthorKey() })
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return true;
+    } catch (error) {
+      console.warn(`Could not ${method} message on sync server:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Open the live connection; history is re-fetched on every (re)connect
+   * so messages missed while offline still arrive
+   */
+  connect() {
+    const wsUrl = this.baseUrl.replace(/^http/, 'ws') + '/ws';
+    this.socket = new WebSocket(wsUrl);
+
+    this.socket.addEventListener('open', async () => {
+      this.reconnectDelay = RECONNECT_MIN_DELAY;
+      const { messages, tombstones } = await this.fetchHistory();
+      tombstones.forEach(tombstone => this.emitDelete(tombstone));
+      messages.forEach(message => this.emit(message));
+    });
+
+    this.socket.addEventListener('message', (event) => {
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch (error) {
+        return;
+      }
+
+      if (data.type === 'delete' && validateTombstone(data.tombstone).length === 0) {
+        this.emitDelete(data.tombstone);
+        return;
+      }
+      if (data.type !== 'message') return;
+
+      const { message } = upgradeMessage(data.message);
+      if (isValidMessage(message)) {
+        this.emit(message);
+      }
+    });
+
+    this.socket.addEventListener('close', () => this.scheduleReconnect());
+  }
+
+  /**
+   * Reconnect with exponential backoff
+   */
+  scheduleReconnect() {
+    if (this.reconnectTimer) return;
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, this.reconnectDelay);
+
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, RECONNECT_MAX_DELAY);
+  }
+
+  /**
+   * Hand a message to the listener
+   */
+  emit(message) {
+    if (this.onMessage) {
+      this.onMessage(message);
+    }
+  }
+
+  /**
+   * Hand a tombstone to the listener
+   */
+  emitDelete(tombstone) {
+    if (this.onDelete) {
+      this.onDelete(tombstone);
+    }
+  }
+}
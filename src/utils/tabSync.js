@@ -0,0 +1,80 @@
+/**
+ * Cross-tab live updates via BroadcastChannel
+ * Tabs of the same origin share storage, so only the change is announced;
+ * the receiving tab just updates its scene and UI
+ */
+
+import { isValidMessage, validateTombstone } from './validation.js';
+
+const CHANNEL_NAME = 'infinite_messaging_tree';
+
+export class TabChannel {
+  constructor() {
+    this.channel = typeof BroadcastChannel !== 'undefined'
+      ? new BroadcastChannel(CHANNEL_NAME)
+      : null;
+
+    this.onMessage = null; // Callback for a message grown or edited in another tab
+    this.onDelete = null; // Callback for a tombstone from another tab
+    this.onSettings = null; // Callback for settings saved in another tab
+
+    if (this.channel) {
+      this.channel.addEventListener('message', (event) => this.handleEvent(event.data));
+    }
+  }
+
+  /**
+   * Dispatch an event from another tab
+   */
+  handleEvent(data) {
+    if (!data || typeof data !== 'object') return;
+
+    switch (data.type) {
+      case 'message':
+        if (this.onMessage && isValidMessage(data.message)) {
+          this.onMessage(data.message);
+        }
+        break;
+      case 'delete':
+        if (this.onDelete && validateTombstone(data.tombstone).length === 0) {
+          this.onDelete(data.tombstone);
+        }
+        break;
+      case 'settings':
+        if (this.onSettings && data.settings && typeof data.settings === 'object') {
+          this.onSettings(data.settings);
+        }
+        break;
+    }
+  }
+
+  /**
+   * Announce an event to the other tabs (BroadcastChannel skips the sender)
+   */
+  post(event) {
+    if (this.channel) {
+      this.channel.postMessage(event);
+    }
+  }
+
+  /**
+   * Announce a new or edited message
+   */
+  postMessage(message) {
+    this.post({ type: 'message', message });
+  }
+
+  /**
+   * Announce a deletion
+   */
+  postDelete(tombstone) {
+    this.post({ type: 'delete', tombstone });
+  }
+
+  /**
+   * Announce saved settings
+   */
+  postSettings(settings) {
+    this.post({ type: 'settings', settings });
+  }
+}
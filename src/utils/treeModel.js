@@ -0,0 +1,579 @@
+/**
+ * Seeded tree surface model
+ * The single source of truth for the tree's shape: MagicalTree builds its
+ * meshes from it and message placement snaps onto it, so inscriptions sit
+ * on real bark instead of floating beside it
+ *
+ * Pure math (no three.js) so the sync server can share placement code
+ *
+ *   trunk   - tapered cylinder, y in [0, height]
+ *   branches/roots - cubic Bézier curves with a radius tapering along t
+ *   canopy  - ellipsoid volume around the branch tips
+ *
+ * The tree grows in stages as messages accumulate (GROWTH_THRESHOLDS): each
+ * stage thickens the trunk, forks existing limbs, extends roots and widens
+ * the canopy, without moving anything that was already there
+ */
+
+import { hashCode, seededRandom } from './hash.js';
+
+export const TREE_SEED = 'infinite-messaging-tree';
+
+// How far an inscription sits out from the surface it's placed on
+export const INSCRIPTION_OFFSET = 0.05;
+
+// Outer bark surface (the bark overlay is slightly wider than the trunk core)
+const TRUNK = { height: 8, bottomRadius: 1.52, topRadius: 0.82 };
+
+const BRANCH_LAYOUT = [
+  { angle: 0, height: 6, length: 4, thickness: 0.3 },
+  { angle: Math.PI / 3, height: 6.5, length: 3.5, thickness: 0.25 },
+  { angle: 2 * Math.PI / 3, height: 6, length: 4, thickness: 0.3 },
+  { angle: Math.PI, height: 6.2, length: 3.8, thickness: 0.28 },
+  { angle: 4 * Math.PI / 3, height: 6.3, length: 3.5, thickness: 0.25 },
+  { angle: 5 * Math.PI / 3, height: 6.1, length: 4, thickness: 0.3 },
+  { angle: Math.PI / 6, height: 7, length: 3, thickness: 0.2 },
+  { angle: Math.PI / 2, height: 7.2, length: 2.8, thickness: 0.2 }
+];
+
+const ROOT_LAYOUT = [
+  { angle: 0, length: 4, thickness: 0.4 },
+  { angle: Math.PI / 2, length: 3.5, thickness: 0.35 },
+  { angle: Math.PI, length: 4, thickness: 0.4 },
+  { angle: 3 * Math.PI / 2, length: 3.8, thickness: 0.38 },
+  { angle: Math.PI / 4, length: 3, thickness: 0.25 },
+  { angle: 3 * Math.PI / 4, length: 3.2, thickness: 0.28 },
+  { angle: 5 * Math.PI / 4, length: 3, thickness: 0.25 },
+  { angle: 7 * Math.PI / 4, length: 3.3, thickness: 0.3 }
+];
+
+// Message counts at which the tree grows another stage
+export const GROWTH_THRESHOLDS = [25, 75, 150, 300, 600, 1200, 2500, 5000];
+
+// What one growth stage adds
+const GROWTH = {
+  trunkThickening: 0.06, // Trunk radius grows 6% per stage
+  forksPerStage: 3,      // Side branches sprouted on existing limbs
+  rootsPerStage: 2,      // Root tips extended
+  maxGeneration: 2,      // Limbs fork at most twice (limb -> branch -> twig)
+  canopySpread: 0.35     // Canopy radius added per stage
+};
+
+const CANOPY = {
+  center: { x: 0, y: 8, z: 0 },
+  radii: { x: 6, y: 3.6, z: 6 },
+  minDepth: 0.75 // Inscriptions stay in the outer quarter of the canopy
+};
+
+// Samples used when searching for the nearest point on a curve
+const CURVE_SAMPLES = 48;
+
+/* Small vector helpers on plain {x, y, z} objects */
+const vec = (x, y, z) => ({ x, y, z });
+const add = (a, b) => vec(a.x + b.x, a.y + b.y, a.z + b.z);
+const sub = (a, b) => vec(a.x - b.x, a.y - b.y, a.z - b.z);
+const scale = (a, s) => vec(a.x * s, a.y * s, a.z * s);
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const cross = (a, b) => vec(a.y * b.z - a.z * b.y, a.z * b.x - a.x * b.z, a.x * b.y - a.y * b.x);
+const length = (a) => Math.sqrt(dot(a, a));
+const normalize = (a) => {
+  const len = length(a);
+  return len > 1e-9 ? scale(a, 1 / len) : vec(0, 1, 0);
+};
+const lerp = (a, b, t) => add(a, scale(sub(b, a), t));
+const UP = vec(0, 1, 0);
+
+/**
+ * A tapered tube along a cubic Bézier curve
+ */
+export class SurfaceCurve {
+  constructor(p0, p1, p2, p3, startRadius, endRadius) {
+    this.points = [p0, p1, p2, p3];
+    this.startRadius = startRadius;
+    this.endRadius = endRadius;
+    this.generation = 0; // 0 = grown from the trunk
+    this.stage = 0;      // Growth stage that added this curve
+  }
+
+  /**
+   * Centerline point at t in [0, 1]
+   */
+  pointAt(t) {
+    const [p0, p1, p2, p3] = this.points;
+    const u = 1 - t;
+    return add(
+      add(scale(p0, u * u * u), scale(p1, 3 * u * u * t)),
+      add(scale(p2, 3 * u * t * t), scale(p3, t * t * t))
+    );
+  }
+
+  /**
+   * Unit tangent at t
+   */
+  tangentAt(t) {
+    const [p0, p1, p2, p3] = this.points;
+    const u = 1 - t;
+    return normalize(add(
+      add(scale(sub(p1, p0), 3 * u * u), scale(sub(p2, p1), 6 * u * t)),
+      scale(sub(p3, p2), 3 * t * t)
+    ));
+  }
+
+  /**
+   * Tube radius at t
+   */
+  radiusAt(t) {
+    return this.startRadius + (this.endRadius - this.startRadius) * t;
+  }
+
+  /**
+   * Frame around the curve: `up` is the side facing the sky, `side` is horizontal
+   */
+  frameAt(t) {
+    const tangent = this.tangentAt(t);
+    let side = cross(tangent, UP);
+    if (length(side) < 1e-6) {
+      side = vec(1, 0, 0);
+    }
+    side = normalize(side);
+    const up = normalize(cross(side, tangent));
+    return { tangent, side, up };
+  }
+
+  /**
+   * Point on the tube surface
+   * @param {number} t - Position along the curve [0, 1]
+   * @param {number} angle - Angle around the tube; 0 is the top
+   * @param {number} offset - Extra distance out from the surface
+   */
+  surfaceAt(t, angle, offset = 0) {
+    const { side, up } = this.frameAt(t);
+    const normal = normalize(add(scale(up, Math.cos(angle)), scale(side, Math.sin(angle))));
+    return {
+      position: add(this.pointAt(t), scale(normal, this.radiusAt(t) + offset)),
+      normal
+    };
+  }
+
+  /**
+   * Closest centerline sample to a point
+   * @returns {{t: number, distance: number}}
+   */
+  nearestT(point) {
+    let best = { t: 0, distance: Infinity };
+    for (let i = 0; i <= CURVE_SAMPLES; i++) {
+      const t = i / CURVE_SAMPLES;
+      const distance = length(sub(point, this.pointAt(t)));
+      if (distance < best.distance) {
+        best = { t, distance };
+      }
+    }
+    return best;
+  }
+}
+
+/**
+ * Queryable model of the whole tree
+ */
+export class TreeModel {
+  constructor(seed, trunk, branches, roots, canopy, stage = 0) {
+    this.seed = seed;
+    this.stage = stage;
+    this.trunk = trunk;
+    this.branches = branches;
+    this.roots = roots;
+    this.canopy = canopy;
+  }
+
+  /**
+   * Bark radius at a height
+   */
+  trunkRadiusAt(y) {
+    const t = Math.min(Math.max(y / this.trunk.height, 0), 1);
+    return this.trunk.bottomRadius + (this.trunk.topRadius - this.trunk.bottomRadius) * t;
+  }
+
+  /**
+   * Point on the bark
+   * @param {number} angle - Around the trunk (radians, from +x toward +z)
+   * @param {number} y - Height
+   */
+  trunkSurfaceAt(angle, y, offset = 0) {
+    // The taper tilts the cone's normal slightly upward
+    const slope = (this.trunk.bottomRadius - this.trunk.topRadius) / this.trunk.height;
+    const normal = normalize(vec(Math.cos(angle), slope, Math.sin(angle)));
+    const radius = this.trunkRadiusAt(y) + offset;
+    return {
+      position: vec(Math.cos(angle) * radius, y, Math.sin(angle) * radius),
+      normal
+    };
+  }
+
+  /**
+   * Point on the canopy shell
+   * @param {number} theta - Azimuth
+   * @param {number} phi - Polar angle from straight up
+   * @param {number} depth - 1 is the outer shell, smaller is further in
+   */
+  canopySurfaceAt(theta, phi, depth = 1) {
+    const { center, radii } = this.canopy;
+    const dir = vec(Math.sin(phi) * Math.cos(theta), Math.cos(phi), Math.sin(phi) * Math.sin(theta));
+    const position = add(center, vec(dir.x * radii.x * depth, dir.y * radii.y * depth, dir.z * radii.z * depth));
+    return { position, normal: this.canopyNormalAt(position) };
+  }
+
+  /**
+   * Outward normal of the canopy ellipsoid through a point
+   */
+  canopyNormalAt(point) {
+    const { center, radii } = this.canopy;
+    const d = sub(point, center);
+    return normalize(vec(d.x / (radii.x * radii.x), d.y / (radii.y * radii.y), d.z / (radii.z * radii.z)));
+  }
+
+  /**
+   * Pick a surface point on a tree part
+   * @param {string} treePart - trunk, branch, leaf or root
+   * @param {Function} rand - Seeded random source [0, 1)
+   * @returns {{position: {x, y, z}, normal: {x, y, z}}}
+   */
+  place(treePart, rand) {
+    switch (treePart) {
+      case 'trunk':
+        return this.trunkSurfaceAt(rand() * Math.PI * 2, 1 + rand() * 6, INSCRIPTION_OFFSET);
+      case 'branch': {
+        const branch = this.branches[Math.floor(rand() * this.branches.length)];
+        // Along the outer part of the branch, on its upper half (visible from below too)
+        return branch.surfaceAt(0.25 + rand() * 0.7, (rand() - 0.5) * Math.PI, INSCRIPTION_OFFSET);
+      }
+      case 'leaf': {
+        const theta = rand() * Math.PI * 2;
+        const phi = Math.acos(1 - 2 * rand());
+        const depth = this.canopy.minDepth + rand() * (1 - this.canopy.minDepth);
+        return this.canopySurfaceAt(theta, phi, depth);
+      }
+      case 'root': {
+        const root = this.roots[Math.floor(rand() * this.roots.length)];
+        // Top of the root, where it breaks the soil
+        return this.rootSurfaceAt(root, 0.2 + rand() * 0.75, (rand() - 0.5) * Math.PI * 0.6);
+      }
+      default:
+        return this.trunkSurfaceAt(0, 5, INSCRIPTION_OFFSET);
+    }
+  }
+
+  /**
+   * Surface point on a root that is never buried: falls back to the root's
+   * top side, then slides toward the trunk until it clears the soil
+   */
+  rootSurfaceAt(root, t, angle) {
+    let surface = root.surfaceAt(t, angle, INSCRIPTION_OFFSET);
+    if (surface.position.y >= INSCRIPTION_OFFSET) return surface;
+
+    for (let along = t; along >= 0; along -= 0.05) {
+      surface = root.surfaceAt(along, 0, INSCRIPTION_OFFSET);
+      if (surface.position.y >= INSCRIPTION_OFFSET) return surface;
+    }
+    // Buried all the way: an extension continues back along the root it grew from
+    return root.extends ? this.rootSurfaceAt(root.extends, 1, 0) : surface;
+  }
+
+  /**
+   * Move a point onto the nearest surface of a tree part
+   * @param {string} treePart - trunk, branch, leaf or root
+   * @param {{x, y, z}} point
+   * @returns {{position: {x, y, z}, normal: {x, y, z}}}
+   */
+  snapToPart(treePart, point) {
+    switch (treePart) {
+      case 'trunk': {
+        const y = Math.min(Math.max(point.y, 0.5), this.trunk.height - 0.5);
+        return this.trunkSurfaceAt(Math.atan2(point.z, point.x), y, INSCRIPTION_OFFSET);
+      }
+      case 'branch':
+        return this.snapToCurves(this.branches, point);
+      case 'root': {
+        const snapped = this.snapToCurves(this.roots, point);
+        if (snapped.position.y < INSCRIPTION_OFFSET) {
+          const root = this.nearestCurve(this.roots, point);
+          return this.rootSurfaceAt(root.curve, root.t, 0);
+        }
+        return snapped;
+      }
+      case 'leaf': {
+        const { center, radii } = this.canopy;
+        const d = sub(point, center);
+        const q = vec(d.x / radii.x, d.y / radii.y, d.z / radii.z);
+        const len = length(q);
+        const depth = Math.min(Math.max(len, this.canopy.minDepth), 1);
+        const dir = len > 1e-9 ? scale(q, 1 / len) : UP;
+        const position = add(center, vec(dir.x * radii.x * depth, dir.y * radii.y * depth, dir.z * radii.z * depth));
+        return { position, normal: this.canopyNormalAt(position) };
+      }
+      default:
+        return this.snapToPart('trunk', point);
+    }
+  }
+
+  /**
+   * Find the curve (and t) closest to a point
+   */
+  nearestCurve(curves, point) {
+    let best = null;
+    curves.forEach(curve => {
+      const { t, distance } = curve.nearestT(point);
+      if (!best || distance < best.distance) {
+        best = { curve, t, distance };
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Push a point out onto the nearest tube among several curves
+   */
+  snapToCurves(curves, point) {
+    const { curve, t } = this.nearestCurve(curves, point);
+    const center = curve.pointAt(t);
+    const { tangent, up } = curve.frameAt(t);
+
+    // Direction from the centerline, perpendicular to it
+    let away = sub(point, center);
+    away = sub(away, scale(tangent, dot(away, tangent)));
+    const normal = length(away) > 1e-6 ? normalize(away) : up;
+
+    return {
+      position: add(center, scale(normal, curve.radiusAt(t) + INSCRIPTION_OFFSET)),
+      normal
+    };
+  }
+}
+
+/**
+ * A branch leaving the trunk, rising and curving up toward the canopy
+ */
+function createBranchCurve(config, rand) {
+  const angle = config.angle + (rand() - 0.5) * 0.15;
+  const elevation = Math.PI / 4 - rand() * 0.2;
+  const dir = vec(Math.cos(angle), 0, Math.sin(angle));
+
+  const start = add(scale(dir, 0.3), vec(0, config.height - 0.3, 0));
+  const reach = add(scale(dir, Math.cos(elevation)), scale(UP, Math.sin(elevation)));
+  const end = add(start, scale(reach, config.length));
+
+  // Sag a little in the middle, then turn up at the tip
+  const sag = config.length * (0.08 + rand() * 0.06);
+  const p1 = sub(lerp(start, end, 1 / 3), scale(UP, sag));
+  const p2 = sub(lerp(start, end, 2 / 3), scale(UP, sag * 0.4));
+
+  return new SurfaceCurve(start, p1, p2, end, config.thickness, config.thickness * 0.4);
+}
+
+/**
+ * A root spreading from the trunk base and dipping into the soil
+ */
+function createRootCurve(config, rand) {
+  const angle = config.angle + (rand() - 0.5) * 0.2;
+  const len = config.length * (0.9 + rand() * 0.2);
+  const dir = vec(Math.cos(angle), 0, Math.sin(angle));
+
+  return new SurfaceCurve(
+    add(scale(dir, 0.3), vec(0, 0.5, 0)),
+    add(scale(dir, len * 0.35), vec(0, -0.05, 0)),
+    add(scale(dir, len * 0.7), vec(0, -0.35, 0)),
+    add(scale(dir, len), vec(0, -0.2, 0)),
+    config.thickness,
+    config.thickness * 0.5
+  );
+}
+
+/**
+ * Rotate a vector around an axis (Rodrigues)
+ */
+function rotateAround(v, axis, angle) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return add(
+    add(scale(v, cos), scale(cross(axis, v), sin)),
+    scale(axis, dot(axis, v) * (1 - cos))
+  );
+}
+
+/**
+ * Chord length of a curve (start to tip)
+ */
+function reachOf(curve) {
+  return length(sub(curve.points[3], curve.points[0]));
+}
+
+/**
+ * A side branch sprouting from a parent branch (the L-system's B -> B[+B][-B])
+ */
+function createChildBranch(parent, rand, stage) {
+  const t = 0.4 + rand() * 0.4;
+  const start = parent.pointAt(t);
+  const { tangent, up } = parent.frameAt(t);
+
+  // Fork sideways around the parent's up axis, then lean toward the sky
+  const side = rand() < 0.5 ? -1 : 1;
+  let dir = rotateAround(tangent, up, side * (0.5 + rand() * 0.4));
+  dir = normalize(add(dir, scale(UP, 0.3 + rand() * 0.3)));
+
+  const len = reachOf(parent) * (0.45 + rand() * 0.15);
+  const end = add(start, scale(dir, len));
+  const sag = len * 0.08;
+
+  const child = new SurfaceCurve(
+    start,
+    sub(lerp(start, end, 1 / 3), scale(UP, sag)),
+    lerp(start, end, 2 / 3),
+    end,
+    parent.radiusAt(t) * 0.7,
+    parent.radiusAt(t) * 0.25
+  );
+  child.generation = parent.generation + 1;
+  child.stage = stage;
+  return child;
+}
+
+/**
+ * Continue a root past its tip, spreading further out under the soil
+ */
+function createRootExtension(root, rand, stage) {
+  const start = root.points[3];
+  const heading = Math.atan2(start.z, start.x) + (rand() - 0.5) * 0.5;
+  const dir = vec(Math.cos(heading), 0, Math.sin(heading));
+  const len = 1.2 + rand() * 0.8;
+  const end = add(add(start, scale(dir, len)), vec(0, -0.1 + rand() * 0.15, 0));
+
+  // Arches back up through the soil before diving again
+  const extension = new SurfaceCurve(
+    start,
+    add(add(start, scale(dir, len * 0.35)), vec(0, 0.25, 0)),
+    sub(end, scale(dir, len * 0.35)),
+    end,
+    root.endRadius,
+    root.endRadius * 0.6
+  );
+  extension.generation = root.generation + 1;
+  extension.stage = stage;
+  return extension;
+}
+
+/**
+ * Apply one growth step: thicker trunk, a new limb, side branches, longer
+ * roots, a wider canopy. Each step only appends, so every curve of the
+ * previous stage (and every inscription on it) stays exactly where it was
+ */
+function growStage(model, stage) {
+  const rand = seededRandom(hashCode(`${model.seed}:growth:${stage}`) || 1);
+  const { trunk, canopy } = model;
+  const thicken = 1 + GROWTH.trunkThickening;
+
+  const branches = model.branches.slice();
+  const roots = model.roots.slice();
+
+  // A new limb off the trunk
+  const limb = createBranchCurve({
+    angle: rand() * Math.PI * 2,
+    height: 5.2 + rand() * 2.2,
+    length: 2.6 + rand() * 1.2,
+    thickness: 0.18 + rand() * 0.08
+  }, rand);
+  limb.stage = stage;
+  branches.push(limb);
+
+  // Side branches on existing limbs that still have room to fork
+  const forkable = model.branches.filter(branch => branch.generation < GROWTH.maxGeneration);
+  for (let i = 0; i < GROWTH.forksPerStage && forkable.length > 0; i++) {
+    const parent = forkable.splice(Math.floor(rand() * forkable.length), 1)[0];
+    branches.push(createChildBranch(parent, rand, stage));
+  }
+
+  // Extend root tips that haven't been extended yet
+  const extended = new Set(model.roots.map(root => root.extends).filter(Boolean));
+  const tips = model.roots.filter(root => !extended.has(root) && root.generation < GROWTH.maxGeneration);
+  for (let i = 0; i < GROWTH.rootsPerStage && tips.length > 0; i++) {
+    const root = tips.splice(Math.floor(rand() * tips.length), 1)[0];
+    const extension = createRootExtension(root, rand, stage);
+    extension.extends = root;
+    roots.push(extension);
+  }
+
+  return new TreeModel(
+    model.seed,
+    {
+      height: trunk.height,
+      bottomRadius: trunk.bottomRadius * thicken,
+      topRadius: trunk.topRadius * thicken
+    },
+    branches,
+    roots,
+    {
+      ...canopy,
+      radii: {
+        x: canopy.radii.x + GROWTH.canopySpread,
+        y: canopy.radii.y + GROWTH.canopySpread * 0.5,
+        z: canopy.radii.z + GROWTH.canopySpread
+      }
+    },
+    stage
+  );
+}
+
+/**
+ * Growth stage reached with a number of messages
+ * @param {number} messageCount
+ * @returns {number} - 0 for the seedling tree, up to GROWTH_THRESHOLDS.length
+ */
+export function getGrowthStage(messageCount) {
+  return GROWTH_THRESHOLDS.filter(threshold => messageCount >= threshold).length;
+}
+
+/**
+ * Build the tree model for a seed (same seed and stage, same tree)
+ * @param {string|number} seed
+ * @param {number} stage - Growth stage (see getGrowthStage)
+ * @returns {TreeModel}
+ */
+export function createTreeModel(seed = TREE_SEED, stage = 0) {
+  const rand = seededRandom(hashCode(String(seed)) || 1);
+  const branches = BRANCH_LAYOUT.map(config => createBranchCurve(config, rand));
+  const roots = ROOT_LAYOUT.map(config => createRootCurve(config, rand));
+  let model = new TreeModel(seed, TRUNK, branches, roots, CANOPY);
+
+  for (let step = 1; step <= stage; step++) {
+    model = growStage(model, step);
+  }
+  return model;
+}
+
+const models = new Map(); // stage -> model for the default seed
+let currentStage = 0;
+
+/**
+ * Set the stage new placements and the scene grow to
+ * @param {number} stage
+ */
+export function setGrowthStage(stage) {
+  currentStage = stage;
+}
+
+/**
+ * Current growth stage
+ */
+export function getCurrentGrowthStage() {
+  return currentStage;
+}
+
+/**
+ * The shared model for the default seed (built on first use)
+ * @param {number} stage - Defaults to the current growth stage
+ * @returns {TreeModel}
+ */
+export function getTreeModel(stage = currentStage) {
+  if (!models.has(stage)) {
+    models.set(stage, createTreeModel(TREE_SEED, stage));
+  }
+  return models.get(stage);
+}
@@ -0,0 +1,116 @@
+/**
+ * Message shape validation
+ * Checks records against the shape Composer produces; shared by the sync
+ * server and anything else that accepts messages from outside this tab
+ */
+
+import { TREE_PARTS } from './hash.js';
+import { CURRENT_SCHEMA_VERSION } from './schema.js';
+
+/**
+ * Check whether a value is a finite number
+ */
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Check whether a value is a non-empty string
+ */
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Check whether a value is a parseable date string
+ */
+function isDateString(value) {
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Validate a message record
+ * @param {Object} message - Candidate message
+ * @returns {string[]} - List of problems (empty when valid)
+ */
+export function validateMessage(message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return ['not an object'];
+  }
+
+  const errors = [];
+
+  if (message.schemaVersion !== CURRENT_SCHEMA_VERSION) {
+    errors.push(`schemaVersion must be ${CURRENT_SCHEMA_VERSION}`);
+  }
+
+  if (!isNonEmptyString(message.message_id)) errors.push('message_id must be a non-empty string');
+  if (!isNonEmptyString(message.userName)) errors.push('userName must be a non-empty string');
+  if (!isNonEmptyString(message.message)) errors.push('message must be a non-empty string');
+
+  if (!isDateString(message.timestamp)) {
+    errors.push('timestamp must be an ISO date string');
+  }
+
+  if (!TREE_PARTS.includes(message.treePart)) {
+    errors.push(`treePart must be one of ${TREE_PARTS.join(', ')}`);
+  }
+
+  const position = message.position;
+  if (!position || !isFiniteNumber(position.x) || !isFiniteNumber(position.y) || !isFiniteNumber(position.z)) {
+    errors.push('position must have numeric x, y and z');
+  }
+
+  if (!isFiniteNumber(message.glowIntensity)) {
+    errors.push('glowIntensity must be a number');
+  }
+
+  // Optional fields
+  const normal = message.normal;
+  if (normal !== undefined &&
+      (!normal || !isFiniteNumber(normal.x) || !isFiniteNumber(normal.y) || !isFiniteNumber(normal.z))) {
+    errors.push('normal must have numeric x, y and z');
+  }
+  if (message.placementVersion !== undefined &&
+      !(Number.isInteger(message.placementVersion) && message.placementVersion >= 0)) {
+    errors.push('placementVersion must be a non-negative integer');
+  }
+  if (message.authorId !== undefined && !isNonEmptyString(message.authorId)) {
+    errors.push('authorId must be a non-empty string');
+  }
+  if (message.editedAt !== undefined && !isDateString(message.editedAt)) {
+    errors.push('editedAt must be an ISO date string');
+  }
+  if (message.parent_id !== undefined &&
+      (!isNonEmptyString(message.parent_id) || message.parent_id === message.message_id)) {
+    errors.push('parent_id must be another message\'s ID');
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a deletion tombstone ({ message_id, deleted: true, deletedAt })
+ * @param {Object} tombstone - Candidate tombstone
+ * @returns {string[]} - List of problems (empty when valid)
+ */
+export function validateTombstone(tombstone) {
+  if (!tombstone || typeof tombstone !== 'object' || Array.isArray(tombstone)) {
+    return ['not an object'];
+  }
+
+  const errors = [];
+  if (!isNonEmptyString(tombstone.message_id)) errors.push('message_id must be a non-empty string');
+  if (tombstone.deleted !== true) errors.push('deleted must be true');
+  if (!isDateString(tombstone.deletedAt)) errors.push('deletedAt must be an ISO date string');
+  return errors;
+}
+
+/**
+ * Check whether a message record is valid
+ * @param {Object} message - Candidate message
+ * @returns {boolean}
+ */
+export function isValidMessage(message) {
+  return validateMessage(message).length === 0;
+}
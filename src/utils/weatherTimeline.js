@@ -0,0 +1,137 @@
+/**
+ * Weather timelines for auto-weather, loaded from a local file
+ *
+ * JSON: [{ "time": "07:30", "weather": "rain" }, ...]
+ *       (or { "entries": [...] })
+ * CSV:  time,weather
+ *       07:30,rain
+ *
+ * A time is either "HH:MM" (repeats every day) or an ISO date-time (once),
+ * so a recorded day from a real place can be replayed offline
+ */
+
+const DAILY_TIME = /^(\d{1,2}):(\d{2})$/;
+
+/**
+ * Parse a timeline file
+ * @param {string} text - JSON or CSV
+ * @param {string[]} weatherTypes - Accepted weather names
+ * @returns {{entries: Array<{time: string, weather: string}>, invalid: Array<{line: number, reason: string}>}}
+ */
+export function parseWeatherTimeline(text, weatherTypes) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (error) {
+      return { entries: [], invalid: [{ line: 0, reason: `Invalid JSON: ${error.message}` }] };
+    }
+    const records = Array.isArray(data) ? data : data.entries;
+    if (!Array.isArray(records)) {
+      return { entries: [], invalid: [{ line: 0, reason: 'Expected an array of { time, weather }' }] };
+    }
+    return normalizeTimeline(records, weatherTypes);
+  }
+
+  // CSV: skip blank lines and an optional header row
+  const records = [];
+  trimmed.split(/\r?\n/).forEach((row, index) => {
+    if (!row.trim() || (index === 0 && /^\s*time\s*,/i.test(row))) return;
+    const [time = '', weather = ''] = row.split(',');
+    records.push({ time: time.trim(), weather: weather.trim(), line: index + 1 });
+  });
+  return normalizeTimeline(records, weatherTypes);
+}
+
+/**
+ * Check timeline records and drop the unusable ones
+ * (also used for timelines restored from settings)
+ * @param {Array} records - [{ time, weather }]
+ * @param {string[]} weatherTypes
+ */
+export function normalizeTimeline(records, weatherTypes) {
+  const entries = [];
+  const invalid = [];
+
+  records.forEach((record, index) => {
+    const line = record && record.line ? record.line : index + 1;
+    if (!record || typeof record.time !== 'string' || typeof record.weather !== 'string') {
+      invalid.push({ line, reason: 'Missing time or weather' });
+      return;
+    }
+
+    const weather = record.weather.toLowerCase();
+    if (!weatherTypes.includes(weather)) {
+      invalid.push({ line, reason: `Unknown weather: ${record.weather}` });
+      return;
+    }
+    if (getDailyMinutes(record.time) === null && Number.isNaN(Date.parse(record.time))) {
+      invalid.push({ line, reason: `Unreadable time: ${record.time}` });
+      return;
+    }
+    entries.push({ time: record.time, weather });
+  });
+
+  return { entries, invalid };
+}
+
+/**
+ * Minutes after midnight for an "HH:MM" time
+ * @returns {number|null} - null if the time isn't a daily one
+ */
+function getDailyMinutes(time) {
+  const match = DAILY_TIME.exec(time);
+  if (!match) return null;
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Current and next weather on a timeline
+ * Daily entries count on the days around `now`, so the schedule wraps
+ * past midnight
+ * @param {Array<{time: string, weather: string}>} entries
+ * @param {Date} now
+ * @returns {{current: string|null, next: string|null, nextAt: Date|null}}
+ */
+export function getTimelineForecast(entries, now = new Date()) {
+  const nowMs = now.getTime();
+  const midnight = new Date(now);
+  midnight.setHours(0, 0, 0, 0);
+
+  const occurrences = [];
+  entries.forEach(({ time, weather }) => {
+    const minutes = getDailyMinutes(time);
+    if (minutes === null) {
+      occurrences.push({ at: Date.parse(time), weather });
+      return;
+    }
+    [-1, 0, 1].forEach(day => {
+      // Local midnight moves with daylight saving, so step by calendar day
+      const date = new Date(midnight);
+      date.setDate(date.getDate() + day);
+      occurrences.push({ at: date.getTime() + minutes * 60 * 1000, weather });
+    });
+  });
+  occurrences.sort((a, b) => a.at - b.at);
+
+  let current = null;
+  let next = null;
+  occurrences.forEach(occurrence => {
+    if (occurrence.at <= nowMs) {
+      current = occurrence;
+    } else if (!next) {
+      next = occurrence;
+    }
+  });
+
+  return {
+    current: current ? current.weather : null,
+    next: next ? next.weather : null,
+    nextAt: next ? new Date(next.at) : null
+  };
+}